@@ -0,0 +1,149 @@
+// Activity log for tasks and notes (models/Activity.js).
+// Each entry records who changed what, when, and through which client: "web" for the
+// app's own pages (storage.js sends X-Planner-Client: web), "api" for anything else.
+// Field changes are stored as [{ field, from, to }], null meaning "no value".
+import { addDays } from "./dates.js";
+import { DETAIL_FIELDS, BOARD_TASK_FIELDS } from "./tasks.js";
+
+export const ACTIVITY_ENTITIES = ["task", "note"];
+export const ACTIVITY_ACTIONS = ["create", "update", "move", "delete", "restore", "import"];
+export const ACTIVITY_SOURCES = ["web", "api"];
+export const TASK_HISTORY_FIELDS = ["text", "status", ...DETAIL_FIELDS, ...BOARD_TASK_FIELDS];
+export const NOTE_HISTORY_FIELDS = ["title", "body", "tags", "pinned"];
+
+const LABEL_MAX = 120;
+const VALUE_MAX = 1000; // longer strings (descriptions, note bodies) are cut in the log
+
+export function activitySource(req) {
+  return req.get("X-Planner-Client") === "web" ? "web" : "api";
+}
+
+function isBlank(value) {
+  return value === undefined || value === null || value === "" || (Array.isArray(value) && !value.length);
+}
+
+function logged(value) {
+  if (isBlank(value)) return null;
+  return typeof value === "string" && value.length > VALUE_MAX ? value.slice(0, VALUE_MAX) + "…" : value;
+}
+
+// [{ field, from, to }] for each of `fields` that differs between `before` and `after`
+// (either may be null: a created or removed item)
+export function diffFields(before, after, fields) {
+  const changes = [];
+  for (const field of fields) {
+    const from = before ? before[field] : undefined;
+    const to = after ? after[field] : undefined;
+    if (isBlank(from) && isBlank(to)) continue;
+    if (JSON.stringify(from) === JSON.stringify(to)) continue;
+    changes.push({ field, from: logged(from), to: logged(to) });
+  }
+  return changes;
+}
+
+function dateChange(weekKey, dayIndex, toWeekKey, toDayIndex) {
+  return { field: "date", from: addDays(weekKey, Number(dayIndex)), to: addDays(toWeekKey, Number(toDayIndex)) };
+}
+
+// Entries of a shared board's tasks belong to the board (req.planner, see server.js)
+function entry(req, fields) {
+  return {
+    owner: req.planner ? req.planner.owner : req.user.id,
+    actor: req.user.id,
+    actorName: req.user.username || "",
+    source: activitySource(req),
+    ...fields,
+  };
+}
+
+// Entry for `task` at weekKey/dayIndex. Without `changes`, a create/import lists the
+// task's fields and an update the fields that differ from `before`.
+export function taskActivity(req, action, { weekKey, dayIndex, task, before = null, changes }) {
+  if (!changes) {
+    if (action === "create" || action === "import") changes = diffFields(null, task, TASK_HISTORY_FIELDS);
+    else if (action === "update") changes = diffFields(before, task, TASK_HISTORY_FIELDS);
+    else changes = [];
+  }
+  return entry(req, {
+    entity: "task",
+    entityId: task.id,
+    action,
+    weekKey,
+    dayIndex: Number(dayIndex),
+    label: String(task.text || "").slice(0, LABEL_MAX),
+    changes,
+  });
+}
+
+// A task moved to another day or week; the entry is filed where it ended up
+export function taskMoveActivity(req, { weekKey, dayIndex, toWeekKey, toDayIndex, task }) {
+  return taskActivity(req, "move", {
+    weekKey: toWeekKey,
+    dayIndex: toDayIndex,
+    task,
+    changes: [dateChange(weekKey, dayIndex, toWeekKey, toDayIndex)],
+  });
+}
+
+// Entries for a whole-week write (POST /api/tasks/:weekKey, clearing a week): the tasks
+// added, changed, moved to another day and removed between `beforeDays` and `afterDays`
+export function weekActivity(req, weekKey, beforeDays, afterDays) {
+  const index = (days) => {
+    const byId = new Map();
+    for (const [dayIndex, tasks] of Object.entries(days || {})) {
+      if (!Array.isArray(tasks)) continue;
+      for (const task of tasks) if (task && task.id) byId.set(task.id, { dayIndex: Number(dayIndex), task });
+    }
+    return byId;
+  };
+  const before = index(beforeDays);
+  const after = index(afterDays);
+  const entries = [];
+
+  for (const [id, now] of after) {
+    const was = before.get(id);
+    if (!was) {
+      entries.push(taskActivity(req, "create", { weekKey, ...now }));
+      continue;
+    }
+    const moved = was.dayIndex !== now.dayIndex;
+    const changes = diffFields(was.task, now.task, TASK_HISTORY_FIELDS);
+    if (moved) changes.unshift(dateChange(weekKey, was.dayIndex, weekKey, now.dayIndex));
+    if (changes.length) entries.push(taskActivity(req, moved ? "move" : "update", { weekKey, ...now, changes }));
+  }
+  for (const [id, was] of before) {
+    if (!after.has(id)) entries.push(taskActivity(req, "delete", { weekKey, ...was }));
+  }
+  return entries;
+}
+
+// Entry for `note`; like taskActivity, `before` is the note before an update
+export function noteActivity(req, action, note, before = null) {
+  let changes = [];
+  if (action === "create" || action === "import") changes = diffFields(null, note, NOTE_HISTORY_FIELDS);
+  else if (action === "update") changes = diffFields(before, note, NOTE_HISTORY_FIELDS);
+  return entry(req, {
+    entity: "note",
+    entityId: String(note._id),
+    action,
+    label: (note.title || note.body || "").slice(0, LABEL_MAX),
+    changes,
+  });
+}
+
+// An entry as GET /api/activity lists it
+export function describeActivity(item) {
+  return {
+    _id: item._id,
+    entity: item.entity,
+    entityId: item.entityId,
+    action: item.action,
+    label: item.label,
+    weekKey: item.weekKey,
+    dayIndex: item.dayIndex,
+    changes: item.changes,
+    actor: { id: item.actor, username: item.actorName },
+    source: item.source,
+    at: item.createdAt,
+  };
+}
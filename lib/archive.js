@@ -0,0 +1,227 @@
+// Account archive for /api/account: every week, recurring series, note and
+// Pomodoro session of a user as one JSON document, plus a CSV of the tasks.
+//
+// An archive carries `format` and `version`. Bump ARCHIVE_VERSION whenever the
+// shape changes, and have readArchive() upgrade the versions it still accepts.
+import { MONDAY, isDateKey, isWeekStart, addDays } from "./dates.js";
+import { DETAIL_FIELDS } from "./tasks.js";
+import { ValidationError, isWeekKey, weekKeyError, validateDays, validateTaskUpdate } from "./validation.js";
+import { SERIES_TEXT_MAX, validateRule } from "./recurrence.js";
+import { pickNoteFields } from "./notes.js";
+import { pickSessionFields } from "./sessions.js";
+
+export const ARCHIVE_FORMAT = "productivity-planner-archive";
+export const ARCHIVE_VERSION = 2; // 2: `weekStart`; version 1 weeks all start on Monday
+
+const MAX_ITEMS = { weeks: 5000, recurring: 1000, notes: 10000, sessions: 50000 };
+const OBJECT_ID_RE = /^[0-9a-f]{24}$/i;
+
+// ---- export ----
+
+const id = (doc) => String(doc._id);
+
+export function buildArchive({ username, weekStart, weeks, recurring, notes, sessions, now = new Date() }) {
+  return {
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    exportedAt: now.toISOString(),
+    account: { username },
+    weekStart, // first day of the archived weeks, see lib/dates.js
+    weeks: weeks.map(({ weekKey, days }) => ({ weekKey, days: days || {} })),
+    recurring: recurring.map((s) => ({ _id: id(s), text: s.text, rule: s.rule, exceptions: s.exceptions || [] })),
+    notes: notes.map((n) => ({
+      _id: id(n),
+      title: n.title,
+      body: n.body,
+      tags: n.tags,
+      pinned: n.pinned,
+      createdAt: n.createdAt,
+      updatedAt: n.updatedAt,
+    })),
+    sessions: sessions.map((s) => ({
+      _id: id(s),
+      date: s.date,
+      startedAt: s.startedAt,
+      endedAt: s.endedAt,
+      durationSeconds: s.durationSeconds,
+      taskId: s.taskId,
+      weekKey: s.weekKey,
+      dayIndex: s.dayIndex,
+      taskText: s.taskText,
+    })),
+  };
+}
+
+const CSV_COLUMNS = [
+  "date", "weekKey", "dayIndex", "id", "text", "status",
+  ...DETAIL_FIELDS, "carriedFrom", "carriedTo",
+];
+
+function csvCell(value) {
+  if (value === undefined || value === null) return "";
+  let text = Array.isArray(value) ? value.join(", ") : String(value);
+  // keep spreadsheet apps from running a task text as a formula
+  if (/^[=+\-@\t\r]/.test(text)) text = "'" + text;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One row per stored task, in date order. Recurring series only live in the JSON archive.
+export function tasksToCsv(weeks) {
+  const rows = [CSV_COLUMNS.join(",")];
+  const sorted = [...weeks].sort((a, b) => a.weekKey.localeCompare(b.weekKey));
+  for (const { weekKey, days } of sorted) {
+    for (let dayIndex = 0; dayIndex < 7; dayIndex++) {
+      const tasks = (days && days[dayIndex]) || [];
+      if (!Array.isArray(tasks)) continue;
+      for (const task of tasks) {
+        const row = {
+          ...task,
+          date: addDays(weekKey, dayIndex),
+          weekKey,
+          dayIndex,
+          checklist: (task.checklist || []).map((item) => `[${item.done ? "x" : " "}] ${item.text}`).join("; "),
+        };
+        rows.push(CSV_COLUMNS.map((column) => csvCell(row[column])).join(","));
+      }
+    }
+  }
+  return rows.join("\r\n") + "\r\n";
+}
+
+// ---- restore ----
+
+// Run `fn`, prefixing the field of a ValidationError it throws with `path`
+function within(path, fn) {
+  try {
+    return fn();
+  } catch (err) {
+    if (err instanceof ValidationError) throw new ValidationError(`${path}.${err.field}`, err.message);
+    throw err;
+  }
+}
+
+function list(archive, key) {
+  const value = archive[key] === undefined ? [] : archive[key];
+  if (!Array.isArray(value)) throw new ValidationError(key, `'${key}' must be an array`);
+  if (value.length > MAX_ITEMS[key]) {
+    throw new ValidationError(key, `An archive can hold at most ${MAX_ITEMS[key]} ${key}`);
+  }
+  return value;
+}
+
+function object(value, path) {
+  if (!value || typeof value !== "object" || Array.isArray(value)) {
+    throw new ValidationError(path, "Must be an object");
+  }
+  return value;
+}
+
+// The archived _id, kept on restore so merging the same archive twice adds nothing
+function archivedId(doc, path) {
+  if (doc._id === undefined) return undefined;
+  if (typeof doc._id !== "string" || !OBJECT_ID_RE.test(doc._id)) {
+    throw new ValidationError(`${path}._id`, "'_id' must be a 24 character hex id");
+  }
+  return doc._id;
+}
+
+function archivedDate(value) {
+  const date = new Date(value);
+  return value && !Number.isNaN(date.getTime()) ? date : undefined;
+}
+
+function readWeeks(archive, weekStart) {
+  const seen = new Set();
+  return list(archive, "weeks").map((raw, i) => {
+    const path = `weeks.${i}`;
+    const week = object(raw, path);
+    if (!isWeekKey(week.weekKey, weekStart)) {
+      const { message } = weekKeyError("weekKey", weekStart);
+      throw new ValidationError(`${path}.weekKey`, message);
+    }
+    if (seen.has(week.weekKey)) throw new ValidationError(`${path}.weekKey`, `Duplicate week '${week.weekKey}'`);
+    seen.add(week.weekKey);
+    return { weekKey: week.weekKey, days: within(path, () => validateDays(week.days)) };
+  });
+}
+
+function readRecurring(archive) {
+  return list(archive, "recurring").map((raw, i) => {
+    const path = `recurring.${i}`;
+    const series = object(raw, path);
+    if (typeof series.text !== "string" || !series.text.trim()) {
+      throw new ValidationError(`${path}.text`, "'text' is required");
+    }
+    const { rule, error } = validateRule(series.rule);
+    if (error) throw new ValidationError(`${path}.rule`, error);
+
+    const exceptions = series.exceptions === undefined ? [] : series.exceptions;
+    if (!Array.isArray(exceptions)) throw new ValidationError(`${path}.exceptions`, "'exceptions' must be an array");
+    return {
+      _id: archivedId(series, path),
+      text: series.text.trim().slice(0, SERIES_TEXT_MAX),
+      rule,
+      exceptions: exceptions.map((rawException, j) => {
+        const exceptionPath = `${path}.exceptions.${j}`;
+        const { date, deleted, ...fields } = object(rawException, exceptionPath);
+        if (!isDateKey(date)) throw new ValidationError(`${exceptionPath}.date`, "'date' must be a date in YYYY-MM-DD format");
+        if (deleted) return { date, deleted: true };
+        return { date, deleted: false, ...within(exceptionPath, () => validateTaskUpdate(fields)) };
+      }),
+    };
+  });
+}
+
+function readNotes(archive) {
+  return list(archive, "notes").map((raw, i) => {
+    const path = `notes.${i}`;
+    const note = object(raw, path);
+    const { fields, error } = pickNoteFields(note);
+    if (error) throw new ValidationError(path, error);
+    if (!fields.title && !fields.body) throw new ValidationError(path, "A note needs a title or a body");
+    return {
+      _id: archivedId(note, path),
+      ...fields,
+      createdAt: archivedDate(note.createdAt),
+      updatedAt: archivedDate(note.updatedAt),
+    };
+  });
+}
+
+function readSessions(archive) {
+  return list(archive, "sessions").map((raw, i) => {
+    const path = `sessions.${i}`;
+    const { session, error } = pickSessionFields(object(raw, path));
+    if (error) throw new ValidationError(path, error);
+    return { _id: archivedId(raw, path), ...session };
+  });
+}
+
+// Check an uploaded archive and return its validated contents
+// { weekStart, weeks, recurring, notes, sessions }. Throws a ValidationError naming the bad field.
+export function readArchive(input) {
+  const archive = object(input, "body");
+  if (archive.format !== ARCHIVE_FORMAT) {
+    throw new ValidationError("format", `Not a planner archive: 'format' must be '${ARCHIVE_FORMAT}'`);
+  }
+  if (!Number.isInteger(archive.version) || archive.version < 1) {
+    throw new ValidationError("version", "'version' must be a positive whole number");
+  }
+  if (archive.version > ARCHIVE_VERSION) {
+    throw new ValidationError(
+      "version",
+      `Archive version ${archive.version} is newer than this server supports (${ARCHIVE_VERSION})`
+    );
+  }
+
+  const weekStart = archive.version < 2 ? MONDAY : archive.weekStart;
+  if (!isWeekStart(weekStart)) throw new ValidationError("weekStart", "'weekStart' must be 1 (Monday) or 0 (Sunday)");
+
+  return {
+    weekStart,
+    weeks: readWeeks(archive, weekStart),
+    recurring: readRecurring(archive),
+    notes: readNotes(archive),
+    sessions: readSessions(archive),
+  };
+}
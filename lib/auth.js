@@ -0,0 +1,142 @@
+// Sign-in sessions: access tokens, rotating refresh tokens, auth cookies and CSRF tokens.
+//
+// Every login starts an AuthSession for the device. The client gets a short-lived
+// JWT access token naming the session (`sid`) and an opaque refresh token, either in
+// the response body (for API clients, kept in localStorage by older pages) or as
+// HttpOnly cookies (the app's own pages, see middleware/auth.js).
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import AuthSession from "../models/AuthSession.js";
+import User from "../models/User.js";
+import { newOpaqueToken, hashToken } from "./tokens.js";
+
+export const ACCESS_TOKEN_TTL_MS = 15 * 60 * 1000;
+export const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days without using it signs the device out
+const REFRESH_HISTORY = 20; // rotated refresh tokens remembered per session for reuse detection
+
+export const ACCESS_COOKIE = "planner_access";
+export const REFRESH_COOKIE = "planner_refresh";
+
+// Read the secret lazily: dotenv.config() runs in server.js after ES module
+// imports have been evaluated, so process.env is not populated at import time.
+export function jwtSecret() {
+  return process.env.JWT_SECRET || "dev-secret-change-this";
+}
+
+// Sign the access token of `user` for the AuthSession `sessionId`
+export function signToken(user, sessionId) {
+  return jwt.sign({ id: user._id, username: user.username, sid: sessionId }, jwtSecret(), {
+    expiresIn: ACCESS_TOKEN_TTL_MS / 1000,
+  });
+}
+
+export function isSessionActive(sessionId, userId) {
+  return AuthSession.exists({ _id: sessionId, user: userId, revokedAt: null, expiresAt: { $gt: new Date() } });
+}
+
+// Start a session for a device that just signed in
+export async function startSession(req, user) {
+  const { token: refreshToken, tokenHash } = newOpaqueToken();
+  const session = await AuthSession.create({
+    user: user._id,
+    refreshTokenHash: tokenHash,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+    userAgent: (req.get("User-Agent") || "").slice(0, 200),
+    ip: req.ip,
+  });
+  return { session, token: signToken(user, session._id), refreshToken };
+}
+
+// Trade a refresh token for a new access + refresh token. Each refresh token works
+// once; presenting one that was already rotated away means it was copied, so the
+// whole session is revoked. Returns { session, user, token, refreshToken } or { error }
+// ("REFRESH_INVALID" | "REFRESH_REUSED").
+//
+// `graceMs`: the pages' cookies are refreshed by whichever request notices first, so
+// parallel requests can carry the token that was just replaced. Within `graceMs` of
+// the rotation such a request is still let in (as { session, user }, no new tokens).
+export async function rotateSession(refreshToken, { graceMs = 0 } = {}) {
+  const tokenHash = hashToken(refreshToken);
+  const rotated = newOpaqueToken();
+  const now = new Date();
+
+  const session = await AuthSession.findOneAndUpdate(
+    { refreshTokenHash: tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      $set: { refreshTokenHash: rotated.tokenHash, lastUsedAt: now, expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_MS) },
+      $push: { previousTokenHashes: { $each: [tokenHash], $slice: -REFRESH_HISTORY } },
+    },
+    { new: true }
+  );
+  if (session) {
+    const user = await User.findById(session.user);
+    if (!user) return { error: "REFRESH_INVALID" };
+    return { session, user, token: signToken(user, session._id), refreshToken: rotated.token };
+  }
+
+  const previous = await AuthSession.findOne({ previousTokenHashes: tokenHash, revokedAt: null });
+  if (!previous) return { error: "REFRESH_INVALID" };
+  const justRotated = previous.previousTokenHashes.at(-1) === tokenHash && now - previous.lastUsedAt < graceMs;
+  if (justRotated) {
+    const user = await User.findById(previous.user);
+    return user ? { session: previous, user } : { error: "REFRESH_INVALID" };
+  }
+  await AuthSession.updateOne({ _id: previous._id }, { $set: { revokedAt: now } });
+  return { error: "REFRESH_REUSED" };
+}
+
+// End the session a refresh token belongs to; resolves to that session ({ _id, user })
+// or null
+export function revokeByRefreshToken(refreshToken) {
+  return AuthSession.findOneAndUpdate(
+    { refreshTokenHash: hashToken(refreshToken), revokedAt: null },
+    { $set: { revokedAt: new Date() } },
+    { projection: { user: 1 } }
+  ).lean();
+}
+
+// Sign out every device of a user, except the session `keep` if given
+export function revokeSessions(userId, keep) {
+  const filter = { user: userId, revokedAt: null };
+  if (keep) filter._id = { $ne: keep };
+  return AuthSession.updateMany(filter, { $set: { revokedAt: new Date() } });
+}
+
+// ---- cookies ----
+
+function cookieOptions(maxAge) {
+  return {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === "production" || process.env.COOKIE_SECURE === "true",
+    sameSite: "lax",
+    path: "/",
+    maxAge,
+  };
+}
+
+export function setAuthCookies(res, { token, refreshToken }) {
+  res.cookie(ACCESS_COOKIE, token, cookieOptions(ACCESS_TOKEN_TTL_MS));
+  res.cookie(REFRESH_COOKIE, refreshToken, cookieOptions(REFRESH_TOKEN_TTL_MS));
+}
+
+export function clearAuthCookies(res) {
+  const { maxAge, ...options } = cookieOptions(0);
+  res.clearCookie(ACCESS_COOKIE, options);
+  res.clearCookie(REFRESH_COOKIE, options);
+}
+
+// ---- CSRF ----
+
+// Cookies are sent by the browser on their own, so writes authenticated by cookie must
+// also carry this token, which only our pages can read (<meta name="csrf-token">).
+// It is derived from the session, so it needs no storage and changes with every login.
+export function csrfTokenFor(sessionId) {
+  return crypto.createHmac("sha256", jwtSecret()).update(`csrf:${sessionId}`).digest("base64url");
+}
+
+export function isValidCsrfToken(sessionId, value) {
+  if (typeof value !== "string" || !value) return false;
+  const expected = Buffer.from(csrfTokenFor(sessionId));
+  const given = Buffer.from(value);
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
@@ -0,0 +1,60 @@
+// Shared boards (models/Board.js): a planner of their own next to each user's personal
+// one. Week documents of a board have the board's _id as their `owner`, so the task
+// routes work on either; req.planner says which one a request is about.
+//   owner  - manages the board: renames or deletes it, invites and removes members
+//   editor - reads and changes the board's tasks
+//   viewer - only reads them
+import { ValidationError } from "./validation.js";
+
+export const BOARD_ROLES = ["owner", "editor", "viewer"];
+export const MEMBER_ROLES = ["editor", "viewer"];
+export const BOARD_NAME_MAX = 80;
+export const INVITE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Role of `userId` on `board`, or null if they are not on it
+export function boardRole(board, userId) {
+  if (!board) return null;
+  if (String(board.owner) === String(userId)) return "owner";
+  const member = (board.members || []).find(m => String(m.user) === String(userId));
+  return member ? member.role : null;
+}
+
+export function canEdit(role) {
+  return role === "owner" || role === "editor";
+}
+
+// Filter for the boards `userId` owns or is a member of
+export function memberFilter(userId) {
+  return { $or: [{ owner: userId }, { "members.user": userId }] };
+}
+
+// Ids of everyone on the board, owner first
+export function boardUserIds(board) {
+  return [String(board.owner), ...(board.members || []).map(m => String(m.user))];
+}
+
+export function normaliseEmail(value) {
+  return typeof value === "string" ? value.trim().toLowerCase() : "";
+}
+
+// { name } of POST / PUT /api/boards; throws ValidationError
+export function pickBoardName(body) {
+  const { name } = body || {};
+  if (typeof name !== "string" || !name.trim()) throw new ValidationError("name", "'name' is required");
+  if (name.trim().length > BOARD_NAME_MAX) throw new ValidationError("name", `'name' cannot exceed ${BOARD_NAME_MAX} characters`);
+  return name.trim();
+}
+
+export function pickMemberRole(value, field = "role") {
+  if (!MEMBER_ROLES.includes(value)) throw new ValidationError(field, `'${field}' must be one of ${MEMBER_ROLES.join(", ")}`);
+  return value;
+}
+
+// { email, role } of an invite; throws ValidationError
+export function pickInvite(body) {
+  const email = normaliseEmail(body && body.email);
+  if (!EMAIL_RE.test(email)) throw new ValidationError("email", "'email' must be an email address");
+  return { email, role: pickMemberRole(body && body.role) };
+}
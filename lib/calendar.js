@@ -0,0 +1,29 @@
+// A user's calendar settings: { timezone, weekStart } (see models/User.js, lib/dates.js)
+import { MONDAY, isTimeZone, isWeekStart } from "./dates.js";
+import { ValidationError } from "./validation.js";
+
+// Settings of a User document (or lean object), with defaults for users saved before
+// they existed. A null timezone means "whatever the browser is set to"; the server
+// then works in UTC.
+export function calendarOf(user) {
+  return {
+    timezone: user && isTimeZone(user.timezone) ? user.timezone : null,
+    weekStart: user && isWeekStart(user.weekStart) ? user.weekStart : MONDAY,
+  };
+}
+
+// The settings present in a request body; throws ValidationError
+export function pickCalendarFields(body = {}) {
+  const fields = {};
+  if (body.timezone !== undefined) {
+    if (body.timezone !== null && body.timezone !== "" && !isTimeZone(body.timezone)) {
+      throw new ValidationError("timezone", "'timezone' must be an IANA time zone such as Europe/Berlin, or null");
+    }
+    fields.timezone = body.timezone || null;
+  }
+  if (body.weekStart !== undefined) {
+    if (!isWeekStart(body.weekStart)) throw new ValidationError("weekStart", "'weekStart' must be 1 (Monday) or 0 (Sunday)");
+    fields.weekStart = body.weekStart;
+  }
+  return fields;
+}
@@ -0,0 +1,84 @@
+// Date-key helpers shared by the API routes and the browser (served as /dates.js, so
+// this module must not import anything).
+// A date key is a calendar date "YYYY-MM-DD"; a weekKey is the date key of the first
+// day of the week (the user's Monday or Sunday, see WEEK_STARTS) and days[0..6] run
+// from that day. All math is done in UTC on the strings so neither the server's nor
+// the browser's own timezone ever shifts a date; "today" is asked for in the user's
+// IANA timezone.
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// First day of the week, numbered like Date#getUTCDay()
+export const MONDAY = 1;
+export const SUNDAY = 0;
+export const WEEK_STARTS = [MONDAY, SUNDAY];
+export const DEFAULT_TIMEZONE = "UTC";
+
+const WEEKDAY_NAMES = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
+
+export function isDateKey(value) {
+  return typeof value === "string" && DATE_RE.test(value) && !Number.isNaN(Date.parse(value + "T00:00:00Z"));
+}
+
+export function addDays(dateKey, n) {
+  const d = new Date(dateKey + "T00:00:00Z");
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().slice(0, 10);
+}
+
+export function daysBetween(from, to) {
+  return Math.round((Date.parse(to + "T00:00:00Z") - Date.parse(from + "T00:00:00Z")) / DAY_MS);
+}
+
+// 0 = Monday ... 6 = Sunday whatever the week start: the weekday itself, as recurrence
+// rules store it (rule.byDay)
+export function weekdayIndex(dateKey) {
+  return (new Date(dateKey + "T00:00:00Z").getUTCDay() + 6) % 7;
+}
+
+// "Mon" ... "Sun"
+export function weekdayName(dateKey) {
+  return WEEKDAY_NAMES[weekdayIndex(dateKey)];
+}
+
+// Position of dateKey in its week: the day index the planner files it under
+export function dayIndexIn(dateKey, weekStart = MONDAY) {
+  return (new Date(dateKey + "T00:00:00Z").getUTCDay() - weekStart + 7) % 7;
+}
+
+// weekKey of the week containing dateKey
+export function weekKeyOf(dateKey, weekStart = MONDAY) {
+  return addDays(dateKey, -dayIndexIn(dateKey, weekStart));
+}
+
+export function isWeekStart(value) {
+  return WEEK_STARTS.includes(value);
+}
+
+// An IANA timezone name this runtime knows, e.g. "Europe/Berlin"
+export function isTimeZone(value) {
+  if (typeof value !== "string" || !value) return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: value });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+// Calendar date of the instant `date` on the clocks of `timeZone`
+export function dateKeyIn(date, timeZone = DEFAULT_TIMEZONE) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+  }).formatToParts(date);
+  const part = (type) => parts.find((p) => p.type === type).value;
+  return `${part("year")}-${part("month")}-${part("day")}`;
+}
+
+export function todayIn(timeZone = DEFAULT_TIMEZONE) {
+  return dateKeyIn(new Date(), timeZone);
+}
@@ -0,0 +1,250 @@
+// iCalendar (RFC 5545) export and import of planner tasks, for /api/ical.
+// Only what the planner needs: VTODO / VEVENT with summary, description, date
+// (+ due time), duration, priority, categories (tags) and status.
+//
+// Planner times have no time zone, so they are written as "floating" local times
+// (20251110T093000, no Z) which calendar apps show in the viewer's own zone.
+import { STATUSES } from "./report.js";
+
+const PRODID = "-//Productivity Planner//Weekly Planner//EN";
+// UIDs we write are "<taskId>@<UID_DOMAIN>", so a re-import finds the same task id
+const UID_DOMAIN = "productivity-planner";
+const MAX_COMPONENTS = 2000;
+
+const TODO_STATUS = {
+  "Completed": "COMPLETED",
+  "In Process": "IN-PROCESS",
+  "Abandoned": "CANCELLED",
+  "No status": "NEEDS-ACTION",
+};
+const FROM_ICAL_STATUS = {
+  "COMPLETED": "Completed",
+  "IN-PROCESS": "In Process",
+  "CANCELLED": "Abandoned",
+};
+const PRIORITY_TO_ICAL = { high: 1, medium: 5, low: 9 };
+
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+function unescapeText(value) {
+  return value.replace(/\\([\\;,nN])/g, (_, c) => (c === "n" || c === "N" ? "\n" : c));
+}
+
+// Content lines are folded at 75 octets; continuation lines start with a space
+function fold(line) {
+  if (Buffer.byteLength(line) <= 75) return line;
+  const parts = [];
+  let current = "";
+  let size = 0;
+  for (const ch of line) {
+    const n = Buffer.byteLength(ch);
+    if (size + n > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = "";
+      size = 0;
+    }
+    current += ch;
+    size += n;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+const compactDate = (dateKey) => dateKey.replace(/-/g, "");
+
+// UTC timestamp, e.g. 20251110T101500Z
+function utcStamp(date) {
+  return date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+function nextDay(dateKey) {
+  const d = new Date(dateKey + "T00:00:00Z");
+  d.setUTCDate(d.getUTCDate() + 1);
+  return d.toISOString().slice(0, 10);
+}
+
+// `entries` is [{ task, date: "YYYY-MM-DD" }]; `type` "todo" writes VTODOs, "event" VEVENTs
+export function buildCalendar(entries, { type = "todo", now = new Date() } = {}) {
+  const component = type === "event" ? "VEVENT" : "VTODO";
+  const lines = ["BEGIN:VCALENDAR", "VERSION:2.0", `PRODID:${PRODID}`, "CALSCALE:GREGORIAN"];
+
+  for (const { task, date } of entries) {
+    const status = STATUSES.includes(task.status) ? task.status : "No status";
+    const start = task.dueTime ? `${compactDate(date)}T${task.dueTime.replace(":", "")}00` : null;
+
+    lines.push(`BEGIN:${component}`);
+    lines.push(`UID:${escapeText(task.id)}@${UID_DOMAIN}`);
+    lines.push(`DTSTAMP:${utcStamp(now)}`);
+    lines.push(`SUMMARY:${escapeText(task.text)}`);
+    if (task.description) lines.push(`DESCRIPTION:${escapeText(task.description)}`);
+
+    if (type === "event") {
+      if (start) {
+        lines.push(`DTSTART:${start}`);
+        if (task.estimateMinutes) lines.push(`DURATION:PT${task.estimateMinutes}M`);
+      } else {
+        lines.push(`DTSTART;VALUE=DATE:${compactDate(date)}`);
+        lines.push(`DTEND;VALUE=DATE:${compactDate(nextDay(date))}`);
+      }
+      // events only know confirmed / cancelled; the planner status goes in X-PLANNER-STATUS
+      lines.push(`STATUS:${status === "Abandoned" ? "CANCELLED" : "CONFIRMED"}`);
+    } else {
+      lines.push(start ? `DUE:${start}` : `DUE;VALUE=DATE:${compactDate(date)}`);
+      lines.push(`STATUS:${TODO_STATUS[status]}`);
+    }
+
+    if (task.priority) lines.push(`PRIORITY:${PRIORITY_TO_ICAL[task.priority]}`);
+    if (task.tags && task.tags.length) lines.push(`CATEGORIES:${task.tags.map(escapeText).join(",")}`);
+    if (task.estimateMinutes) lines.push(`X-PLANNER-ESTIMATE:${task.estimateMinutes}`);
+    lines.push(`X-PLANNER-STATUS:${escapeText(status)}`);
+    lines.push(`END:${component}`);
+  }
+
+  lines.push("END:VCALENDAR");
+  return lines.map(fold).join("\r\n") + "\r\n";
+}
+
+// Unfolded content lines as { name, params, value }
+function parseLines(text) {
+  return text
+    .replace(/\r?\n[ \t]/g, "")
+    .split(/\r?\n/)
+    .filter(Boolean)
+    .map((line) => {
+      // the value starts at the first ":" outside a quoted parameter value
+      let quoted = false;
+      let i = 0;
+      for (; i < line.length; i++) {
+        if (line[i] === '"') quoted = !quoted;
+        else if (line[i] === ":" && !quoted) break;
+      }
+      const [name, ...paramParts] = line.slice(0, i).split(";");
+      const params = {};
+      for (const part of paramParts) {
+        const [key, ...rest] = part.split("=");
+        params[key.toUpperCase()] = rest.join("=").replace(/^"|"$/g, "");
+      }
+      return { name: name.toUpperCase(), params, value: line.slice(i + 1) };
+    });
+}
+
+// Wall-clock date and time of a UTC instant in `timeZone`
+function inTimeZone(instant, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-CA", {
+      timeZone,
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      hourCycle: "h23",
+    }).formatToParts(instant).map((p) => [p.type, p.value])
+  );
+  return { date: `${parts.year}-${parts.month}-${parts.day}`, time: `${parts.hour}:${parts.minute}` };
+}
+
+// DATE or DATE-TIME value -> { date: "YYYY-MM-DD", time: "HH:MM" | null, instant }
+function parseDateValue(value, timeZone) {
+  const m = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value.trim());
+  if (!m) return null;
+  const [, y, mo, d, h, mi, s, utc] = m;
+  const date = `${y}-${mo}-${d}`;
+  if (!h) return { date, time: null, instant: Date.UTC(+y, mo - 1, +d) };
+
+  const instant = Date.UTC(+y, mo - 1, +d, +h, +mi, +s);
+  // a UTC time is shown in the importing user's zone; floating and TZID times are
+  // taken as the wall-clock time they name
+  if (utc && timeZone) return { ...inTimeZone(new Date(instant), timeZone), instant };
+  return { date, time: `${h}:${mi}`, instant };
+}
+
+// PT1H30M, P1D, ... -> minutes
+function parseDuration(value) {
+  const m = /^P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value.trim());
+  if (!m) return null;
+  const [, w = 0, d = 0, h = 0, min = 0] = m.map((v) => (v === undefined ? 0 : Number(v)));
+  return ((w * 7 + d) * 24 + h) * 60 + min;
+}
+
+function priorityFromIcal(value) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 1 || n > 9) return undefined;
+  return n < 5 ? "high" : n === 5 ? "medium" : "low";
+}
+
+// One VTODO / VEVENT -> { uid, plannerId, date, task } or null when it has no summary or date
+function componentToItem(kind, props, timeZone) {
+  const first = (name) => props.find((p) => p.name === name);
+  const summary = first("SUMMARY") && unescapeText(first("SUMMARY").value).trim();
+  const dateProp = kind === "VTODO" ? first("DUE") || first("DTSTART") : first("DTSTART");
+  const when = dateProp && parseDateValue(dateProp.value, timeZone);
+  if (!summary || !when) return null;
+
+  const task = { text: summary.slice(0, 200) };
+
+  const plannerStatus = first("X-PLANNER-STATUS") && unescapeText(first("X-PLANNER-STATUS").value);
+  const icalStatus = first("STATUS") && first("STATUS").value.trim().toUpperCase();
+  task.status = STATUSES.includes(plannerStatus) ? plannerStatus : FROM_ICAL_STATUS[icalStatus] || "No status";
+
+  if (when.time) task.dueTime = when.time;
+  const description = first("DESCRIPTION") && unescapeText(first("DESCRIPTION").value).trim();
+  if (description) task.description = description.slice(0, 2000);
+  const priority = first("PRIORITY") && priorityFromIcal(first("PRIORITY").value);
+  if (priority) task.priority = priority;
+
+  // CATEGORIES may repeat and holds comma separated values (commas in a value are escaped)
+  const tags = props
+    .filter((p) => p.name === "CATEGORIES")
+    .flatMap((p) => p.value.split(/(?<!\\),/).map((t) => unescapeText(t).trim().toLowerCase()))
+    .filter(Boolean);
+  if (tags.length) task.tags = [...new Set(tags)].slice(0, 20);
+
+  let minutes = first("X-PLANNER-ESTIMATE") ? Number(first("X-PLANNER-ESTIMATE").value) : null;
+  if (!minutes && first("DURATION")) minutes = parseDuration(first("DURATION").value);
+  if (!minutes && when.time && first("DTEND")) {
+    const end = parseDateValue(first("DTEND").value, timeZone);
+    if (end) minutes = Math.round((end.instant - when.instant) / 60000);
+  }
+  if (Number.isInteger(minutes) && minutes > 0) task.estimateMinutes = Math.min(minutes, 1440);
+
+  const uid = first("UID") ? unescapeText(first("UID").value).trim() : "";
+  const suffix = `@${UID_DOMAIN}`;
+  const plannerId = uid.endsWith(suffix) ? uid.slice(0, -suffix.length) : null;
+  return { uid, plannerId, date: when.date, task };
+}
+
+// Tasks in an .ics file -> { items: [{ uid, plannerId, date, task }], skipped }.
+// `timeZone` (IANA name) places UTC times on the user's local day.
+export function parseCalendar(text, { timeZone } = {}) {
+  const items = [];
+  let skipped = 0;
+  // stack of open components; properties of a nested VALARM are not the task's
+  const stack = [];
+  let props = null;
+
+  for (const line of parseLines(text)) {
+    if (line.name === "BEGIN") {
+      stack.push(line.value.trim().toUpperCase());
+      if (stack[stack.length - 1] === "VTODO" || stack[stack.length - 1] === "VEVENT") props = [];
+    } else if (line.name === "END") {
+      const kind = stack.pop();
+      if ((kind === "VTODO" || kind === "VEVENT") && props) {
+        const item = componentToItem(kind, props, timeZone);
+        if (item) items.push(item);
+        else skipped++;
+        props = null;
+        if (items.length + skipped > MAX_COMPONENTS) break;
+      }
+    } else if (props && (stack[stack.length - 1] === "VTODO" || stack[stack.length - 1] === "VEVENT")) {
+      props.push(line);
+    }
+  }
+  return { items, skipped };
+}
@@ -0,0 +1,109 @@
+// Live updates for open planners over Server-Sent Events (GET /api/tasks/events).
+//
+// Every write to a planner's tasks is published to the streams open on that planner
+// (a user's own, or a shared board: `owner` as in req.planner), except the stream of the
+// browser tab that made the change, which names itself in the X-Planner-Tab header.
+// Streams live in this process: with several server processes, only clients connected
+// to the one that handled the write hear about it.
+//
+// A stream belongs to the session (AuthSession) that opened it. Signing out, "sign out
+// all devices" and password changes end the streams of the sessions they revoke
+// (closeSessionStreams); any other end of a session is noticed at the next heartbeat.
+const HEARTBEAT_MS = 25 * 1000; // keeps proxies from closing an idle stream
+const RETRY_MS = 5000;          // how long EventSource waits before reconnecting
+
+const streams = new Map(); // owner -> Set<{ res, tab, userId, sid }>
+
+function send(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  // compression() buffers the response otherwise
+  if (typeof res.flush === "function") res.flush();
+}
+
+// Tell the client why and end the stream; "closed" makes the page load again
+function endStream(owner, stream, reason) {
+  const set = streams.get(owner);
+  if (!set || !set.delete(stream)) return;
+  if (!set.size) streams.delete(owner);
+  send(stream.res, "closed", { reason });
+  stream.res.end();
+}
+
+// Turn `res` into an event stream for `owner`'s planner until the client goes away.
+// `isActive()` is asked at every heartbeat whether the session `sid` still is.
+export function openStream(req, res, { owner, tab, userId, sid, isActive }) {
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // nginx: pass events through as they come
+  });
+  res.status(200);
+  res.write(`retry: ${RETRY_MS}\n\n`);
+  send(res, "ready", { owner });
+
+  owner = String(owner);
+  const stream = { res, tab, userId: String(userId), sid: String(sid) };
+  if (!streams.has(owner)) streams.set(owner, new Set());
+  streams.get(owner).add(stream);
+
+  const heartbeat = setInterval(async () => {
+    let active = true;
+    try {
+      active = !isActive || !!(await isActive());
+    } catch (err) {
+      console.error("Could not check the session of a live stream:", err);
+    }
+    if (!active) return endStream(owner, stream, "session");
+    res.write(": ping\n\n");
+    if (typeof res.flush === "function") res.flush();
+  }, HEARTBEAT_MS);
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    const set = streams.get(owner);
+    if (!set) return;
+    set.delete(stream);
+    if (!set.size) streams.delete(owner);
+  });
+}
+
+// Send a task event to everyone watching `owner`'s planner but the tab `fromTab`
+export function publish(owner, event, fromTab) {
+  const set = streams.get(String(owner));
+  if (!set) return;
+  for (const stream of set) {
+    if (fromTab && stream.tab === fromTab) continue;
+    send(stream.res, "task", event);
+  }
+}
+
+// End the streams of `userId` on `owner` (every stream without a userId), e.g. once
+// they are removed from a board or the board is deleted
+export function closeStreams(owner, userId = null) {
+  const set = streams.get(String(owner));
+  if (!set) return;
+  for (const stream of set) {
+    if (userId && stream.userId !== String(userId)) continue;
+    endStream(String(owner), stream, "access");
+  }
+}
+
+// End every stream of `userId`'s sessions but `exceptSid`, on any planner, once those
+// sessions are revoked
+export function closeSessionStreams(userId, exceptSid = null) {
+  for (const [owner, set] of streams) {
+    for (const stream of set) {
+      if (stream.userId !== String(userId) || (exceptSid && stream.sid === String(exceptSid))) continue;
+      endStream(owner, stream, "session");
+    }
+  }
+}
+
+// End the streams of the one session `sid` (signing out on one device)
+export function closeStreamsOfSession(sid) {
+  for (const [owner, set] of streams) {
+    for (const stream of set) {
+      if (stream.sid === String(sid)) endStream(owner, stream, "session");
+    }
+  }
+}
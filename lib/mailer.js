@@ -0,0 +1,48 @@
+// Outgoing mail (password reset links, ...).
+//
+// A transport is an async function ({ to, subject, text }) => void. MAIL_TRANSPORT
+// picks a built-in one: "console" (default) prints the message, "file" writes it
+// to MAIL_DIR (default tmp/mail) as a .eml file. Production setups plug in their
+// own provider with setTransport().
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+
+function format({ to, subject, text }, from) {
+  return [`From: ${from}`, `To: ${to}`, `Subject: ${subject}`, `Date: ${new Date().toUTCString()}`, "", text].join("\r\n");
+}
+
+function mailFrom() {
+  return process.env.MAIL_FROM || "Productivity Planner <no-reply@localhost>";
+}
+
+export async function consoleTransport(message) {
+  console.log(`✉️  Mail\n${format(message, mailFrom())}\n`);
+}
+
+export function fileTransport(dir) {
+  return async (message) => {
+    await fs.mkdir(dir, { recursive: true });
+    const name = `${new Date().toISOString().replace(/[:.]/g, "-")}-${crypto.randomBytes(3).toString("hex")}.eml`;
+    await fs.writeFile(path.join(dir, name), format(message, mailFrom()));
+  };
+}
+
+let transport = null;
+
+// Use `fn` for every message from now on (e.g. an SMTP or HTTP API client)
+export function setTransport(fn) {
+  transport = fn;
+}
+
+// Read lazily, like the JWT secret: dotenv runs after the imports are evaluated
+function defaultTransport() {
+  if (process.env.MAIL_TRANSPORT === "file") {
+    return fileTransport(process.env.MAIL_DIR || path.join(process.cwd(), "tmp", "mail"));
+  }
+  return consoleTransport;
+}
+
+export async function sendMail(message) {
+  await (transport || defaultTransport())(message);
+}
@@ -0,0 +1,29 @@
+// Helpers for the notes of /api/notes
+
+// Pick and validate the editable note fields from a request body.
+// Only the fields that are present are returned, so PUT can do partial updates.
+export function pickNoteFields(body = {}) {
+  // e.g. a null or a string among the notes of an import
+  if (typeof body !== "object" || body === null || Array.isArray(body)) return { error: "A note must be an object" };
+  const fields = {};
+  if (body.title !== undefined) {
+    if (typeof body.title !== "string") return { error: "'title' must be a string" };
+    fields.title = body.title.trim().slice(0, 200);
+  }
+  if (body.body !== undefined) {
+    if (typeof body.body !== "string") return { error: "'body' must be a string" };
+    fields.body = body.body.slice(0, 20000);
+  }
+  if (body.tags !== undefined) {
+    if (!Array.isArray(body.tags) || body.tags.some(t => typeof t !== "string")) {
+      return { error: "'tags' must be an array of strings" };
+    }
+    // lowercase, trimmed, no empties, no duplicates
+    fields.tags = [...new Set(body.tags.map(t => t.trim().toLowerCase()).filter(Boolean))].slice(0, 20);
+  }
+  if (body.pinned !== undefined) {
+    if (typeof body.pinned !== "boolean") return { error: "'pinned' must be a boolean" };
+    fields.pinned = body.pinned;
+  }
+  return { fields };
+}
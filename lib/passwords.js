@@ -0,0 +1,11 @@
+// Password policy and password reset settings
+
+// 6+ chars, at least one letter and one number (same rule as the signup form)
+const PASSWORD_PATTERN = /^(?=.*[A-Za-z])(?=.*\d)[A-Za-z\d@$!%*?&]{6,}$/;
+export const PASSWORD_RULES = "Password must be at least 6 characters with letters and numbers";
+
+export function isValidPassword(password) {
+  return typeof password === "string" && PASSWORD_PATTERN.test(password);
+}
+
+export const RESET_TOKEN_TTL_MS = 60 * 60 * 1000; // 1 hour
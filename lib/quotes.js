@@ -0,0 +1,89 @@
+// Quote of the day for the home page.
+//
+// Quotes come from the collection bundled in data/quotes.json. If QUOTES_URL is set,
+// quotes fetched from there in the background are added to the pool (refreshed every
+// QUOTES_REFRESH_HOURS, default 24); the home page never waits for the network.
+// The quote picked for a day is cached for as long as it is that day somewhere, so a
+// refresh of the pool never changes a day's quote once it has been shown.
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { fileURLToPath } from "url";
+import axios from "axios";
+import { addDays, todayIn } from "./dates.js";
+
+const BUNDLED_FILE = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "data", "quotes.json");
+const REMOTE_TIMEOUT_MS = 5000;
+const MAX_REMOTE_QUOTES = 500;
+export const QUOTE_TEXT_MAX = 500;
+export const QUOTE_AUTHOR_MAX = 100;
+
+// Stable id of a quote from its words, so favourites survive a restart or a refresh
+export function quoteId({ text, author }) {
+  return "q_" + crypto.createHash("sha1").update(`${text}\n${author}`).digest("hex").slice(0, 16);
+}
+
+// { text, author } with both trimmed and within the limits, or null
+export function normaliseQuote(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  const text = raw.text ?? raw.quote; // api-ninjas and similar services call it "quote"
+  if (typeof text !== "string" || !text.trim() || text.trim().length > QUOTE_TEXT_MAX) return null;
+  const author = typeof raw.author === "string" && raw.author.trim() ? raw.author.trim().slice(0, QUOTE_AUTHOR_MAX) : "Unknown";
+  return { text: text.trim(), author };
+}
+
+function withIds(quotes, source) {
+  return quotes.map(normaliseQuote).filter(Boolean).map(q => ({ id: quoteId(q), ...q, source }));
+}
+
+const bundled = withIds(JSON.parse(fs.readFileSync(BUNDLED_FILE, "utf8")), "bundled");
+let remote = [];
+const picked = new Map(); // dateKey -> quote
+
+function pool() {
+  const seen = new Set();
+  return [...bundled, ...remote].filter(q => !seen.has(q.id) && seen.add(q.id));
+}
+
+export function findQuote(id) {
+  return pool().find(q => q.id === id) || null;
+}
+
+// The quote of `dateKey` (YYYY-MM-DD): the same for everyone on that day
+export function quoteOfTheDay(dateKey) {
+  if (picked.has(dateKey)) return picked.get(dateKey);
+  const quotes = pool();
+  const n = parseInt(crypto.createHash("sha1").update(dateKey).digest("hex").slice(0, 8), 16);
+  const quote = quotes[n % quotes.length];
+
+  // some timezone is on the UTC day before or after; days no one is on any more go
+  const utcToday = todayIn("UTC");
+  const current = new Set([addDays(utcToday, -1), utcToday, addDays(utcToday, 1)]);
+  for (const key of picked.keys()) if (!current.has(key)) picked.delete(key);
+  if (current.has(dateKey)) picked.set(dateKey, quote);
+  return quote;
+}
+
+// Fetch QUOTES_URL (a JSON array of { quote | text, author }, or one such object) and add
+// its quotes to the pool. QUOTES_API_KEY is sent as X-Api-Key. Failures keep the old pool.
+export async function refreshRemoteQuotes() {
+  const url = process.env.QUOTES_URL;
+  if (!url) return;
+  try {
+    const headers = process.env.QUOTES_API_KEY ? { "X-Api-Key": process.env.QUOTES_API_KEY } : {};
+    const { data } = await axios.get(url, { headers, timeout: REMOTE_TIMEOUT_MS });
+    const fetched = withIds([].concat(data).slice(0, MAX_REMOTE_QUOTES), "remote");
+    const known = new Set(remote.map(q => q.id));
+    remote = [...remote, ...fetched.filter(q => !known.has(q.id))].slice(-MAX_REMOTE_QUOTES);
+  } catch (err) {
+    console.warn("Quote refresh failed:", err.message);
+  }
+}
+
+// Background refresh, started once by server.js; does nothing without QUOTES_URL
+export function startQuoteRefresh() {
+  if (!process.env.QUOTES_URL) return;
+  const hours = Number(process.env.QUOTES_REFRESH_HOURS) || 24;
+  refreshRemoteQuotes();
+  setInterval(refreshRemoteQuotes, hours * 60 * 60 * 1000).unref();
+}
@@ -0,0 +1,158 @@
+// Recurring task rules and their expansion into planner weeks.
+//
+// A series (models/RecurringTask.js) never lives inside a Week document; its
+// occurrences are generated on read and carry an id of the form
+// "rec_<seriesId>_<YYYY-MM-DD>". Edits to a single occurrence are stored as
+// exceptions on the series, so the rest of the series is left untouched.
+import { isDateKey, addDays, daysBetween, weekdayIndex, weekKeyOf } from "./dates.js";
+import { DETAIL_FIELDS } from "./tasks.js";
+
+export const FREQUENCIES = ["daily", "weekdays", "weekly"];
+export const SERIES_TEXT_MAX = 500; // as models/RecurringTask.js allows
+
+const OCCURRENCE_RE = /^rec_([a-f0-9]{24})_(\d{4}-\d{2}-\d{2})$/;
+
+export function occurrenceId(seriesId, date) {
+  return `rec_${seriesId}_${date}`;
+}
+
+// { seriesId, date } for an occurrence id, null for an ordinary task id
+export function parseOccurrenceId(taskId) {
+  const match = OCCURRENCE_RE.exec(taskId || "");
+  return match ? { seriesId: match[1], date: match[2] } : null;
+}
+
+// Validate a rule from a request body. Returns { rule } or { error }.
+export function validateRule(input) {
+  if (!input || typeof input !== "object") return { error: "'rule' must be an object" };
+
+  const { freq, startDate } = input;
+  if (!FREQUENCIES.includes(freq)) return { error: `'rule.freq' must be one of ${FREQUENCIES.join(", ")}` };
+  if (!isDateKey(startDate)) return { error: "'rule.startDate' must be a date in YYYY-MM-DD format" };
+
+  const rule = { freq, startDate, interval: 1, byDay: [], until: null, count: null };
+
+  if (freq === "weekly") {
+    const interval = input.interval === undefined ? 1 : input.interval;
+    if (!Number.isInteger(interval) || interval < 1 || interval > 52) {
+      return { error: "'rule.interval' must be a whole number of weeks between 1 and 52" };
+    }
+    const byDay = input.byDay === undefined ? [weekdayIndex(startDate)] : input.byDay;
+    if (!Array.isArray(byDay) || !byDay.length || byDay.some(d => !Number.isInteger(d) || d < 0 || d > 6)) {
+      return { error: "'rule.byDay' must be a non-empty array of day indexes 0 (Mon) to 6 (Sun)" };
+    }
+    rule.interval = interval;
+    rule.byDay = [...new Set(byDay)].sort();
+  }
+
+  if (input.until != null && input.count != null) {
+    return { error: "Give either 'rule.until' or 'rule.count', not both" };
+  }
+  if (input.until != null) {
+    if (!isDateKey(input.until) || input.until < startDate) {
+      return { error: "'rule.until' must be a date on or after 'rule.startDate'" };
+    }
+    rule.until = input.until;
+  }
+  if (input.count != null) {
+    if (!Number.isInteger(input.count) || input.count < 1 || input.count > 1000) {
+      return { error: "'rule.count' must be a whole number between 1 and 1000" };
+    }
+    rule.count = input.count;
+  }
+
+  return { rule };
+}
+
+function matchesRule(rule, date) {
+  const weekday = weekdayIndex(date);
+  if (rule.freq === "daily") return true;
+  if (rule.freq === "weekdays") return weekday < 5;
+
+  // weekly: chosen days, in every `interval`-th week counted from the start week
+  if (!rule.byDay.includes(weekday)) return false;
+  const weeksSinceStart = daysBetween(weekKeyOf(rule.startDate), weekKeyOf(date)) / 7;
+  return weeksSinceStart % (rule.interval || 1) === 0;
+}
+
+// Dates (YYYY-MM-DD) in [from, to] on which the series occurs, before exceptions.
+// `count` is counted from the start of the series, so deleting one occurrence
+// doesn't push another one onto the end.
+export function occurrenceDates(rule, from, to) {
+  const dates = [];
+  const last = rule.until && rule.until < to ? rule.until : to;
+  // without a count the occurrences before `from` don't matter
+  let date = rule.count || rule.startDate > from ? rule.startDate : from;
+  let seen = 0;
+
+  while (date <= last) {
+    if (matchesRule(rule, date)) {
+      seen++;
+      if (rule.count && seen > rule.count) break;
+      if (date >= from) dates.push(date);
+    }
+    date = addDays(date, 1);
+  }
+  return dates;
+}
+
+// One series occurrence as a planner task, with its exception applied.
+// Returns null if that occurrence was deleted.
+export function buildOccurrence(series, date) {
+  const exception = (series.exceptions || []).find(e => e.date === date);
+  if (exception && exception.deleted) return null;
+
+  const seriesId = String(series._id);
+  const task = {
+    id: occurrenceId(seriesId, date),
+    text: (exception && exception.text) || series.text,
+    status: (exception && exception.status) || "No status",
+    seriesId,
+    occurrenceDate: date,
+    rule: series.rule,
+  };
+  // priority, due time, ... set on this one occurrence
+  for (const key of DETAIL_FIELDS) {
+    const value = exception && exception[key];
+    if (value != null && !(Array.isArray(value) && !value.length)) task[key] = value;
+  }
+  return task;
+}
+
+// Occurrences of every series falling in the week starting weekKey, as { dayIndex: [task] }
+export function expandIntoWeek(seriesList, weekKey) {
+  const days = {};
+  const weekEnd = addDays(weekKey, 6);
+
+  for (const series of seriesList) {
+    for (const date of occurrenceDates(series.rule, weekKey, weekEnd)) {
+      const task = buildOccurrence(series, date);
+      if (!task) continue;
+      const dayIndex = daysBetween(weekKey, date);
+      (days[dayIndex] = days[dayIndex] || []).push(task);
+    }
+  }
+  return days;
+}
+
+// Occurrences in [from, to] grouped as week-like docs, so the report can treat
+// them the same as stored weeks.
+export function expandIntoWeeks(seriesList, from, to) {
+  const weeks = [];
+  for (let weekKey = weekKeyOf(from); weekKey <= to; weekKey = addDays(weekKey, 7)) {
+    const days = expandIntoWeek(seriesList, weekKey);
+    if (Object.keys(days).length) weeks.push({ weekKey, days });
+  }
+  return weeks;
+}
+
+// Stored tasks + generated occurrences for one week. Occurrences go first so a
+// standing meeting sits at the top of its day.
+export function mergeWeekDays(storedDays = {}, occurrenceDays = {}) {
+  const merged = {};
+  for (let i = 0; i < 7; i++) {
+    const tasks = [...(occurrenceDays[i] || []), ...(storedDays[i] || [])];
+    if (tasks.length) merged[i] = tasks;
+  }
+  return merged;
+}
@@ -0,0 +1,144 @@
+// Aggregation for GET /api/report.
+// A task's calendar date is its weekKey + dayIndex (see lib/dates.js).
+import { addDays, dateKeyIn, weekdayIndex } from "./dates.js";
+
+export const STATUSES = ["Completed", "In Process", "Abandoned", "No status"];
+export const WEEKDAYS = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
+
+function emptyCounts() {
+  return Object.fromEntries(STATUSES.map(s => [s, 0]));
+}
+
+function normaliseStatus(status) {
+  return STATUSES.includes(status) ? status : "No status";
+}
+
+// Build the report for weeks overlapping [from, to] (inclusive date keys)
+export function buildReport(weeks, from, to) {
+  const totals = emptyCounts();
+  const byDayOfWeek = WEEKDAYS.map(day => ({ day, ...emptyCounts() }));
+  const months = new Map();
+
+  for (const week of weeks) {
+    const days = week.days || {};
+    for (let i = 0; i < 7; i++) {
+      const tasks = days[i];
+      if (!Array.isArray(tasks) || !tasks.length) continue;
+
+      const date = addDays(week.weekKey, i);
+      if (date < from || date > to) continue;
+
+      const month = date.slice(0, 7);
+      if (!months.has(month)) months.set(month, { month, ...emptyCounts() });
+
+      for (const task of tasks) {
+        const status = normaliseStatus(task && task.status);
+        totals[status]++;
+        // by the weekday of the date, so Sunday- and Monday-start weeks add up alike
+        byDayOfWeek[weekdayIndex(date)][status]++;
+        months.get(month)[status]++;
+      }
+    }
+  }
+
+  const total = STATUSES.reduce((sum, s) => sum + totals[s], 0);
+  const byMonth = [...months.values()].sort((a, b) => a.month.localeCompare(b.month));
+
+  return {
+    from,
+    to,
+    totals: { ...totals, total },
+    // share of all tasks in the range that were completed, 0..1
+    completionRate: total ? Math.round((totals.Completed / total) * 1000) / 1000 : 0,
+    byDayOfWeek,
+    byMonth,
+  };
+}
+
+// Focused minutes from Pomodoro sessions, per day and per planner task
+export function buildFocusReport(sessions) {
+  const byDay = new Map();
+  const byTask = new Map();
+  let totalSeconds = 0;
+
+  for (const session of sessions) {
+    const seconds = session.durationSeconds || 0;
+    totalSeconds += seconds;
+
+    byDay.set(session.date, (byDay.get(session.date) || 0) + seconds);
+
+    const key = session.taskId || "";
+    if (!byTask.has(key)) {
+      byTask.set(key, { taskId: session.taskId || null, text: session.taskId ? session.taskText : "No task", seconds: 0, sessions: 0 });
+    }
+    const entry = byTask.get(key);
+    entry.seconds += seconds;
+    entry.sessions++;
+  }
+
+  const toMinutes = seconds => Math.round(seconds / 60);
+  return {
+    totalMinutes: toMinutes(totalSeconds),
+    sessions: sessions.length,
+    byDay: [...byDay.entries()]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([date, seconds]) => ({ date, minutes: toMinutes(seconds) })),
+    byTask: [...byTask.values()]
+      .sort((a, b) => b.seconds - a.seconds)
+      .map(({ seconds, ...task }) => ({ ...task, minutes: toMinutes(seconds) })),
+  };
+}
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function medianHours(durations) {
+  if (!durations.length) return null;
+  const sorted = [...durations].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  const ms = sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+  return Math.round((ms / HOUR_MS) * 10) / 10;
+}
+
+// Status changes from the activity log (lib/activity.js) whose day in `timeZone` falls in
+// [from, to]. `entries` are the create entries and status changes of the tasks involved,
+// oldest first, earlier ones included so the time spent in the previous status is known.
+//   transitions: [{ from, to, count, medianHours }] hours spent in `from` before the change
+//   timeToComplete: { count, medianHours } from creating a task to marking it Completed
+export function buildStatusTimings(entries, from, to, timeZone) {
+  const tasks = new Map(); // entityId -> { createdAt, since }
+  const transitions = new Map();
+  const completions = [];
+
+  for (const item of entries) {
+    const at = new Date(item.createdAt).getTime();
+    const state = tasks.get(item.entityId) || {};
+    tasks.set(item.entityId, state);
+    const change = (item.changes || []).find(c => c.field === "status");
+    if (item.action === "create" || item.action === "import") {
+      state.createdAt = at;
+      state.since = at;
+      continue;
+    }
+    if (!change) continue;
+
+    const day = dateKeyIn(new Date(at), timeZone);
+    if (day >= from && day <= to) {
+      const previous = normaliseStatus(change.from);
+      const next = normaliseStatus(change.to);
+      const key = `${previous}\n${next}`;
+      if (!transitions.has(key)) transitions.set(key, { from: previous, to: next, durations: [], count: 0 });
+      const transition = transitions.get(key);
+      transition.count++;
+      if (state.since !== undefined) transition.durations.push(at - state.since);
+      if (next === "Completed" && state.createdAt !== undefined) completions.push(at - state.createdAt);
+    }
+    state.since = at;
+  }
+
+  return {
+    transitions: [...transitions.values()]
+      .sort((a, b) => b.count - a.count)
+      .map(({ durations, ...t }) => ({ ...t, medianHours: medianHours(durations) })),
+    timeToComplete: { count: completions.length, medianHours: medianHours(completions) },
+  };
+}
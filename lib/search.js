@@ -0,0 +1,98 @@
+// Full-text search over planner tasks and notes (/api/search).
+//
+// MongoDB text indexes find the weeks and notes that match; a week holds many
+// tasks, so matchTask() then picks the tasks inside it that match, using the
+// same query syntax as $text: words, "quoted phrases" and -excluded words.
+
+export const QUERY_MAX = 200;
+const SNIPPET_RADIUS = 60;
+
+// Where a task's words live, and how much a hit there counts
+const TASK_WEIGHTS = { text: 3, tags: 2, description: 1, checklist: 1 };
+const TASK_PATHS = { text: "text", tags: "tags", description: "description", checklist: "checklist.text" };
+
+// The text index of Week: tasks live under days.0 .. days.6
+const weekFields = (value) =>
+  Object.fromEntries(
+    [0, 1, 2, 3, 4, 5, 6].flatMap(i =>
+      Object.entries(TASK_PATHS).map(([field, path]) => [`days.${i}.${path}`, value(field)])
+    )
+  );
+export const WEEK_TEXT_INDEX = weekFields(() => "text");
+export const WEEK_TEXT_WEIGHTS = weekFields(field => TASK_WEIGHTS[field]);
+
+// "fix \"login page\" -css" -> { terms: ["fix"], phrases: ["login page"], excluded: ["css"] }
+export function parseQuery(q) {
+  const query = { terms: [], phrases: [], excluded: [] };
+  const re = /(-?)"([^"]*)"|(\S+)/g;
+  let m;
+  while ((m = re.exec(q.toLowerCase()))) {
+    if (m[2] !== undefined) {
+      const phrase = m[2].trim();
+      if (phrase && !m[1]) query.phrases.push(phrase);
+      continue;
+    }
+    const word = m[3];
+    if (word.startsWith("-")) {
+      if (word.length > 1) query.excluded.push(word.slice(1));
+    } else {
+      query.terms.push(word);
+    }
+  }
+  return query;
+}
+
+// $search string without the excluded words. A week is one document holding many
+// tasks, so a word excluded from one task must not hide the whole week.
+export function weekSearch({ terms, phrases }) {
+  return [...terms, ...phrases.map(phrase => `"${phrase}"`)].join(" ");
+}
+
+export function isEmptyQuery({ terms, phrases }) {
+  return !terms.length && !phrases.length;
+}
+
+// Rough stem of a query word, so "plans" still finds "planning" inside a week that the
+// (stemming) text index matched
+const SUFFIXES = ["ing", "ed", "es", "s"];
+function stem(word) {
+  const suffix = SUFFIXES.find(end => word.endsWith(end) && word.length - end.length >= 3);
+  return suffix ? word.slice(0, -suffix.length) : word;
+}
+
+function taskTexts(task) {
+  return {
+    text: String(task.text || "").toLowerCase(),
+    tags: (task.tags || []).join(" ").toLowerCase(),
+    description: String(task.description || "").toLowerCase(),
+    checklist: (task.checklist || []).map(item => item.text).join(" ").toLowerCase(),
+  };
+}
+
+// Score of `task` for a parsed query, 0 when it doesn't match. Every phrase must
+// appear, no excluded word may, and at least one word or phrase must be found.
+export function matchTask(task, { terms, phrases, excluded }) {
+  const texts = taskTexts(task);
+  const all = Object.values(texts).join("\n");
+  if (excluded.some(word => all.includes(word))) return 0;
+  if (!phrases.every(phrase => all.includes(phrase))) return 0;
+
+  let score = 0;
+  for (const needle of [...terms.map(stem), ...phrases]) {
+    for (const [field, weight] of Object.entries(TASK_WEIGHTS)) {
+      if (texts[field].includes(needle)) score += weight;
+    }
+  }
+  return score;
+}
+
+// A short piece of `text` around the first word of the query it contains
+export function snippet(text, { terms, phrases }) {
+  const body = String(text || "").replace(/\s+/g, " ").trim();
+  const lower = body.toLowerCase();
+  const hits = [...phrases, ...terms].map(needle => lower.indexOf(needle)).filter(i => i >= 0);
+  const at = hits.length ? Math.min(...hits) : 0;
+  const start = Math.max(0, at - SNIPPET_RADIUS);
+  const end = Math.min(body.length, at + SNIPPET_RADIUS * 2);
+  return (start > 0 ? "…" : "") + body.slice(start, end) + (end < body.length ? "…" : "");
+}
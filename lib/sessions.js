@@ -0,0 +1,36 @@
+// Helpers for the Pomodoro focus sessions of /api/sessions
+import { isDateKey } from "./dates.js";
+
+const MAX_SESSION_SECONDS = 24 * 60 * 60;
+
+// Validate a finished session from a request body. Returns { session } or { error }.
+export function pickSessionFields(body = {}) {
+  const { date, startedAt, endedAt, durationSeconds, taskId, weekKey, dayIndex, taskText } = body || {};
+  if (!isDateKey(date)) return { error: "'date' must be a date in YYYY-MM-DD format" };
+
+  const start = new Date(startedAt);
+  const end = new Date(endedAt);
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || end < start) {
+    return { error: "'startedAt' and 'endedAt' must be valid dates, start before end" };
+  }
+  if (!Number.isInteger(durationSeconds) || durationSeconds < 1 || durationSeconds > MAX_SESSION_SECONDS) {
+    return { error: "'durationSeconds' must be a positive whole number of seconds" };
+  }
+
+  const session = { date, startedAt: start, endedAt: end, durationSeconds };
+  if (taskId) {
+    if (typeof taskId !== "string") return { error: "'taskId' must be a string" };
+    if (!isDateKey(weekKey)) return { error: "'weekKey' is required with 'taskId'" };
+    const idx = Number(dayIndex);
+    if (!Number.isInteger(idx) || idx < 0 || idx > 6) {
+      return { error: "'dayIndex' must be between 0 and 6" };
+    }
+    Object.assign(session, {
+      taskId,
+      weekKey,
+      dayIndex: idx,
+      taskText: typeof taskText === "string" ? taskText.slice(0, 500) : "",
+    });
+  }
+  return { session };
+}
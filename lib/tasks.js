@@ -0,0 +1,185 @@
+// Helpers for the task objects stored in Week.days[dayIndex]
+import crypto from "crypto";
+import { STATUSES } from "./report.js";
+import { addDays, weekKeyOf, dayIndexIn } from "./dates.js";
+
+export const PRIORITIES = ["high", "medium", "low"];
+// optional fields a task (or a recurring occurrence) may carry besides text + status
+export const DETAIL_FIELDS = ["priority", "dueTime", "estimateMinutes", "description", "tags", "checklist"];
+// fields only tasks on a shared board use (lib/boards.js): the member it is assigned to
+export const BOARD_TASK_FIELDS = ["assignee"];
+
+export const TEXT_MAX = 200;
+const DESCRIPTION_MAX = 2000;
+const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d$/; // HH:MM, 24h
+const CHECKLIST_MAX = 50;
+const CHECKLIST_ID_MAX = 40;
+const USER_ID_RE = /^[0-9a-f]{24}$/i;
+
+// Same shape as the ids the planner generates in createTaskCard
+export function newTaskId() {
+  return "task_" + Date.now() + crypto.randomInt(1e9);
+}
+
+// "In Process", "No status" (or no status at all) still need doing
+export function isUnfinished(task) {
+  return !!task && task.status !== "Completed" && task.status !== "Abandoned";
+}
+
+// Filter clause: no day of the week holds a task with this id (or any of these ids)
+export function notInWeek(taskIds) {
+  const ids = [].concat(taskIds);
+  return { $and: [0, 1, 2, 3, 4, 5, 6].map(i => ({ [`days.${i}.id`]: { $nin: ids } })) };
+}
+
+// $push modifier adding one task to a day, optionally at a position
+export function pushTask(dayIndex, task, position) {
+  const modifier = { $each: [task] };
+  if (Number.isInteger(position) && position >= 0) modifier.$position = position;
+  return { [`days.${dayIndex}`]: modifier };
+}
+
+// Re-file the tasks of `weeks` ([{ weekKey, days }]) into weeks starting on `weekStart`,
+// each task staying on its date. Used when a user changes their week start, and to
+// repair weeks stored under a key of the other week start. Returns [{ weekKey, days }]
+// sorted by weekKey; within a day tasks keep their order, and a task id already filed
+// in the target week is dropped.
+export function regroupWeeks(weeks, weekStart) {
+  const byKey = new Map();
+  const sorted = [...weeks].sort((a, b) => (a.weekKey < b.weekKey ? -1 : a.weekKey > b.weekKey ? 1 : 0));
+  for (const { weekKey, days } of sorted) {
+    for (let i = 0; i < 7; i++) {
+      for (const task of (days && days[i]) || []) {
+        const date = addDays(weekKey, i);
+        const key = weekKeyOf(date, weekStart);
+        if (!byKey.has(key)) byKey.set(key, { weekKey: key, days: {}, ids: new Set() });
+        const target = byKey.get(key);
+        if (target.ids.has(task.id)) continue;
+        target.ids.add(task.id);
+        const dayIndex = dayIndexIn(date, weekStart);
+        (target.days[dayIndex] = target.days[dayIndex] || []).push(task);
+      }
+    }
+  }
+  return [...byKey.values()]
+    .sort((a, b) => (a.weekKey < b.weekKey ? -1 : 1))
+    .map(({ weekKey, days }) => ({ weekKey, days }));
+}
+
+// `tasks` rearranged to follow `order` (a list of ids). Ids missing from
+// `order` keep their relative order at the end; unknown ids are ignored.
+export function reorderTasks(tasks, order) {
+  const byId = new Map(tasks.map(t => [t.id, t]));
+  const sorted = order.filter(id => byId.has(id)).map(id => byId.get(id));
+  const listed = new Set(order);
+  return [...new Set(sorted)].concat(tasks.filter(t => !listed.has(t.id)));
+}
+
+// Editable task fields from a request body -> { fields } or { field, error }.
+// Only fields present in `body` are returned; null (or "") clears an optional
+// field. `requireText` is for new tasks.
+export function pickTaskFields(body = {}, { requireText = false } = {}) {
+  const fields = {};
+  if (body.text !== undefined || requireText) {
+    if (typeof body.text !== "string" || !body.text.trim()) return { field: "text", error: "'text' must be a non-empty string" };
+    if (body.text.trim().length > TEXT_MAX) return { field: "text", error: `'text' must be at most ${TEXT_MAX} characters` };
+    fields.text = body.text.trim();
+  }
+  if (body.status !== undefined) {
+    if (!STATUSES.includes(body.status)) return { field: "status", error: `'status' must be one of: ${STATUSES.join(", ")}` };
+    fields.status = body.status;
+  }
+  if (body.priority !== undefined) {
+    if (body.priority !== null && body.priority !== "" && !PRIORITIES.includes(body.priority)) {
+      return { field: "priority", error: `'priority' must be one of: ${PRIORITIES.join(", ")}` };
+    }
+    fields.priority = body.priority || null;
+  }
+  if (body.dueTime !== undefined) {
+    if (body.dueTime !== null && body.dueTime !== "" && !TIME_RE.test(body.dueTime)) {
+      return { field: "dueTime", error: "'dueTime' must be a time in HH:MM format" };
+    }
+    fields.dueTime = body.dueTime || null;
+  }
+  if (body.estimateMinutes !== undefined) {
+    const minutes = body.estimateMinutes;
+    if (minutes !== null && (!Number.isInteger(minutes) || minutes < 1 || minutes > 1440)) {
+      return { field: "estimateMinutes", error: "'estimateMinutes' must be a whole number of minutes between 1 and 1440" };
+    }
+    fields.estimateMinutes = minutes;
+  }
+  if (body.description !== undefined) {
+    if (body.description !== null && typeof body.description !== "string") {
+      return { field: "description", error: "'description' must be a string" };
+    }
+    if (body.description && body.description.length > DESCRIPTION_MAX) {
+      return { field: "description", error: `'description' must be at most ${DESCRIPTION_MAX} characters` };
+    }
+    fields.description = (body.description && body.description.trim()) || null;
+  }
+  if (body.tags !== undefined) {
+    if (body.tags !== null && (!Array.isArray(body.tags) || body.tags.some(t => typeof t !== "string"))) {
+      return { field: "tags", error: "'tags' must be an array of strings" };
+    }
+    // same normalisation as note tags: lowercase, trimmed, no empties, no duplicates
+    const tags = [...new Set((body.tags || []).map(t => t.trim().toLowerCase()).filter(Boolean))].slice(0, 20);
+    fields.tags = tags.length ? tags : null;
+  }
+  if (body.checklist !== undefined) {
+    const { items, field, error } = pickChecklist(body.checklist);
+    if (error) return { field, error };
+    fields.checklist = items && items.length ? items : null;
+  }
+  if (body.assignee !== undefined) {
+    // whether the user is on the board is checked by the route (checkAssignee in server.js)
+    if (body.assignee !== null && body.assignee !== "" && !(typeof body.assignee === "string" && USER_ID_RE.test(body.assignee))) {
+      return { field: "assignee", error: "'assignee' must be a user id" };
+    }
+    fields.assignee = body.assignee ? body.assignee.toLowerCase() : null;
+  }
+  return { fields };
+}
+
+// Ordered checklist of a task: [{ id, text, done }] -> { items } or { field, error }.
+// Items sent without an id get one.
+function pickChecklist(value) {
+  if (value === null) return { items: null };
+  if (!Array.isArray(value)) return { field: "checklist", error: "'checklist' must be an array of items" };
+  if (value.length > CHECKLIST_MAX) {
+    return { field: "checklist", error: `A checklist can hold at most ${CHECKLIST_MAX} items` };
+  }
+
+  const ids = new Set();
+  const items = [];
+  for (const [i, item] of value.entries()) {
+    const path = `checklist.${i}`;
+    if (!item || typeof item !== "object" || Array.isArray(item)) {
+      return { field: path, error: "Each checklist item must be an object" };
+    }
+    if (typeof item.text !== "string" || !item.text.trim()) {
+      return { field: `${path}.text`, error: "'text' must be a non-empty string" };
+    }
+    if (item.text.trim().length > TEXT_MAX) {
+      return { field: `${path}.text`, error: `'text' must be at most ${TEXT_MAX} characters` };
+    }
+    if (item.done !== undefined && typeof item.done !== "boolean") {
+      return { field: `${path}.done`, error: "'done' must be a boolean" };
+    }
+    const id = item.id === undefined ? "item_" + crypto.randomBytes(6).toString("hex") : item.id;
+    if (typeof id !== "string" || !id || id.length > CHECKLIST_ID_MAX || ids.has(id)) {
+      return { field: `${path}.id`, error: `'id' must be a unique string of at most ${CHECKLIST_ID_MAX} characters` };
+    }
+    ids.add(id);
+    items.push({ id, text: item.text.trim(), done: item.done === true });
+  }
+  return { items };
+}
+
+// `task` with `fields` applied; cleared (null) optional fields are left out
+export function applyTaskFields(task, fields) {
+  const next = { ...task, ...fields };
+  for (const key of Object.keys(fields)) {
+    if (next[key] === null) delete next[key];
+  }
+  return next;
+}
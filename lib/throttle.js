@@ -0,0 +1,34 @@
+// Login throttling with progressive lockout.
+//
+// Failed logins are counted per account (the email tried) and per client IP. Once a
+// key has used up its free attempts, every further failure locks it for twice as
+// long as the previous one, up to MAX_LOCK_MS. A successful login clears the
+// account's count; counts are forgotten FORGET_AFTER_MS after the last failure.
+
+const MINUTE = 60 * 1000;
+const MAX_LOCK_MS = 60 * MINUTE;
+export const FORGET_AFTER_MS = 60 * MINUTE;
+
+// an IP may be shared by many people (offices, NAT), so it gets more room
+export const POLICIES = {
+  account: { freeAttempts: 5, baseLockMs: MINUTE },
+  ip: { freeAttempts: 20, baseLockMs: MINUTE },
+};
+
+export function throttleKeys(ip, email) {
+  return { account: `account:${String(email).trim().toLowerCase()}`, ip: `ip:${ip}` };
+}
+
+// How long a key with `failures` failed attempts is locked (0 = not locked)
+export function lockoutMs(failures, { freeAttempts, baseLockMs }) {
+  if (failures < freeAttempts) return 0;
+  return Math.min(baseLockMs * 2 ** (failures - freeAttempts), MAX_LOCK_MS);
+}
+
+// "3 minutes" / "45 seconds" for the lockout message
+export function describeWait(ms) {
+  const seconds = Math.ceil(ms / 1000);
+  if (seconds < 60) return `${seconds} second${seconds === 1 ? "" : "s"}`;
+  const minutes = Math.ceil(seconds / 60);
+  return `${minutes} minute${minutes === 1 ? "" : "s"}`;
+}
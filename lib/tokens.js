@@ -0,0 +1,13 @@
+// Opaque secret tokens (password reset links, refresh tokens). Only a SHA-256 hash
+// is stored, so a leaked database can't be used to act as the token's owner.
+import crypto from "crypto";
+
+export function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+// `token` goes to the user, `tokenHash` into the database
+export function newOpaqueToken() {
+  const token = crypto.randomBytes(32).toString("base64url");
+  return { token, tokenHash: hashToken(token) };
+}
@@ -0,0 +1,78 @@
+// Trash bin: deleted tasks, cleared weeks and deleted notes (models/TrashItem.js).
+// Items are kept for TRASH_RETENTION_DAYS (default 30), then MongoDB drops them.
+import { addDays } from "./dates.js";
+
+const DEFAULT_RETENTION_DAYS = 30;
+const LABEL_MAX = 120;
+
+// Read lazily: dotenv.config() runs in server.js after the imports are evaluated
+export function retentionDays() {
+  const days = Number(process.env.TRASH_RETENTION_DAYS);
+  return Number.isFinite(days) && days > 0 ? days : DEFAULT_RETENTION_DAYS;
+}
+
+function expiresAt(now = new Date()) {
+  return new Date(now.getTime() + retentionDays() * 24 * 60 * 60 * 1000);
+}
+
+function countTasks(days) {
+  return Object.values(days || {}).reduce((n, tasks) => n + (Array.isArray(tasks) ? tasks.length : 0), 0);
+}
+
+// TrashItem fields for a task removed from position `position` of a day
+export function trashedTask(owner, weekKey, dayIndex, position, task) {
+  return {
+    owner,
+    kind: "task",
+    itemId: task.id,
+    weekKey,
+    dayIndex: Number(dayIndex),
+    position,
+    label: String(task.text || "").slice(0, LABEL_MAX),
+    data: task,
+    expiresAt: expiresAt(),
+  };
+}
+
+// TrashItem fields for the days of a cleared week, or null if it held no tasks
+export function trashedWeek(owner, weekKey, days) {
+  const count = countTasks(days);
+  if (!count) return null;
+  return {
+    owner,
+    kind: "week",
+    weekKey,
+    label: `${count} task${count === 1 ? "" : "s"} of the week of ${weekKey}`,
+    data: { days },
+    expiresAt: expiresAt(),
+  };
+}
+
+export function trashedNote(owner, note) {
+  return {
+    owner,
+    kind: "note",
+    itemId: String(note._id),
+    label: (note.title || note.body || "").slice(0, LABEL_MAX),
+    data: note,
+    expiresAt: expiresAt(),
+  };
+}
+
+// Date the trashed task sat on, so it can be put back after a week start change
+export function trashedTaskDate(item) {
+  return addDays(item.weekKey, item.dayIndex);
+}
+
+// An item as GET /api/trash lists it
+export function describeTrashItem(item) {
+  return {
+    _id: item._id,
+    kind: item.kind,
+    label: item.label,
+    weekKey: item.weekKey,
+    date: item.kind === "task" ? trashedTaskDate(item) : null,
+    deletedAt: item.createdAt,
+    expiresAt: item.expiresAt,
+  };
+}
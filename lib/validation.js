@@ -0,0 +1,181 @@
+// Schema for the week and task payloads of /api/tasks.
+//
+// Week.days stays a Mixed object in MongoDB (the per-task routes address it with
+// positional paths such as "days.3.1"), so its shape is enforced here instead:
+//   days  = { "0".."6": [task, ...] }   0 = the first day of the week (weekKey) ... 6
+//   task  = { id, text, status, ...DETAIL_FIELDS, ...BOARD_TASK_FIELDS, ...CARRY_FIELDS }
+// Failures throw a ValidationError naming the offending field, e.g. "days.3.1.status".
+import { MONDAY, isDateKey, dayIndexIn } from "./dates.js";
+import { TEXT_MAX, DETAIL_FIELDS, BOARD_TASK_FIELDS, newTaskId, pickTaskFields, applyTaskFields } from "./tasks.js";
+
+const MAX_TASKS_PER_DAY = 200;
+const ID_MAX = 100;
+const DAY_KEY_RE = /^[0-6]$/;
+
+// Stored by carry-over (see POST /api/tasks/:weekKey/carry-over), kept as they are
+const CARRY_FIELDS = {
+  carriedFrom: isDateKey,
+  carriedTo: isDateKey,
+  originWeekKey: isDateKey,
+  carryCount: (v) => Number.isInteger(v) && v > 0,
+};
+
+const EDITABLE_FIELDS = ["text", "status", ...DETAIL_FIELDS, ...BOARD_TASK_FIELDS];
+export const TASK_FIELDS = ["id", ...EDITABLE_FIELDS, ...Object.keys(CARRY_FIELDS)];
+
+// 400 with { error, code: "VALIDATION_ERROR", field } (see the error handler in server.js)
+export class ValidationError extends Error {
+  constructor(field, message) {
+    super(message);
+    this.name = "ValidationError";
+    this.field = field;
+    this.status = 400;
+  }
+}
+
+// Weeks are keyed by the date of their first day: a Monday, or a Sunday for users
+// whose weeks start on Sunday (User.weekStart)
+export function isWeekKey(value, weekStart = MONDAY) {
+  return isDateKey(value) && dayIndexIn(value, weekStart) === 0;
+}
+
+// The ValidationError for a `field` that is not a weekKey of `weekStart`
+export function weekKeyError(field, weekStart = MONDAY) {
+  const day = weekStart === MONDAY ? "Monday" : "Sunday";
+  return new ValidationError(field, `'${field}' must be the date of a ${day} (YYYY-MM-DD)`);
+}
+
+export function isDayIndex(value) {
+  return DAY_KEY_RE.test(String(value));
+}
+
+function isTaskId(value) {
+  return typeof value === "string" && value.length > 0 && value.length <= ID_MAX;
+}
+
+// A whole task as stored in a week. `path` prefixes the field names in errors.
+export function validateTask(input, path, { requireId = false } = {}) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    throw new ValidationError(path, "Each task must be an object");
+  }
+  for (const key of Object.keys(input)) {
+    if (!TASK_FIELDS.includes(key)) throw new ValidationError(`${path}.${key}`, `Unknown task field '${key}'`);
+  }
+  if ((input.id !== undefined || requireId) && !isTaskId(input.id)) {
+    throw new ValidationError(`${path}.id`, `'id' must be a non-empty string of at most ${ID_MAX} characters`);
+  }
+
+  const { fields, field, error } = pickTaskFields(input, { requireText: true });
+  if (error) throw new ValidationError(`${path}.${field}`, error);
+
+  const task = { id: input.id || newTaskId(), status: "No status" };
+  for (const [key, isValid] of Object.entries(CARRY_FIELDS)) {
+    if (input[key] === undefined) continue;
+    if (!isValid(input[key])) throw new ValidationError(`${path}.${key}`, `Invalid value for '${key}'`);
+    task[key] = input[key];
+  }
+  return applyTaskFields(task, fields);
+}
+
+// Body of PUT /api/tasks/:weekKey/:dayIndex/:taskId -> the fields to change
+export function validateTaskUpdate(body) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    throw new ValidationError("body", "The request body must be an object");
+  }
+  for (const key of Object.keys(body)) {
+    if (!EDITABLE_FIELDS.includes(key)) throw new ValidationError(key, `'${key}' cannot be changed`);
+  }
+  const { fields, field, error } = pickTaskFields(body);
+  if (error) throw new ValidationError(field, error);
+  return fields;
+}
+
+// The `days` of a week, every task validated; task ids must be unique in the week
+export function validateDays(days) {
+  if (!days || typeof days !== "object" || Array.isArray(days)) {
+    throw new ValidationError("days", "'days' must be an object keyed by day index (0 = first day of the week ... 6)");
+  }
+
+  const result = {};
+  const seen = new Set();
+  for (const [key, tasks] of Object.entries(days)) {
+    if (!DAY_KEY_RE.test(key)) throw new ValidationError(`days.${key}`, "Day keys must be day indexes 0 to 6");
+    if (!Array.isArray(tasks)) throw new ValidationError(`days.${key}`, "Each day must be an array of tasks");
+    if (tasks.length > MAX_TASKS_PER_DAY) {
+      throw new ValidationError(`days.${key}`, `A day can hold at most ${MAX_TASKS_PER_DAY} tasks`);
+    }
+
+    result[key] = tasks.map((input, i) => {
+      const task = validateTask(input, `days.${key}.${i}`, { requireId: true });
+      if (seen.has(task.id)) throw new ValidationError(`days.${key}.${i}.id`, `Duplicate task id '${task.id}'`);
+      seen.add(task.id);
+      return task;
+    });
+  }
+  return result;
+}
+
+// Best-effort repair of stored days for scripts/migrate-weeks.js: whatever
+// validateDays would reject is dropped or defaulted instead.
+// Returns { days, problems } where problems lists what was changed.
+export function normaliseDays(raw) {
+  const problems = [];
+  const days = {};
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    if (raw != null) problems.push("days: not an object, reset");
+    return { days, problems };
+  }
+
+  const seen = new Set();
+  for (const [dayKey, tasks] of Object.entries(raw)) {
+    if (!DAY_KEY_RE.test(dayKey)) {
+      problems.push(`days.${dayKey}: not a day index, dropped`);
+      continue;
+    }
+    if (!Array.isArray(tasks)) {
+      problems.push(`days.${dayKey}: not an array, dropped`);
+      continue;
+    }
+
+    const kept = [];
+    tasks.forEach((input, i) => {
+      const path = `days.${dayKey}.${i}`;
+      if (!input || typeof input !== "object" || Array.isArray(input)) return problems.push(`${path}: not an object, dropped`);
+      // recurring occurrences are generated on read and never belong in a week
+      if (input.seriesId) return problems.push(`${path}: stored recurring occurrence, dropped`);
+      if (typeof input.text !== "string" || !input.text.trim()) return problems.push(`${path}: no text, dropped`);
+
+      let id = input.id;
+      if (!isTaskId(id) || seen.has(id)) {
+        id = newTaskId();
+        problems.push(`${path}.id: missing or duplicate, replaced with ${id}`);
+      }
+      seen.add(id);
+
+      const text = input.text.trim();
+      if (text.length > TEXT_MAX) problems.push(`${path}.text: longer than ${TEXT_MAX} characters, shortened`);
+      const task = { id, text: text.slice(0, TEXT_MAX) };
+
+      // every other field on its own: keep it if valid, drop it otherwise
+      for (const field of Object.keys(input)) {
+        if (field === "id" || field === "text") continue;
+        if (CARRY_FIELDS[field]) {
+          if (CARRY_FIELDS[field](input[field])) task[field] = input[field];
+          else problems.push(`${path}.${field}: invalid, dropped`);
+          continue;
+        }
+        if (!EDITABLE_FIELDS.includes(field)) {
+          problems.push(`${path}.${field}: unknown field, dropped`);
+          continue;
+        }
+        const { fields, error } = pickTaskFields({ [field]: input[field] });
+        if (error) problems.push(`${path}.${field}: ${error}, dropped`);
+        else Object.assign(task, applyTaskFields({}, fields));
+      }
+      if (!task.status) task.status = "No status";
+      kept.push(task);
+    });
+    if (kept.length) days[dayKey] = kept;
+  }
+  return { days, problems };
+}
@@ -0,0 +1,123 @@
+import jwt from "jsonwebtoken";
+import {
+  ACCESS_COOKIE,
+  REFRESH_COOKIE,
+  jwtSecret,
+  isSessionActive,
+  rotateSession,
+  setAuthCookies,
+  clearAuthCookies,
+  csrfTokenFor,
+  isValidCsrfToken,
+} from "../lib/auth.js";
+import { calendarOf } from "../lib/calendar.js";
+import User from "../models/User.js";
+
+// Parallel page requests may all find the access cookie expired; the first one rotates
+// the refresh cookie and the others still get in with the old one for this long
+const REFRESH_GRACE_MS = 30 * 1000;
+const SAFE_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+async function verifyAccessToken(token, via) {
+  let payload;
+  try {
+    payload = jwt.verify(token, jwtSecret());
+  } catch (e) {
+    return e.name === "TokenExpiredError"
+      ? { error: { code: "TOKEN_EXPIRED", message: "Session expired, please log in again" } }
+      : { error: { code: "TOKEN_INVALID", message: "Invalid authentication token" } };
+  }
+  // tokens from before sessions existed carry no sid
+  if (!payload.sid) return { error: { code: "TOKEN_INVALID", message: "Invalid authentication token" } };
+  if (!(await isSessionActive(payload.sid, payload.id))) {
+    return { error: { code: "SESSION_REVOKED", message: "You were signed out, please log in again" } };
+  }
+  return { user: { id: payload.id, username: payload.username, sid: payload.sid }, via };
+}
+
+// Who sent the request: { user, via: "bearer" | "cookie" }, { error: { code, message } },
+// or null when no credentials came with it. A bearer token wins over cookies. An
+// expired access cookie is renewed here from the refresh cookie.
+async function authenticate(req, res) {
+  const [scheme, token] = (req.get("Authorization") || "").split(" ");
+  if (scheme === "Bearer" && token) return verifyAccessToken(token, "bearer");
+
+  const cookies = req.cookies || {};
+  if (cookies[ACCESS_COOKIE]) {
+    const result = await verifyAccessToken(cookies[ACCESS_COOKIE], "cookie");
+    if (!result.error || !cookies[REFRESH_COOKIE]) return result;
+  }
+  if (!cookies[REFRESH_COOKIE]) return null;
+
+  const rotated = await rotateSession(cookies[REFRESH_COOKIE], { graceMs: REFRESH_GRACE_MS });
+  if (rotated.error) {
+    clearAuthCookies(res);
+    return { error: { code: "SESSION_REVOKED", message: "You were signed out, please log in again" } };
+  }
+  if (rotated.token) setAuthCookies(res, rotated);
+  const { user, session } = rotated;
+  return { user: { id: String(user._id), username: user.username, sid: String(session._id) }, via: "cookie" };
+}
+
+// API routes: expose the user as req.user = { id, username, sid }.
+// 401 = no credentials, 403 = token invalid/expired or its session was signed out;
+// both carry `redirect: "/login"`, and on TOKEN_EXPIRED a bearer client can try
+// POST /refresh first. Writes authenticated by cookie need the CSRF token in the
+// X-CSRF-Token header (or a `_csrf` body field), else 403 CSRF_INVALID.
+export async function requireAuth(req, res, next) {
+  let auth;
+  try {
+    auth = await authenticate(req, res);
+  } catch (e) {
+    return next(e);
+  }
+
+  if (!auth) {
+    return res.status(401).json({
+      error: "Authentication required",
+      code: "AUTH_REQUIRED",
+      redirect: "/login",
+    });
+  }
+  if (auth.error) return res.status(403).json({ error: auth.error.message, code: auth.error.code, redirect: "/login" });
+
+  if (auth.via === "cookie" && !SAFE_METHODS.includes(req.method)) {
+    const given = req.get("X-CSRF-Token") || (req.body && req.body._csrf);
+    if (!isValidCsrfToken(auth.user.sid, given)) {
+      res.set("X-Auth-Error", "CSRF_INVALID"); // storage.js: not a reason to log in again
+      return res.status(403).json({ error: "Missing or invalid CSRF token, reload the page", code: "CSRF_INVALID" });
+    }
+  }
+
+  req.user = auth.user;
+  next();
+}
+
+// Pages: with a cookie session, render with `user` ({ id, username }), `csrfToken` and
+// `calendar` (the user's { timezone, weekStart }).
+// Without one, `required` pages redirect to /login?next=<this page>; others render
+// for visitors.
+export function pageAuth({ required = true } = {}) {
+  return async (req, res, next) => {
+    let auth;
+    try {
+      auth = await authenticate(req, res);
+    } catch (e) {
+      return next(e);
+    }
+
+    if (auth && !auth.error) {
+      req.user = auth.user;
+      res.locals.user = { id: auth.user.id, username: auth.user.username };
+      res.locals.csrfToken = csrfTokenFor(auth.user.sid);
+      try {
+        res.locals.calendar = calendarOf(await User.findById(auth.user.id, { timezone: 1, weekStart: 1 }).lean());
+      } catch (e) {
+        return next(e);
+      }
+      return next();
+    }
+    if (!required) return next();
+    res.redirect(`/login?next=${encodeURIComponent(req.originalUrl)}`);
+  };
+}
@@ -0,0 +1,39 @@
+import mongoose from "mongoose";
+
+// One change to a task or a note, as recorded by lib/activity.js. The log is
+// append-only: entries are never edited, only removed with their account.
+//   entity "task": entityId = the task id (or "rec_..." occurrence id), filed under weekKey/dayIndex
+//   entity "note": entityId = the note _id
+const ActivitySchema = new mongoose.Schema(
+  {
+    // the user, or the Board for entries about a shared board
+    owner: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    actor: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    actorName: { type: String, default: "" },
+    source: { type: String, enum: ["web", "api"], required: true },
+    entity: { type: String, enum: ["task", "note"], required: true },
+    entityId: { type: String, required: true },
+    action: { type: String, enum: ["create", "update", "move", "delete", "restore", "import"], required: true },
+    weekKey: { type: String, default: null },
+    dayIndex: { type: Number, min: 0, max: 6, default: null },
+    label: { type: String, default: "" }, // task text or note title at the time
+    changes: {
+      type: [{ _id: false, field: String, from: mongoose.Schema.Types.Mixed, to: mongoose.Schema.Types.Mixed }],
+      default: []
+    }
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+// feed (newest first) and the history of one task or note
+ActivitySchema.index({ owner: 1, _id: -1 });
+ActivitySchema.index({ owner: 1, entity: 1, entityId: 1, _id: -1 });
+// status changes for the report
+ActivitySchema.index({ owner: 1, entity: 1, "changes.field": 1, createdAt: 1 });
+
+function appendOnly() {
+  throw new Error("Activity entries cannot be changed");
+}
+ActivitySchema.pre(["updateOne", "updateMany", "findOneAndUpdate", "replaceOne", "findOneAndReplace"], appendOnly);
+
+export default mongoose.model("Activity", ActivitySchema);
@@ -0,0 +1,24 @@
+import mongoose from "mongoose";
+
+// A signed-in device: one login, kept alive by rotating refresh tokens.
+// Access tokens carry its id (`sid`), so revoking the session signs the device out at once.
+const AuthSessionSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    // hash of the refresh token that is valid now
+    refreshTokenHash: { type: String, required: true, unique: true },
+    // hashes of refresh tokens already rotated away; showing one again means it was stolen
+    previousTokenHashes: { type: [String], default: [], index: true },
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date, default: null },
+    lastUsedAt: { type: Date, default: Date.now },
+    userAgent: { type: String, default: "" },
+    ip: { type: String, default: "" }
+  },
+  { timestamps: true }
+);
+
+// TTL index: MongoDB removes sessions once their refresh tokens can't be used any more
+AuthSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model("AuthSession", AuthSessionSchema);
@@ -0,0 +1,29 @@
+import mongoose from "mongoose";
+
+// A shared planner (lib/boards.js). Its weeks are Week documents whose `owner` is the
+// board's _id. The owner manages the board; members are editors or viewers.
+const MemberSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    role: { type: String, enum: ["editor", "viewer"], required: true },
+    joinedAt: { type: Date, default: Date.now }
+  },
+  { _id: false }
+);
+
+const BoardSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true, maxlength: 80 },
+    owner: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    // the board's weeks start on the owner's week start as it was when the board was
+    // made (lib/dates.js), so every member files its tasks under the same weekKeys
+    weekStart: { type: Number, enum: [0, 1], default: 1 },
+    members: { type: [MemberSchema], default: [] }
+  },
+  { timestamps: true }
+);
+
+// boards a user was invited to
+BoardSchema.index({ "members.user": 1 });
+
+export default mongoose.model("Board", BoardSchema);
@@ -0,0 +1,20 @@
+import mongoose from "mongoose";
+
+// A pending invitation to a board, sent by email; deleted when accepted, revoked,
+// replaced by a newer invite to the same address, or by MongoDB once expired
+const BoardInviteSchema = new mongoose.Schema(
+  {
+    board: { type: mongoose.Schema.Types.ObjectId, ref: "Board", required: true, index: true },
+    email: { type: String, required: true, lowercase: true, trim: true },
+    role: { type: String, enum: ["editor", "viewer"], required: true },
+    invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    tokenHash: { type: String, required: true, unique: true },
+    expiresAt: { type: Date, required: true }
+  },
+  { timestamps: true }
+);
+
+// TTL index: MongoDB removes expired invites by itself
+BoardInviteSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model("BoardInvite", BoardInviteSchema);
@@ -0,0 +1,23 @@
+import mongoose from "mongoose";
+
+// One completed Pomodoro focus session, optionally linked to a planner task
+const FocusSessionSchema = new mongoose.Schema(
+  {
+    owner: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    // calendar day the session finished on, in the user's local time (YYYY-MM-DD)
+    date: { type: String, required: true },
+    startedAt: { type: Date, required: true },
+    endedAt: { type: Date, required: true },
+    durationSeconds: { type: Number, required: true, min: 1 },
+    // planner task the session was spent on (all optional)
+    taskId: { type: String, default: null },
+    weekKey: { type: String, default: null },
+    dayIndex: { type: Number, min: 0, max: 6, default: null },
+    taskText: { type: String, maxlength: 500, default: "" }
+  },
+  { timestamps: true }
+);
+
+FocusSessionSchema.index({ owner: 1, date: 1 });
+
+export default mongoose.model("FocusSession", FocusSessionSchema);
@@ -0,0 +1,14 @@
+import mongoose from "mongoose";
+
+// Failed logins per key ("account:<email>" or "ip:<address>"), see lib/throttle.js
+const LoginThrottleSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  failures: { type: Number, default: 0 },
+  lockedUntil: { type: Date, default: null },
+  expiresAt: { type: Date, required: true }
+});
+
+// TTL index: the count is forgotten once nothing failed for a while and no lockout is running
+LoginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model("LoginThrottle", LoginThrottleSchema);
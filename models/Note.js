@@ -0,0 +1,22 @@
+import mongoose from "mongoose";
+
+const NoteSchema = new mongoose.Schema(
+  {
+    owner: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    title: { type: String, trim: true, maxlength: 200, default: "" },
+    body: { type: String, maxlength: 20000, default: "" },
+    tags: { type: [String], default: [] },
+    pinned: { type: Boolean, default: false }
+  },
+  { timestamps: true }
+);
+
+// list query: a user's notes, pinned first, newest first
+NoteSchema.index({ owner: 1, pinned: -1, updatedAt: -1 });
+// /api/search
+NoteSchema.index(
+  { owner: 1, title: "text", body: "text", tags: "text" },
+  { name: "note_text", weights: { title: 3, tags: 2, body: 1 } }
+);
+
+export default mongoose.model("Note", NoteSchema);
@@ -0,0 +1,16 @@
+import mongoose from "mongoose";
+
+// One pending password reset; deleted when used, by a newer request, or by MongoDB once expired
+const PasswordResetTokenSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    tokenHash: { type: String, required: true, unique: true },
+    expiresAt: { type: Date, required: true }
+  },
+  { timestamps: true }
+);
+
+// TTL index: MongoDB removes expired tokens by itself
+PasswordResetTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model("PasswordResetToken", PasswordResetTokenSchema);
@@ -0,0 +1,13 @@
+import mongoose from "mongoose";
+
+// A quote a user added to their own collection
+const QuoteSchema = new mongoose.Schema(
+  {
+    owner: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    text: { type: String, required: true, trim: true, maxlength: 500 },
+    author: { type: String, trim: true, maxlength: 100, default: "" }
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model("Quote", QuoteSchema);
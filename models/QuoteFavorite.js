@@ -0,0 +1,18 @@
+import mongoose from "mongoose";
+
+// A quote a user starred. The words are copied, so favourites stay readable after the
+// quote leaves the pool (e.g. one that came from QUOTES_URL, see lib/quotes.js).
+const QuoteFavoriteSchema = new mongoose.Schema(
+  {
+    owner: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    quoteId: { type: String, required: true },
+    text: { type: String, required: true, maxlength: 500 },
+    author: { type: String, maxlength: 100, default: "" }
+  },
+  { timestamps: true }
+);
+
+// one favourite per quote and user; also the list query (newest first via createdAt sort)
+QuoteFavoriteSchema.index({ owner: 1, quoteId: 1 }, { unique: true });
+
+export default mongoose.model("QuoteFavorite", QuoteFavoriteSchema);
@@ -0,0 +1,47 @@
+import mongoose from "mongoose";
+
+const ChecklistItemSchema = new mongoose.Schema(
+  {
+    id: { type: String, required: true },
+    text: { type: String, required: true, maxlength: 200 },
+    done: { type: Boolean, default: false }
+  },
+  { _id: false }
+);
+
+// Per-occurrence change: either removed, or its own text/status/details
+const ExceptionSchema = new mongoose.Schema(
+  {
+    date: { type: String, required: true },
+    deleted: { type: Boolean, default: false },
+    text: { type: String, maxlength: 500 },
+    status: { type: String },
+    priority: { type: String, default: undefined },
+    dueTime: { type: String, default: undefined },
+    estimateMinutes: { type: Number, default: undefined },
+    description: { type: String, maxlength: 2000, default: undefined },
+    tags: { type: [String], default: undefined },
+    checklist: { type: [ChecklistItemSchema], default: undefined }
+  },
+  { _id: false }
+);
+
+// A task series expanded into the weeks it falls on (see lib/recurrence.js)
+const RecurringTaskSchema = new mongoose.Schema(
+  {
+    owner: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    text: { type: String, required: true, trim: true, maxlength: 500 },
+    rule: {
+      freq: { type: String, enum: ["daily", "weekdays", "weekly"], required: true },
+      interval: { type: Number, min: 1, max: 52, default: 1 }, // every N weeks (weekly only)
+      byDay: { type: [Number], default: [] },                  // 0 = Mon ... 6 = Sun (weekly only)
+      startDate: { type: String, required: true },             // YYYY-MM-DD, first possible occurrence
+      until: { type: String, default: null },                  // YYYY-MM-DD, last possible occurrence
+      count: { type: Number, min: 1, max: 1000, default: null } // or stop after N occurrences
+    },
+    exceptions: { type: [ExceptionSchema], default: [] }
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model("RecurringTask", RecurringTaskSchema);
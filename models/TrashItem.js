@@ -0,0 +1,29 @@
+import mongoose from "mongoose";
+
+// Something a user deleted, kept until it is restored, purged, or expires (lib/trash.js).
+//   kind "task": data = the task, filed under weekKey/dayIndex at `position`
+//   kind "week": data = { days } of a cleared week
+//   kind "note": data = the note document, _id included
+const TrashItemSchema = new mongoose.Schema(
+  {
+    // the user, or the Board for items of a shared board
+    owner: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    kind: { type: String, enum: ["task", "week", "note"], required: true },
+    itemId: { type: String, default: null }, // task id or note _id
+    weekKey: { type: String, default: null },
+    dayIndex: { type: Number, default: null },
+    position: { type: Number, default: null },
+    label: { type: String, default: "" }, // task text, note title, "n tasks"
+    data: { type: mongoose.Schema.Types.Mixed, required: true },
+    expiresAt: { type: Date, required: true }
+  },
+  { timestamps: true }
+);
+
+// trash page (newest first) and undo lookups by item
+TrashItemSchema.index({ owner: 1, createdAt: -1 });
+TrashItemSchema.index({ owner: 1, kind: 1, itemId: 1, weekKey: 1 });
+// TTL index: MongoDB purges expired items by itself
+TrashItemSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model("TrashItem", TrashItemSchema);
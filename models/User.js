@@ -6,6 +6,10 @@ const UserSchema = new mongoose.Schema(
     email: { type: String, required: true, unique: true, index: true },
     username: { type: String, required: true },
     passwordHash: { type: String, required: true },
+    // calendar settings (lib/calendar.js): the IANA timezone "today" is taken in (null:
+    // the browser's own), and the first day of the planner's weeks, 1 = Monday or 0 = Sunday
+    timezone: { type: String, default: null },
+    weekStart: { type: Number, enum: [0, 1], default: 1 },
   },
   { timestamps: true }
 );
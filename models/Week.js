@@ -1,11 +1,21 @@
 import mongoose from "mongoose";
+import { WEEK_TEXT_INDEX, WEEK_TEXT_WEIGHTS } from "../lib/search.js";
 
 const WeekSchema = new mongoose.Schema(
   {
-    weekKey: { type: String, required: true, unique: true, index: true },
-    days: { type: Object, default: {} }
+    // the user, or for the weeks of a shared board the Board (lib/boards.js)
+    owner: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    weekKey: { type: String, required: true },
+    days: { type: Object, default: {} },
+    // bumped by every write, used for optimistic concurrency (X-Week-Version)
+    version: { type: Number, default: 0 }
   },
   { timestamps: true }
 );
 
+// one document per user (or board) per week
+WeekSchema.index({ owner: 1, weekKey: 1 }, { unique: true });
+// /api/search: text, description and tags of the tasks on every day of the week
+WeekSchema.index({ owner: 1, ...WEEK_TEXT_INDEX }, { name: "week_text", weights: WEEK_TEXT_WEIGHTS });
+
 export default mongoose.model("Week", WeekSchema);
@@ -0,0 +1,211 @@
+// public/account.js
+// Account page: download the account backup / task CSV, restore a backup, calendar
+// settings, change the password, sign out all devices and delete the account.
+import { authHeaders, handleAuthError, apiFetch } from "./storage.js";
+import { deleteLocalData } from "./sync.js";
+
+const API_BASE = "";
+
+function showResult(message, type, id = "restoreResult") {
+  const box = document.getElementById(id);
+  box.textContent = message;
+  box.className = `alert alert-${type} py-1 mt-2 mb-0`;
+  box.hidden = false;
+}
+
+// Fetch an export and hand it to the browser as a download
+async function download(path, fallbackName) {
+  const res = await apiFetch(`${API_BASE}${path}`, { headers: authHeaders() });
+  if (handleAuthError(res)) return;
+  if (!res.ok) throw new Error("Export failed");
+
+  const disposition = res.headers.get("Content-Disposition") || "";
+  const match = /filename="([^"]+)"/.exec(disposition);
+  const url = URL.createObjectURL(await res.blob());
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = match ? match[1] : fallbackName;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+function describeRestore(result) {
+  const part = (label, { restored, skipped }) => `${restored} ${label}${skipped ? ` (${skipped} already there)` : ""}`;
+  return `Restored ${part("tasks", result.tasks)}, ${part("recurring tasks", result.recurring)}, ` +
+    `${part("notes", result.notes)} and ${part("focus sessions", result.sessions)}.`;
+}
+
+async function restore(event) {
+  event.preventDefault();
+  const file = document.getElementById("restoreFile").files[0];
+  const mode = document.querySelector("input[name='restoreMode']:checked").value;
+  if (!file) return;
+
+  let archive;
+  try {
+    archive = JSON.parse(await file.text());
+  } catch {
+    showResult("That file is not a planner backup (invalid JSON).", "danger");
+    return;
+  }
+  if (mode === "replace" && !confirm("Replace all your weeks, notes and sessions with this backup?")) return;
+
+  try {
+    const res = await apiFetch(`${API_BASE}/api/account/restore?mode=${mode}`, {
+      method: "POST",
+      headers: authHeaders(),
+      body: JSON.stringify(archive),
+    });
+    if (handleAuthError(res)) return;
+    const data = await res.json();
+    if (!res.ok) {
+      showResult(data.field ? `${data.error} (${data.field})` : data.error || "Restore failed", "danger");
+      return;
+    }
+    showResult(describeRestore(data), "success");
+  } catch (err) {
+    console.error("Restore error:", err);
+    showResult("Restore failed, please try again.", "danger");
+  }
+}
+
+// The error message of a failed JSON call
+async function errorMessage(res, fallback) {
+  const data = await res.json().catch(() => ({}));
+  return data.error || fallback;
+}
+
+// Time zone choices: "same as this device" and every zone the browser knows, the saved
+// one selected
+function fillTimezones() {
+  const select = document.getElementById("timezone");
+  const saved = select.value;
+  const device = Intl.DateTimeFormat().resolvedOptions().timeZone;
+  const zones = typeof Intl.supportedValuesOf === "function" ? Intl.supportedValuesOf("timeZone") : [];
+  for (const zone of zones) {
+    if (zone !== saved) select.add(new Option(zone, zone));
+  }
+  document.getElementById("deviceTimezone").textContent = `This device is set to ${device}.`;
+}
+
+async function saveCalendar(event) {
+  event.preventDefault();
+  const { timezone, weekStart } = event.target.elements;
+  const previousWeekStart = Number(document.querySelector('meta[name="planner-week-start"]').content);
+  if (Number(weekStart.value) !== previousWeekStart &&
+      !confirm("Re-file all your weeks to start on the new day? Tasks keep their dates.")) {
+    return;
+  }
+
+  try {
+    const res = await apiFetch(`${API_BASE}/api/account/settings`, {
+      method: "PUT",
+      headers: authHeaders(),
+      body: JSON.stringify({ timezone: timezone.value || null, weekStart: Number(weekStart.value) }),
+    });
+    if (handleAuthError(res)) return;
+    if (!res.ok) {
+      showResult(await errorMessage(res, "Could not save the calendar settings"), "danger", "calendarResult");
+      return;
+    }
+    // the next save on this page compares against these
+    document.querySelector('meta[name="planner-timezone"]').content = timezone.value;
+    document.querySelector('meta[name="planner-week-start"]').content = weekStart.value;
+    showResult("Calendar settings saved.", "success", "calendarResult");
+  } catch (err) {
+    console.error("Calendar settings error:", err);
+    showResult("Could not save the calendar settings, please try again.", "danger", "calendarResult");
+  }
+}
+
+async function changePassword(event) {
+  event.preventDefault();
+  const form = event.target;
+  const { currentPassword, newPassword, confirmPassword } = form.elements;
+  if (newPassword.value !== confirmPassword.value) {
+    showResult("The new passwords don't match.", "danger", "passwordResult");
+    return;
+  }
+
+  try {
+    const res = await apiFetch(`${API_BASE}/api/account/password`, {
+      method: "POST",
+      headers: authHeaders(),
+      body: JSON.stringify({ currentPassword: currentPassword.value, newPassword: newPassword.value }),
+    });
+    if (handleAuthError(res)) return;
+    if (!res.ok) {
+      showResult(await errorMessage(res, "Could not change the password"), "danger", "passwordResult");
+      return;
+    }
+    form.reset();
+    showResult("Password changed.", "success", "passwordResult");
+  } catch (err) {
+    console.error("Change password error:", err);
+    showResult("Could not change the password, please try again.", "danger", "passwordResult");
+  }
+}
+
+async function logoutAll() {
+  if (!confirm("Sign out on every device, including this one?")) return;
+  try {
+    const res = await apiFetch(`${API_BASE}/api/account/logout-all`, { method: "POST", headers: authHeaders() });
+    if (handleAuthError(res)) return;
+    if (!res.ok) {
+      showResult(await errorMessage(res, "Could not sign out your devices"), "danger", "logoutAllResult");
+      return;
+    }
+    // this device's session is gone as well
+    localStorage.removeItem("authToken");
+    localStorage.removeItem("refreshToken");
+    localStorage.removeItem("username");
+    localStorage.removeItem("userEmail");
+    window.location.href = "/login";
+  } catch (err) {
+    console.error("Sign out all devices error:", err);
+    showResult("Could not sign out your devices, please try again.", "danger", "logoutAllResult");
+  }
+}
+
+async function deleteAccount(event) {
+  event.preventDefault();
+  const password = event.target.elements.password.value;
+  if (!confirm("Delete your account and all its data for good?")) return;
+
+  try {
+    const res = await apiFetch(`${API_BASE}/api/account`, {
+      method: "DELETE",
+      headers: authHeaders(),
+      body: JSON.stringify({ password }),
+    });
+    if (handleAuthError(res)) return;
+    if (!res.ok) {
+      showResult(await errorMessage(res, "Could not delete the account"), "danger", "deleteResult");
+      return;
+    }
+    await deleteLocalData(); // before the token goes: it names the offline database
+    localStorage.removeItem("authToken");
+    localStorage.removeItem("refreshToken");
+    localStorage.removeItem("username");
+    localStorage.removeItem("userEmail");
+    window.location.href = "/";
+  } catch (err) {
+    console.error("Delete account error:", err);
+    showResult("Could not delete the account, please try again.", "danger", "deleteResult");
+  }
+}
+
+document.addEventListener("DOMContentLoaded", () => {
+  document.getElementById("exportJson").addEventListener("click", () =>
+    download("/api/account/export", "planner-backup.json").catch(() => showResult("Export failed", "danger"))
+  );
+  document.getElementById("exportCsv").addEventListener("click", () =>
+    download("/api/account/export/tasks.csv", "planner-tasks.csv").catch(() => showResult("Export failed", "danger"))
+  );
+  document.getElementById("restoreForm").addEventListener("submit", restore);
+  fillTimezones();
+  document.getElementById("calendarForm").addEventListener("submit", saveCalendar);
+  document.getElementById("passwordForm").addEventListener("submit", changePassword);
+  document.getElementById("logoutAll").addEventListener("click", logoutAll);
+  document.getElementById("deleteForm").addEventListener("submit", deleteAccount);
+});
@@ -0,0 +1,224 @@
+// public/boards.js
+// Shared boards page: create boards, and for one board list its members and pending
+// invites. The owner renames or deletes the board, invites by email, changes roles
+// and removes members; other members can leave.
+import { authHeaders, handleAuthError, apiFetch, currentUserId } from "./storage.js";
+
+const API_BASE = "";
+const ROLE_LABELS = { owner: "Owner", editor: "Editor", viewer: "Viewer" };
+
+let openBoardId = null;
+
+async function request(path, options = {}) {
+  const res = await apiFetch(`${API_BASE}${path}`, { ...options, headers: authHeaders() });
+  if (handleAuthError(res)) throw new Error("Not authenticated");
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || "Request failed");
+  return data;
+}
+
+function showResult(message, type) {
+  const box = document.getElementById("boardResult");
+  box.textContent = message;
+  box.className = `alert alert-${type} py-1 mt-2 mb-0`;
+  box.hidden = !message;
+}
+
+function button(label, className, onClick) {
+  const btn = document.createElement("button");
+  btn.type = "button";
+  btn.className = `btn btn-sm ${className}`;
+  btn.textContent = label;
+  btn.addEventListener("click", onClick);
+  return btn;
+}
+
+// Everything user-provided goes through textContent
+function createBoardEl(board) {
+  const li = document.createElement("li");
+  li.className = "list-group-item d-flex justify-content-between align-items-center gap-2 px-0";
+
+  const text = document.createElement("div");
+  const name = document.createElement("div");
+  name.className = "board-name";
+  name.textContent = board.name;
+  const meta = document.createElement("small");
+  meta.className = "text-muted";
+  meta.textContent = `${ROLE_LABELS[board.role]} · ${board.memberCount} member${board.memberCount === 1 ? "" : "s"}`;
+  text.append(name, meta);
+
+  const actions = document.createElement("div");
+  actions.className = "d-flex gap-1 flex-shrink-0";
+  const open = document.createElement("a");
+  open.className = "btn btn-sm btn-primary";
+  open.href = `/weekly?board=${encodeURIComponent(board.id)}`;
+  open.textContent = "Open";
+  actions.append(open, button("Members", "btn-outline-secondary", () => showBoard(board.id)));
+
+  li.append(text, actions);
+  return li;
+}
+
+async function loadBoards() {
+  const boards = await request("/api/boards");
+  document.getElementById("boardList").replaceChildren(...boards.map(createBoardEl));
+  document.getElementById("boardsEmpty").hidden = boards.length > 0;
+}
+
+function createMemberEl(board, member) {
+  const isOwner = board.role === "owner";
+  const isMe = member.id === currentUserId();
+  const li = document.createElement("li");
+  li.className = "list-group-item d-flex justify-content-between align-items-center gap-2 px-0";
+
+  const name = document.createElement("span");
+  name.textContent = member.username + (isMe ? " (you)" : "");
+  li.appendChild(name);
+
+  const actions = document.createElement("div");
+  actions.className = "d-flex gap-1 flex-shrink-0";
+  if (member.role === "owner") {
+    actions.append(ROLE_LABELS.owner);
+  } else if (isOwner) {
+    const role = document.createElement("select");
+    role.className = "form-select form-select-sm w-auto";
+    role.setAttribute("aria-label", `Role of ${member.username}`);
+    ["editor", "viewer"].forEach((value) => role.add(new Option(ROLE_LABELS[value], value)));
+    role.value = member.role;
+    role.addEventListener("change", () => changeRole(board, member, role.value));
+    actions.append(role, button("Remove", "btn-outline-danger", () => removeMember(board, member)));
+  } else {
+    actions.append(ROLE_LABELS[member.role]);
+    if (isMe) actions.append(button("Leave", "btn-outline-danger ms-2", () => removeMember(board, member)));
+  }
+  li.appendChild(actions);
+  return li;
+}
+
+function createInviteEl(board, invite) {
+  const li = document.createElement("li");
+  li.className = "list-group-item d-flex justify-content-between align-items-center gap-2 px-0";
+  const text = document.createElement("span");
+  text.textContent = `${invite.email} · ${ROLE_LABELS[invite.role]} · invited, expires ${new Date(invite.expiresAt).toLocaleDateString()}`;
+  li.append(text, button("Revoke", "btn-outline-secondary", () => revokeInvite(board, invite)));
+  return li;
+}
+
+async function showBoard(boardId) {
+  try {
+    const board = await request(`/api/boards/${boardId}`);
+    openBoardId = board.id;
+    const isOwner = board.role === "owner";
+    document.getElementById("detailName").textContent = board.name;
+    document.getElementById("renameForm").hidden = !isOwner;
+    document.getElementById("renameInput").value = board.name;
+    document.getElementById("memberList").replaceChildren(...board.members.map((m) => createMemberEl(board, m)));
+    document.getElementById("inviteSection").hidden = !isOwner;
+    document.getElementById("inviteList").replaceChildren(...(board.invites || []).map((i) => createInviteEl(board, i)));
+    document.getElementById("boardDetail").hidden = false;
+  } catch (err) {
+    console.error("Load board error:", err);
+    showResult(err.message || "Failed to load the board", "danger");
+  }
+}
+
+function hideBoard() {
+  openBoardId = null;
+  document.getElementById("boardDetail").hidden = true;
+}
+
+async function createBoard(event) {
+  event.preventDefault();
+  const input = document.getElementById("boardName");
+  try {
+    const board = await request("/api/boards", { method: "POST", body: JSON.stringify({ name: input.value }) });
+    input.value = "";
+    await loadBoards();
+    await showBoard(board.id);
+  } catch (err) {
+    console.error("Create board error:", err);
+    alert(err.message || "Failed to create the board");
+  }
+}
+
+async function renameBoard(event) {
+  event.preventDefault();
+  try {
+    await request(`/api/boards/${openBoardId}`, {
+      method: "PUT",
+      body: JSON.stringify({ name: document.getElementById("renameInput").value })
+    });
+    await loadBoards();
+    await showBoard(openBoardId);
+    showResult("Board renamed.", "success");
+  } catch (err) {
+    showResult(err.message || "Failed to rename the board", "danger");
+  }
+}
+
+async function invite(event) {
+  event.preventDefault();
+  const email = document.getElementById("inviteEmail");
+  const role = document.getElementById("inviteRole").value;
+  try {
+    await request(`/api/boards/${openBoardId}/invites`, { method: "POST", body: JSON.stringify({ email: email.value, role }) });
+    showResult(`Invitation sent to ${email.value}.`, "success");
+    email.value = "";
+    await showBoard(openBoardId);
+  } catch (err) {
+    showResult(err.message || "Failed to send the invitation", "danger");
+  }
+}
+
+async function revokeInvite(board, invite) {
+  try {
+    await request(`/api/boards/${board.id}/invites/${invite.id}`, { method: "DELETE" });
+    await showBoard(board.id);
+  } catch (err) {
+    showResult(err.message || "Failed to revoke the invitation", "danger");
+  }
+}
+
+async function changeRole(board, member, role) {
+  try {
+    await request(`/api/boards/${board.id}/members/${member.id}`, { method: "PUT", body: JSON.stringify({ role }) });
+    showResult(`${member.username} is now ${role === "viewer" ? "a viewer" : "an editor"}.`, "success");
+  } catch (err) {
+    showResult(err.message || "Failed to change the role", "danger");
+    await showBoard(board.id);
+  }
+}
+
+async function removeMember(board, member) {
+  const leaving = member.id === currentUserId();
+  if (!confirm(leaving ? `Leave "${board.name}"?` : `Remove ${member.username} from "${board.name}"?`)) return;
+  try {
+    await request(`/api/boards/${board.id}/members/${member.id}`, { method: "DELETE" });
+    await loadBoards();
+    if (leaving) hideBoard();
+    else await showBoard(board.id);
+  } catch (err) {
+    showResult(err.message || "Failed to remove the member", "danger");
+  }
+}
+
+async function deleteBoard() {
+  if (!confirm("Delete this board with all its tasks for every member? This can't be undone.")) return;
+  try {
+    await request(`/api/boards/${openBoardId}`, { method: "DELETE" });
+    hideBoard();
+    await loadBoards();
+  } catch (err) {
+    showResult(err.message || "Failed to delete the board", "danger");
+  }
+}
+
+document.getElementById("createForm").addEventListener("submit", createBoard);
+document.getElementById("renameForm").addEventListener("submit", renameBoard);
+document.getElementById("inviteForm").addEventListener("submit", invite);
+document.getElementById("deleteBoard").addEventListener("click", deleteBoard);
+loadBoards().catch((err) => {
+  console.error("Load boards error:", err);
+  document.getElementById("boardsEmpty").textContent = "Failed to load your boards.";
+  document.getElementById("boardsEmpty").hidden = false;
+});
@@ -0,0 +1,49 @@
+// public/live.js
+// Live updates for the weekly planner: an EventSource on /api/tasks/events brings in the
+// task changes other tabs and board members make, and sync.js applies them to the week
+// on screen. Changes this page makes itself are not sent back to it (X-Planner-Tab).
+import { tabId, currentBoard } from "./storage.js";
+import { applyRemoteChange, reloadWeek } from "./sync.js";
+
+const API_BASE = "";
+
+let source = null;
+let connected = false;
+// one change at a time, in the order they came
+let applying = Promise.resolve();
+
+function apply(fn) {
+  applying = applying.then(fn).catch((err) => console.warn("Could not apply a live update", err));
+}
+
+function reloadCurrentWeek() {
+  return window.currentWeekKey ? reloadWeek(window.currentWeekKey) : undefined;
+}
+
+export function startLiveUpdates() {
+  if (source || !window.EventSource) return;
+  const params = new URLSearchParams({ tab: tabId() });
+  const board = currentBoard();
+  if (board) params.set("board", board.id);
+  source = new EventSource(`${API_BASE}/api/tasks/events?${params}`);
+
+  // "ready" comes on every (re)connect; what changed while we weren't connected only
+  // the server knows
+  source.addEventListener("ready", () => {
+    if (connected) apply(reloadCurrentWeek);
+    connected = true;
+  });
+
+  source.addEventListener("task", (e) => {
+    const event = JSON.parse(e.data);
+    // "planner": recurring series, a restored archive or unassigned tasks, any week
+    apply(() => (event.type === "planner" ? reloadCurrentWeek() : applyRemoteChange(event)));
+  });
+
+  // removed from the board, given another role, or signed out: the page has to be
+  // loaded again (and then goes to /login if need be)
+  source.addEventListener("closed", () => {
+    source.close();
+    window.location.reload();
+  });
+}
@@ -1,61 +1,83 @@
 // public/main.js
+import { saveTasksToBackend, calendarSettings, currentBoard, loadBoard } from "./storage.js";
+import { addDays, isDateKey, todayIn } from "./dates.js";
+import { loadWeek, flush, startSync, onSyncStatus, onWeekChanged } from "./sync.js";
+import { startLiveUpdates } from "./live.js";
 import {
-  loadTasksFromBackend,
-  saveTasksToBackend,
-  clearWeekOnBackend
-} from "./storage.js";
-
-import { updateWeekUI } from "./ui.js";
+  updateWeekUI,
+  openCarryOverDialog,
+  clearCurrentWeek,
+  weekKeyFor,
+  setTaskFilters,
+  exportWeekCalendar,
+  importCalendarFile,
+  setupTaskMoves,
+  highlightTask,
+  setBoardMembers
+} from "./ui.js";
 
 window.tasksByWeek = {};
-window.currentDate = new Date();
-
-function getMonday(date) {
-  const d = new Date(date);
-  const day = d.getDay();
-  const diff = d.getDate() - day + (day === 0 ? -6 : 1);
-  return new Date(d.setDate(diff));
-}
-
-async function init() {
-  const monday = getMonday(window.currentDate);
-  const weekKey = monday.toISOString().split("T")[0];
-  window.currentWeekKey = weekKey;
-
-  window.tasksByWeek[weekKey] = window.tasksByWeek[weekKey] || {};
+// a day (YYYY-MM-DD) of the week on screen; today in the user's timezone to begin with
+window.currentDateKey = todayIn(calendarSettings().timezone);
+
+const SYNC_LABELS = {
+  synced: () => "All changes saved",
+  syncing: () => "Saving…",
+  pending: (n) => `${n} change${n === 1 ? "" : "s"} waiting to sync`,
+  offline: (n) => `Offline • ${n} change${n === 1 ? "" : "s"} saved on this device`,
+  error: (n) => `Sync failed • retrying ${n} change${n === 1 ? "" : "s"}`,
+};
 
-  const tasksFromBackend = await loadTasksFromBackend(weekKey);
-  window.tasksByWeek[weekKey] = tasksFromBackend;
-  updateWeekUI(window.tasksByWeek[weekKey], weekKey);
+function renderSyncStatus({ state, pending }) {
+  const el = document.getElementById("sync-status");
+  if (!el) return;
+  el.textContent = SYNC_LABELS[state](pending);
+  el.dataset.state = state;
 }
 
-init();
-
-window.loadAndRenderWeek = async function (dateObj) {
-  const monday = getMonday(dateObj);
-  const weekKey = monday.toISOString().split("T")[0];
+window.loadAndRenderWeek = async function (dateKey) {
+  const weekKey = weekKeyFor(dateKey);
   window.currentWeekKey = weekKey;
 
-  window.tasksByWeek[weekKey] = window.tasksByWeek[weekKey] || {};
-
-  const tasksFromBackend = await loadTasksFromBackend(weekKey);
-  window.tasksByWeek[weekKey] = tasksFromBackend;
-  updateWeekUI(window.tasksByWeek[weekKey], weekKey);
+  const days = await loadWeek(weekKey);
+  // another navigation may have started while this week was loading
+  if (window.currentWeekKey === weekKey) updateWeekUI(days, weekKey);
 };
 
+// Bulk replace of the current week (console helper; the planner itself uses per-task writes)
 window.saveCurrentWeek = async function () {
+  await flush();
   await saveTasksToBackend(window.currentWeekKey);
   console.log("✅ Week saved");
 };
 
-window.clearCurrentWeek = async function () {
-  await clearWeekOnBackend(window.currentWeekKey);
+window.clearCurrentWeek = clearCurrentWeek;
 
-  window.tasksByWeek[window.currentWeekKey] = {};
+// A queued change met a conflict or was rejected (the server's copy was reloaded), or
+// another tab or board member changed the week
+onWeekChanged((weekKey, days) => {
+  if (weekKey === window.currentWeekKey) updateWeekUI(days, weekKey);
+});
 
-  updateWeekUI(window.tasksByWeek[window.currentWeekKey], window.currentWeekKey);
-  console.log("✅ Week cleared");
-};
+// Search results link to /weekly?week=<weekKey>&task=<taskId>
+const linked = new URLSearchParams(window.location.search);
+const linkedWeek = linked.get("week");
+const linkedTask = linked.get("task");
+if (isDateKey(linkedWeek)) window.currentDateKey = linkedWeek;
+
+// A shared board's cards name their assignees: load its members before the first render
+const board = currentBoard();
+const boardReady = board
+  ? loadBoard(board.id)
+    .then(({ members }) => setBoardMembers(members))
+    .catch((err) => console.warn("Could not load the board's members", err))
+  : Promise.resolve();
+
+startSync().catch((err) => console.error("Sync start error:", err));
+boardReady.then(() => window.loadAndRenderWeek(window.currentDateKey)).then(() => {
+  if (linkedTask) highlightTask(linkedTask);
+  startLiveUpdates();
+});
 
 // Navigation buttons
 document.addEventListener("DOMContentLoaded", () => {
@@ -63,12 +85,32 @@ document.addEventListener("DOMContentLoaded", () => {
   const right = document.getElementById("post-week");
 
   left?.addEventListener("click", async () => {
-    window.currentDate.setDate(window.currentDate.getDate() - 7);
-    await window.loadAndRenderWeek(window.currentDate);
+    window.currentDateKey = addDays(window.currentDateKey, -7);
+    await window.loadAndRenderWeek(window.currentDateKey);
   });
 
   right?.addEventListener("click", async () => {
-    window.currentDate.setDate(window.currentDate.getDate() + 7);
-    await window.loadAndRenderWeek(window.currentDate);
+    window.currentDateKey = addDays(window.currentDateKey, 7);
+    await window.loadAndRenderWeek(window.currentDateKey);
+  });
+
+  // personal planner or one of the shared boards (/weekly?board=<id>)
+  document.getElementById("board-switcher")?.addEventListener("change", (e) => {
+    window.location.href = e.target.value ? `/weekly?board=${encodeURIComponent(e.target.value)}` : "/weekly";
+  });
+
+  setupTaskMoves();
+  document.getElementById("carry-over")?.addEventListener("click", openCarryOverDialog);
+  document.getElementById("clear-week")?.addEventListener("click", clearCurrentWeek);
+  document.getElementById("export-ics")?.addEventListener("click", exportWeekCalendar);
+  document.getElementById("import-ics")?.addEventListener("click", () => document.getElementById("import-ics-file")?.click());
+  document.getElementById("import-ics-file")?.addEventListener("change", async (e) => {
+    const [file] = e.target.files;
+    e.target.value = ""; // picking the same file again still fires "change"
+    if (file) await importCalendarFile(file);
   });
+  onSyncStatus(renderSyncStatus);
+
+  document.getElementById("filter-priority")?.addEventListener("change", (e) => setTaskFilters({ priority: e.target.value }));
+  document.getElementById("filter-tag")?.addEventListener("change", (e) => setTaskFilters({ tag: e.target.value }));
 });
@@ -0,0 +1,275 @@
+// public/notes.js
+// Notes page: loads and saves notes through /api/notes.
+import { authHeaders, handleAuthError, apiFetch } from "./storage.js";
+
+const API_BASE = "";
+const LEGACY_KEY = "notes"; // old localStorage-only notes (array of strings)
+
+let notes = [];
+let activeTag = "";
+let editingId = null;
+let undoTimer = null;
+
+const UNDO_MS = 8000; // how long "Undo" is offered after a delete
+
+async function request(path, options = {}) {
+  const res = await apiFetch(`${API_BASE}${path}`, { ...options, headers: authHeaders() });
+  if (handleAuthError(res)) throw new Error("Not authenticated");
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || "Request failed");
+  return data;
+}
+
+function parseTags(value) {
+  return value.split(",").map((t) => t.trim()).filter(Boolean);
+}
+
+// /api/notes/import takes at most 500 notes per request, in a body of at most 1 MB
+const IMPORT_BATCH_NOTES = 500;
+const IMPORT_BATCH_BYTES = 900 * 1024; // leaves room for the rest of the request
+const NOTE_BODY_MAX = 20000; // the server keeps no more of a note's text
+
+// Upload notes left in localStorage by the old page, in batches the server accepts.
+// Each batch leaves localStorage once the server has it; the rest stays for the next visit.
+async function migrateLocalNotes() {
+  let legacy;
+  try {
+    legacy = JSON.parse(localStorage.getItem(LEGACY_KEY) || "[]");
+  } catch (e) {
+    legacy = [];
+  }
+  if (!Array.isArray(legacy)) return;
+  let left = legacy.filter((n) => typeof n === "string" && n.trim());
+  if (!left.length) {
+    localStorage.removeItem(LEGACY_KEY);
+    return;
+  }
+
+  const encoder = new TextEncoder();
+  const toNote = (text) => ({ title: text.split("\n")[0].slice(0, 60), body: text.slice(0, NOTE_BODY_MAX) });
+  while (left.length) {
+    const batch = [];
+    let bytes = 0;
+    for (const text of left) {
+      const size = encoder.encode(JSON.stringify(toNote(text))).length + 1;
+      if (batch.length && (batch.length === IMPORT_BATCH_NOTES || bytes + size > IMPORT_BATCH_BYTES)) break;
+      batch.push(toNote(text));
+      bytes += size;
+    }
+    await request("/api/notes/import", { method: "POST", body: JSON.stringify({ notes: batch }) });
+    left = left.slice(batch.length);
+    if (left.length) localStorage.setItem(LEGACY_KEY, JSON.stringify(left));
+    else localStorage.removeItem(LEGACY_KEY);
+  }
+}
+
+async function loadNotes() {
+  const query = activeTag ? `?tag=${encodeURIComponent(activeTag)}` : "";
+  notes = await request(`/api/notes${query}`);
+  render();
+}
+
+function showError(message) {
+  const el = document.getElementById("notesError");
+  el.textContent = message;
+  el.hidden = !message;
+}
+
+function resetForm() {
+  editingId = null;
+  document.getElementById("noteTitle").value = "";
+  document.getElementById("noteInput").value = "";
+  document.getElementById("noteTags").value = "";
+  document.getElementById("addBtn").textContent = "Add Note";
+  document.getElementById("cancelEdit").hidden = true;
+}
+
+function startEdit(note) {
+  editingId = note._id;
+  document.getElementById("noteTitle").value = note.title || "";
+  document.getElementById("noteInput").value = note.body || "";
+  document.getElementById("noteTags").value = (note.tags || []).join(", ");
+  document.getElementById("addBtn").textContent = "Save Note";
+  document.getElementById("cancelEdit").hidden = false;
+  document.getElementById("noteTitle").focus();
+}
+
+async function submitNote() {
+  const title = document.getElementById("noteTitle").value.trim();
+  const body = document.getElementById("noteInput").value;
+  const tags = parseTags(document.getElementById("noteTags").value);
+  if (!title && !body.trim()) return;
+
+  try {
+    if (editingId) {
+      await request(`/api/notes/${editingId}`, { method: "PUT", body: JSON.stringify({ title, body, tags }) });
+    } else {
+      await request("/api/notes", { method: "POST", body: JSON.stringify({ title, body, tags }) });
+    }
+    resetForm();
+    showError("");
+    await loadNotes();
+  } catch (err) {
+    console.error("Save note error:", err);
+    showError("Failed to save note");
+  }
+}
+
+async function togglePin(note) {
+  try {
+    await request(`/api/notes/${note._id}`, { method: "PUT", body: JSON.stringify({ pinned: !note.pinned }) });
+    await loadNotes();
+  } catch (err) {
+    console.error("Pin note error:", err);
+    showError("Failed to update note");
+  }
+}
+
+// Offer to undo the delete of `note` for a while; another delete replaces the offer
+function offerUndo(note) {
+  const el = document.getElementById("notesUndo");
+  clearTimeout(undoTimer);
+  el.hidden = false;
+  document.getElementById("undoDelete").onclick = () => restoreNote(note);
+  undoTimer = setTimeout(() => { el.hidden = true; }, UNDO_MS);
+}
+
+// Deleted notes go to the trash
+async function deleteNote(note) {
+  try {
+    await request(`/api/notes/${note._id}`, { method: "DELETE" });
+    if (editingId === note._id) resetForm();
+    offerUndo(note);
+    await loadNotes();
+  } catch (err) {
+    console.error("Delete note error:", err);
+    showError("Failed to delete note");
+  }
+}
+
+async function restoreNote(note) {
+  clearTimeout(undoTimer);
+  document.getElementById("notesUndo").hidden = true;
+  try {
+    await request(`/api/notes/${note._id}/restore`, { method: "POST" });
+    showError("");
+    await loadNotes();
+  } catch (err) {
+    console.error("Restore note error:", err);
+    showError("Failed to restore note, find it in the trash");
+  }
+}
+
+// Build one note element. Everything user-provided goes through textContent.
+function createNoteEl(note) {
+  const el = document.createElement("div");
+  el.className = "note" + (note.pinned ? " pinned" : "");
+  el.dataset.noteId = note._id;
+
+  const content = document.createElement("div");
+  content.className = "note-content";
+
+  if (note.title) {
+    const title = document.createElement("h3");
+    title.textContent = note.title;
+    content.appendChild(title);
+  }
+
+  if (note.body) {
+    const body = document.createElement("p");
+    body.textContent = note.body;
+    content.appendChild(body);
+  }
+
+  if (note.tags && note.tags.length) {
+    const tags = document.createElement("div");
+    tags.className = "tags";
+    note.tags.forEach((tag) => {
+      const chip = document.createElement("button");
+      chip.className = "tag";
+      chip.textContent = "#" + tag;
+      chip.addEventListener("click", () => {
+        activeTag = tag;
+        updateFilterLabel();
+        loadNotes();
+      });
+      tags.appendChild(chip);
+    });
+    content.appendChild(tags);
+  }
+
+  const meta = document.createElement("small");
+  meta.textContent = "Updated " + new Date(note.updatedAt).toLocaleString();
+  content.appendChild(meta);
+
+  const actions = document.createElement("div");
+  actions.className = "actions";
+
+  const pinBtn = document.createElement("button");
+  pinBtn.className = "pinBtn";
+  pinBtn.textContent = note.pinned ? "Unpin" : "Pin";
+  pinBtn.addEventListener("click", () => togglePin(note));
+
+  const editBtn = document.createElement("button");
+  editBtn.className = "editBtn";
+  editBtn.textContent = "Edit";
+  editBtn.addEventListener("click", () => startEdit(note));
+
+  const deleteBtn = document.createElement("button");
+  deleteBtn.className = "deleteBtn";
+  deleteBtn.textContent = "Delete";
+  deleteBtn.addEventListener("click", () => deleteNote(note));
+
+  actions.append(pinBtn, editBtn, deleteBtn);
+  el.append(content, actions);
+  return el;
+}
+
+function render() {
+  const container = document.getElementById("notesContainer");
+  container.replaceChildren();
+  if (!notes.length) {
+    const empty = document.createElement("p");
+    empty.textContent = activeTag ? "No notes with this tag." : "No notes yet.";
+    container.appendChild(empty);
+    return;
+  }
+  notes.forEach((note) => container.appendChild(createNoteEl(note)));
+}
+
+function updateFilterLabel() {
+  const filter = document.getElementById("tagFilter");
+  filter.hidden = !activeTag;
+  document.getElementById("tagFilterName").textContent = activeTag ? "#" + activeTag : "";
+}
+
+document.getElementById("addBtn").addEventListener("click", submitNote);
+document.getElementById("cancelEdit").addEventListener("click", resetForm);
+document.getElementById("clearTag").addEventListener("click", () => {
+  activeTag = "";
+  updateFilterLabel();
+  loadNotes();
+});
+
+(async function init() {
+  try {
+    await migrateLocalNotes();
+  } catch (err) {
+    // keep the local copy and try again on the next visit
+    console.warn("Could not migrate local notes", err);
+  }
+  try {
+    await loadNotes();
+  } catch (err) {
+    console.error("Load notes error:", err);
+    showError("Failed to load notes");
+    return;
+  }
+  // search results link to /notes?note=<id>
+  const linked = new URLSearchParams(window.location.search).get("note");
+  const el = linked && document.querySelector(`.note[data-note-id="${CSS.escape(linked)}"]`);
+  if (el) {
+    el.classList.add("search-hit");
+    el.scrollIntoView({ block: "center" });
+  }
+})();
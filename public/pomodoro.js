@@ -0,0 +1,304 @@
+// public/pomodoro.js
+// Pomodoro timer (focus / short break / long break cycle) plus the plain countdown timer.
+// Completed focus sessions are stored through /api/sessions, optionally linked to a planner task.
+import { authHeaders, handleAuthError, loadTasksFromBackend, apiFetch, isSignedIn, calendarSettings } from "./storage.js";
+import { addDays, dateKeyIn, weekKeyOf, weekdayName } from "./dates.js";
+
+const API_BASE = "";
+const SETTINGS_KEY = "pomodoroSettings";
+
+const DEFAULT_SETTINGS = { workMinutes: 25, shortBreakMinutes: 5, longBreakMinutes: 15, cyclesBeforeLong: 4 };
+
+const display = document.getElementById("timerDisplay");
+const loggedIn = isSignedIn();
+
+let mode = "pomodoro";       // "pomodoro" | "timer"
+let phase = "focus";         // "focus" | "short" | "long"
+let completedFocus = 0;      // focus sessions finished since the last long break
+let remaining = 0;           // seconds left while paused / not started
+let endAt = null;            // timestamp the running countdown reaches zero
+let timerInterval = null;
+let focusStartedAt = null;   // when the current focus phase was first started
+let phaseStarted = false;    // false until Start is pressed in the current phase
+
+// Calendar date (YYYY-MM-DD) of `date` in the user's timezone
+function toDateKey(date) {
+  return dateKeyIn(date, calendarSettings().timezone);
+}
+
+function readSettings() {
+  let saved = {};
+  try {
+    saved = JSON.parse(localStorage.getItem(SETTINGS_KEY) || "{}");
+  } catch (e) { /* ignore */ }
+  return { ...DEFAULT_SETTINGS, ...saved };
+}
+
+function currentSettings() {
+  const read = (id, min, max, fallback) => {
+    const value = parseInt(document.getElementById(id).value, 10);
+    return Number.isInteger(value) ? Math.min(Math.max(value, min), max) : fallback;
+  };
+  return {
+    workMinutes: read("workMinutes", 1, 180, DEFAULT_SETTINGS.workMinutes),
+    shortBreakMinutes: read("shortBreakMinutes", 1, 60, DEFAULT_SETTINGS.shortBreakMinutes),
+    longBreakMinutes: read("longBreakMinutes", 1, 120, DEFAULT_SETTINGS.longBreakMinutes),
+    cyclesBeforeLong: read("cyclesBeforeLong", 1, 12, DEFAULT_SETTINGS.cyclesBeforeLong),
+  };
+}
+
+function phaseSeconds(p) {
+  const s = currentSettings();
+  if (p === "short") return s.shortBreakMinutes * 60;
+  if (p === "long") return s.longBreakMinutes * 60;
+  return s.workMinutes * 60;
+}
+
+function secondsLeft() {
+  return endAt ? Math.max(0, Math.round((endAt - Date.now()) / 1000)) : remaining;
+}
+
+function updateDisplay() {
+  const total = secondsLeft();
+  const hrs = Math.floor(total / 3600);
+  const mins = Math.floor((total % 3600) / 60);
+  const secs = total % 60;
+  const mmss = String(mins).padStart(2, "0") + ":" + String(secs).padStart(2, "0");
+  display.textContent = hrs ? String(hrs).padStart(2, "0") + ":" + mmss : mmss;
+  if (mode === "pomodoro" && endAt) document.title = `${mmss} • ${phaseName(phase)}`;
+}
+
+function phaseName(p) {
+  return p === "short" ? "Short break" : p === "long" ? "Long break" : "Focus";
+}
+
+function updatePhaseUI() {
+  const label = document.getElementById("phaseLabel");
+  label.textContent = phaseName(phase);
+  label.classList.toggle("break", phase !== "focus");
+  const { cyclesBeforeLong } = currentSettings();
+  document.getElementById("cycleInfo").textContent =
+    `Cycle ${Math.min(completedFocus + (phase === "focus" ? 1 : 0), cyclesBeforeLong)} of ${cyclesBeforeLong}`;
+}
+
+function stopTicking() {
+  clearInterval(timerInterval);
+  timerInterval = null;
+}
+
+function tick() {
+  updateDisplay();
+  if (secondsLeft() > 0) return;
+
+  stopTicking();
+  endAt = null;
+  remaining = 0;
+  if (mode === "pomodoro") finishPhase();
+  else document.title = "Time's up!";
+}
+
+function start() {
+  if (timerInterval) return;
+  if (mode === "pomodoro" && remaining === 0) remaining = phaseSeconds(phase);
+  if (remaining <= 0) return;
+  if (mode === "pomodoro" && phase === "focus" && !focusStartedAt) focusStartedAt = new Date();
+  phaseStarted = true;
+
+  endAt = Date.now() + remaining * 1000;
+  timerInterval = setInterval(tick, 250);
+  updateDisplay();
+}
+
+function togglePause() {
+  if (timerInterval) {
+    remaining = secondsLeft();
+    endAt = null;
+    stopTicking();
+  } else {
+    start();
+  }
+}
+
+function reset() {
+  stopTicking();
+  endAt = null;
+  focusStartedAt = null;
+  phaseStarted = false;
+  if (mode === "pomodoro") {
+    phase = "focus";
+    completedFocus = 0;
+    remaining = phaseSeconds("focus");
+    updatePhaseUI();
+  } else {
+    remaining = 0;
+  }
+  document.title = "Pomodoro Timer";
+  updateDisplay();
+}
+
+// Move to the next phase. Only a focus phase that ran to zero is recorded.
+async function finishPhase({ skipped = false } = {}) {
+  const finished = phase;
+  if (finished === "focus") {
+    if (!skipped) await recordSession();
+    completedFocus++;
+    focusStartedAt = null;
+    if (completedFocus >= currentSettings().cyclesBeforeLong) {
+      phase = "long";
+      completedFocus = 0;
+    } else {
+      phase = "short";
+    }
+  } else {
+    phase = "focus";
+  }
+
+  remaining = phaseSeconds(phase);
+  phaseStarted = false;
+  document.title = skipped ? "Pomodoro Timer" : `${phaseName(finished)} done!`;
+  updatePhaseUI();
+  updateDisplay();
+}
+
+function skip() {
+  if (mode !== "pomodoro") return;
+  stopTicking();
+  endAt = null;
+  finishPhase({ skipped: true });
+}
+
+async function recordSession() {
+  if (!loggedIn) return;
+
+  const endedAt = new Date();
+  const session = {
+    date: toDateKey(endedAt),
+    startedAt: (focusStartedAt || endedAt).toISOString(),
+    endedAt: endedAt.toISOString(),
+    durationSeconds: phaseSeconds("focus"),
+  };
+
+  const select = document.getElementById("taskSelect");
+  const option = select.selectedOptions[0];
+  if (option && option.value) {
+    Object.assign(session, {
+      taskId: option.value,
+      weekKey: option.dataset.weekKey,
+      dayIndex: Number(option.dataset.dayIndex),
+      taskText: option.dataset.text,
+    });
+  }
+
+  try {
+    const res = await apiFetch(`${API_BASE}/api/sessions`, {
+      method: "POST",
+      headers: authHeaders(),
+      body: JSON.stringify(session),
+    });
+    if (handleAuthError(res)) return;
+    if (!res.ok) throw new Error("Failed to save session");
+    await loadHistory();
+  } catch (err) {
+    console.error("Session save error:", err);
+  }
+}
+
+async function loadTasks() {
+  if (!loggedIn) return;
+  const weekKey = weekKeyOf(toDateKey(new Date()), calendarSettings().weekStart);
+  const days = await loadTasksFromBackend(weekKey);
+  const select = document.getElementById("taskSelect");
+
+  for (let i = 0; i < 7; i++) {
+    (days[i] || [])
+      .filter((t) => t.status !== "Completed" && t.status !== "Abandoned")
+      .forEach((task) => {
+        const option = document.createElement("option");
+        option.value = task.id;
+        option.textContent = `${weekdayName(addDays(weekKey, i))}: ${task.text}`;
+        option.dataset.weekKey = weekKey;
+        option.dataset.dayIndex = i;
+        option.dataset.text = task.text;
+        select.appendChild(option);
+      });
+  }
+}
+
+async function loadHistory() {
+  const summary = document.getElementById("historySummary");
+  const list = document.getElementById("historyList");
+  if (!loggedIn) {
+    summary.textContent = "Log in to keep a history of your focus sessions.";
+    return;
+  }
+
+  const today = toDateKey(new Date());
+  const res = await apiFetch(`${API_BASE}/api/sessions?from=${today}&to=${today}`, { headers: authHeaders() });
+  if (handleAuthError(res) || !res.ok) return;
+  const sessions = await res.json();
+
+  const minutes = Math.round(sessions.reduce((sum, s) => sum + s.durationSeconds, 0) / 60);
+  summary.textContent = `${sessions.length} session${sessions.length === 1 ? "" : "s"} • ${minutes} min`;
+  list.replaceChildren(
+    ...sessions.map((s) => {
+      const li = document.createElement("li");
+      const time = new Date(s.endedAt).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+      li.textContent = `${time} — ${Math.round(s.durationSeconds / 60)} min${s.taskText ? " • " + s.taskText : ""}`;
+      return li;
+    })
+  );
+}
+
+function setMode(next) {
+  if (next === mode) return;
+  stopTicking();
+  endAt = null;
+  mode = next;
+  document.getElementById("modePomodoro").classList.toggle("active", mode === "pomodoro");
+  document.getElementById("modeTimer").classList.toggle("active", mode === "timer");
+  document.getElementById("pomodoroSetup").hidden = mode !== "pomodoro";
+  document.getElementById("timerSetup").hidden = mode !== "timer";
+  document.getElementById("skip").hidden = mode !== "pomodoro";
+  reset();
+}
+
+// Restore saved settings
+const saved = readSettings();
+Object.entries(saved).forEach(([key, value]) => {
+  const input = document.getElementById(key);
+  if (input) input.value = value;
+});
+
+document.querySelectorAll(".settings input").forEach((input) => {
+  input.addEventListener("change", () => {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(currentSettings()));
+    // apply a new length straight away if the current phase hasn't started yet
+    if (mode === "pomodoro" && !phaseStarted) {
+      remaining = phaseSeconds(phase);
+      updateDisplay();
+    }
+    updatePhaseUI();
+  });
+});
+
+document.getElementById("setTime").addEventListener("click", () => {
+  const h = parseInt(document.getElementById("hours").value) || 0;
+  const m = parseInt(document.getElementById("minutes").value) || 0;
+  const s = parseInt(document.getElementById("seconds").value) || 0;
+
+  stopTicking();
+  endAt = null;
+  remaining = h * 3600 + m * 60 + s;
+  updateDisplay();
+});
+
+document.getElementById("modePomodoro").addEventListener("click", () => setMode("pomodoro"));
+document.getElementById("modeTimer").addEventListener("click", () => setMode("timer"));
+document.getElementById("start").addEventListener("click", start);
+document.getElementById("pause").addEventListener("click", togglePause);
+document.getElementById("reset").addEventListener("click", reset);
+document.getElementById("skip").addEventListener("click", skip);
+
+reset();
+loadTasks().catch((err) => console.error("Load tasks error:", err));
+loadHistory().catch((err) => console.error("Load history error:", err));
@@ -0,0 +1,109 @@
+// public/quotes.js
+// Home page: star the quote of the day and keep a list of your own quotes (/api/quotes).
+import { authHeaders, handleAuthError, apiFetch } from "./storage.js";
+
+const API_BASE = "";
+
+let favorites = [];
+let mine = [];
+let todayId = null; // id of the quote of the day (data-id on #quoteOfDay)
+
+async function request(path, options = {}) {
+  const res = await apiFetch(`${API_BASE}${path}`, { ...options, headers: authHeaders() });
+  if (handleAuthError(res)) throw new Error("Not authenticated");
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || "Request failed");
+  return data;
+}
+
+function showError(message) {
+  const el = document.getElementById("quotesError");
+  el.textContent = message;
+  el.hidden = !message;
+}
+
+function quoteItem(quote, { onRemove, label }) {
+  const li = document.createElement("li");
+  const text = document.createElement("span");
+  text.textContent = quote.author ? `“${quote.text}” — ${quote.author}` : `“${quote.text}”`;
+  const remove = document.createElement("button");
+  remove.type = "button";
+  remove.textContent = label;
+  remove.addEventListener("click", () => onRemove(quote).catch((e) => showError(e.message)));
+  li.append(text, remove);
+  return li;
+}
+
+function render() {
+  const favList = document.getElementById("favoriteQuotes");
+  favList.replaceChildren(...favorites.map((q) => quoteItem(q, { label: "Unstar", onRemove: unstar })));
+  if (!favorites.length) favList.innerHTML = "<li>No favourites yet — star a quote of the day.</li>";
+
+  const ownList = document.getElementById("ownQuotes");
+  ownList.replaceChildren(...mine.map((q) => quoteItem(q, { label: "Delete", onRemove: removeOwn })));
+  if (!mine.length) ownList.innerHTML = "<li>You haven't added any quotes.</li>";
+
+  renderStar();
+}
+
+// The star of the quote of the day follows the favourites list
+function renderStar() {
+  const btn = document.getElementById("favoriteQuote");
+  if (!btn) return;
+  const starred = favorites.some((f) => f.quoteId === todayId);
+  btn.textContent = starred ? "★" : "☆";
+  btn.title = starred ? "Remove from favourites" : "Add to favourites";
+  btn.setAttribute("aria-pressed", String(starred));
+}
+
+async function loadQuotes() {
+  ({ favorites, mine } = await request("/api/quotes"));
+  render();
+}
+
+async function unstar(favorite) {
+  await request(`/api/quotes/favorites/${encodeURIComponent(favorite.quoteId)}`, { method: "DELETE" });
+  favorites = favorites.filter((f) => f.quoteId !== favorite.quoteId);
+  render();
+}
+
+async function removeOwn(quote) {
+  if (!confirm("Delete this quote?")) return;
+  await request(`/api/quotes/${quote._id}`, { method: "DELETE" });
+  mine = mine.filter((q) => q._id !== quote._id);
+  render();
+}
+
+async function toggleToday() {
+  const figure = document.getElementById("quoteOfDay");
+  const favorite = favorites.find((f) => f.quoteId === todayId);
+  if (favorite) return unstar(favorite);
+  const created = await request("/api/quotes/favorites", {
+    method: "POST",
+    body: JSON.stringify({ text: figure.dataset.text, author: figure.dataset.author }),
+  });
+  favorites = [created, ...favorites.filter((f) => f.quoteId !== created.quoteId)];
+  render();
+}
+
+async function addQuote(event) {
+  event.preventDefault();
+  const text = document.getElementById("quoteText");
+  const author = document.getElementById("quoteAuthor");
+  const quote = await request("/api/quotes", {
+    method: "POST",
+    body: JSON.stringify({ text: text.value, author: author.value }),
+  });
+  mine = [quote, ...mine];
+  text.value = "";
+  author.value = "";
+  showError("");
+  render();
+}
+
+document.addEventListener("DOMContentLoaded", () => {
+  todayId = document.getElementById("quoteOfDay").dataset.id;
+  document.getElementById("favoriteQuote")?.addEventListener("click", () => toggleToday().catch((e) => showError(e.message)));
+  document.getElementById("quoteForm").addEventListener("submit", (e) => addQuote(e).catch((err) => showError(err.message)));
+  loadQuotes().catch((e) => showError(e.message));
+});
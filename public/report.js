@@ -0,0 +1,229 @@
+// public/report.js
+// Productivity report page: picks a date range and renders /api/report with Chart.js.
+import { authHeaders, handleAuthError, apiFetch, calendarSettings } from "./storage.js";
+import { addDays, todayIn, weekKeyOf } from "./dates.js";
+
+const API_BASE = "";
+
+const COLORS = {
+  "Completed": "rgba(25,135,84,.8)",
+  "In Process": "rgba(13,110,253,.7)",
+  "Abandoned": "rgba(220,53,69,.7)",
+  "No status": "rgba(108,117,125,.6)",
+};
+const STATUSES = Object.keys(COLORS);
+
+let mode = "week";
+const charts = {};
+
+// YYYY-MM-DD of a local Date built by fromDateKey (toISOString would shift it to UTC)
+function toDateKey(date) {
+  const y = date.getFullYear();
+  const m = String(date.getMonth() + 1).padStart(2, "0");
+  const d = String(date.getDate()).padStart(2, "0");
+  return `${y}-${m}-${d}`;
+}
+
+function today() {
+  return todayIn(calendarSettings().timezone);
+}
+
+function fromDateKey(key) {
+  const [y, m, d] = key.split("-").map(Number);
+  return new Date(y, m - 1, d);
+}
+
+// Work out the [from, to] range for the selected picker
+function currentRange() {
+  if (mode === "custom") {
+    return {
+      from: document.getElementById("rangeFrom").value,
+      to: document.getElementById("rangeTo").value,
+    };
+  }
+
+  const anchorKey = document.getElementById("anchorDate").value || today();
+  const anchor = fromDateKey(anchorKey);
+  if (mode === "month") {
+    const first = new Date(anchor.getFullYear(), anchor.getMonth(), 1);
+    const last = new Date(anchor.getFullYear(), anchor.getMonth() + 1, 0);
+    return { from: toDateKey(first), to: toDateKey(last) };
+  }
+
+  // week: the user's week (Monday..Sunday or Sunday..Saturday) containing the anchor date
+  const from = weekKeyOf(anchorKey, calendarSettings().weekStart);
+  return { from, to: addDays(from, 6) };
+}
+
+async function fetchReport(from, to) {
+  const res = await apiFetch(`${API_BASE}/api/report?from=${from}&to=${to}`, { headers: authHeaders() });
+  if (handleAuthError(res)) throw new Error("Not authenticated");
+  const data = await res.json();
+  if (!res.ok) throw new Error(data.error || "Failed to load report");
+  return data;
+}
+
+function renderChart(id, config) {
+  if (charts[id]) charts[id].destroy();
+  charts[id] = new Chart(document.getElementById(id), config);
+}
+
+function render(report) {
+  document.getElementById("countCompleted").textContent = report.totals["Completed"];
+  document.getElementById("countInProcess").textContent = report.totals["In Process"];
+  document.getElementById("countAbandoned").textContent = report.totals["Abandoned"];
+  document.getElementById("countNoStatus").textContent = report.totals["No status"];
+  document.getElementById("completionRate").textContent = Math.round(report.completionRate * 100) + "%";
+  document.getElementById("rangeLabel").textContent = `${report.from} → ${report.to} • ${report.totals.total} tasks`;
+
+  renderChart("weeklyChart", {
+    type: "bar",
+    data: {
+      labels: report.byDayOfWeek.map((d) => d.day),
+      datasets: STATUSES.map((s) => ({
+        label: s,
+        data: report.byDayOfWeek.map((d) => d[s]),
+        backgroundColor: COLORS[s],
+      })),
+    },
+    options: {
+      responsive: true,
+      plugins: { legend: { position: "bottom" } },
+      scales: { x: { stacked: true }, y: { stacked: true, beginAtZero: true, ticks: { precision: 0 } } },
+    },
+  });
+
+  renderChart("statusChart", {
+    type: "doughnut",
+    data: {
+      labels: STATUSES,
+      datasets: [{ data: STATUSES.map((s) => report.totals[s]), backgroundColor: STATUSES.map((s) => COLORS[s]) }],
+    },
+    options: { plugins: { legend: { position: "bottom" } } },
+  });
+
+  renderChart("monthlyChart", {
+    type: "bar",
+    data: {
+      labels: report.byMonth.map((m) => m.month),
+      datasets: STATUSES.map((s) => ({
+        label: s,
+        data: report.byMonth.map((m) => m[s]),
+        backgroundColor: COLORS[s],
+      })),
+    },
+    options: {
+      responsive: true,
+      plugins: { legend: { position: "bottom" } },
+      scales: { x: { stacked: true }, y: { stacked: true, beginAtZero: true, ticks: { precision: 0 } } },
+    },
+  });
+}
+
+function renderFocus(focus) {
+  document.getElementById("focusTotal").textContent = `• ${focus.totalMinutes} min in ${focus.sessions} sessions`;
+
+  renderChart("focusChart", {
+    type: "bar",
+    data: {
+      labels: focus.byDay.map((d) => d.date),
+      datasets: [{ label: "Focused minutes", data: focus.byDay.map((d) => d.minutes), backgroundColor: COLORS["In Process"] }],
+    },
+    options: { responsive: true, plugins: { legend: { display: false } }, scales: { y: { beginAtZero: true } } },
+  });
+
+  const rows = focus.byTask.map((task) => {
+    const tr = document.createElement("tr");
+    [task.text || "(untitled task)", task.sessions, task.minutes].forEach((value, i) => {
+      const td = document.createElement("td");
+      td.textContent = value;
+      if (i > 0) td.className = "text-end";
+      tr.appendChild(td);
+    });
+    return tr;
+  });
+  document.getElementById("focusByTask").replaceChildren(...rows);
+}
+
+// "3.5 h", or days once it is over two days
+function formatHours(hours) {
+  if (hours === null) return "–";
+  return hours > 48 ? `${Math.round((hours / 24) * 10) / 10} d` : `${hours} h`;
+}
+
+// Status changes timed with the activity log
+function renderStatusTimings({ transitions, timeToComplete }) {
+  document.getElementById("timeToComplete").textContent = timeToComplete.count
+    ? `• completed in ${formatHours(timeToComplete.medianHours)} (median of ${timeToComplete.count})`
+    : "";
+
+  const rows = transitions.map((t) => {
+    const tr = document.createElement("tr");
+    [t.from, t.to, t.count, formatHours(t.medianHours)].forEach((value, i) => {
+      const td = document.createElement("td");
+      td.textContent = value;
+      if (i > 1) td.className = "text-end";
+      tr.appendChild(td);
+    });
+    return tr;
+  });
+  document.getElementById("statusTransitions").replaceChildren(...rows);
+  document.getElementById("noTransitions").hidden = rows.length > 0;
+}
+
+async function refresh() {
+  const { from, to } = currentRange();
+  const errorEl = document.getElementById("reportError");
+  errorEl.hidden = true;
+  if (!from || !to) return;
+
+  try {
+    const report = await fetchReport(from, to);
+    render(report);
+    renderFocus(report.focus);
+    renderStatusTimings(report.statusTimings);
+  } catch (err) {
+    console.error("Report error:", err);
+    errorEl.textContent = err.message;
+    errorEl.hidden = false;
+  }
+}
+
+function setMode(next) {
+  mode = next;
+  document.querySelectorAll("[data-mode]").forEach((btn) => {
+    btn.classList.toggle("active", btn.dataset.mode === mode);
+  });
+  document.getElementById("anchorPicker").hidden = mode === "custom";
+  document.getElementById("customPicker").hidden = mode !== "custom";
+  refresh();
+}
+
+// Move the week/month anchor back or forward by one period
+function shift(direction) {
+  const input = document.getElementById("anchorDate");
+  const anchor = fromDateKey(input.value || today());
+  if (mode === "month") anchor.setMonth(anchor.getMonth() + direction, 1);
+  else anchor.setDate(anchor.getDate() + 7 * direction);
+  input.value = toDateKey(anchor);
+  refresh();
+}
+
+document.addEventListener("DOMContentLoaded", () => {
+  const todayKey = today();
+  document.getElementById("date").textContent = fromDateKey(todayKey).toLocaleDateString();
+  document.getElementById("anchorDate").value = todayKey;
+  document.getElementById("rangeTo").value = todayKey;
+  document.getElementById("rangeFrom").value = addDays(todayKey, -30);
+
+  document.querySelectorAll("[data-mode]").forEach((btn) => {
+    btn.addEventListener("click", () => setMode(btn.dataset.mode));
+  });
+  document.getElementById("prevRange").addEventListener("click", () => shift(-1));
+  document.getElementById("nextRange").addEventListener("click", () => shift(1));
+  document.getElementById("anchorDate").addEventListener("change", refresh);
+  document.getElementById("rangeFrom").addEventListener("change", refresh);
+  document.getElementById("rangeTo").addEventListener("change", refresh);
+
+  setMode("week");
+});
@@ -0,0 +1,113 @@
+// public/search.js
+// Search box of the header: finds tasks and notes through /api/search. A task
+// result opens its week in the planner (/weekly?week=&task=), a note the notes page.
+import { searchPlanner, isSignedIn } from "./storage.js";
+
+const DEBOUNCE_MS = 300;
+
+let timer = null;
+let lastRequest = 0;
+
+function formatDate(dateKey) {
+  return new Date(dateKey + "T00:00:00").toLocaleDateString(undefined, {
+    weekday: "short",
+    day: "numeric",
+    month: "short",
+    year: "numeric",
+  });
+}
+
+function resultLink(href, title, detail) {
+  const li = document.createElement("li");
+  const link = document.createElement("a");
+  link.href = href;
+  const strong = document.createElement("strong");
+  strong.textContent = title;
+  const small = document.createElement("small");
+  small.textContent = detail;
+  link.append(strong, small);
+  li.appendChild(link);
+  return li;
+}
+
+function heading(text) {
+  const li = document.createElement("li");
+  li.className = "search-heading";
+  li.textContent = text;
+  return li;
+}
+
+function render({ tasks, notes }) {
+  const list = document.getElementById("searchResults");
+  list.replaceChildren();
+
+  if (tasks.length) list.appendChild(heading("Tasks"));
+  tasks.forEach(({ weekKey, date, task }) => {
+    const params = new URLSearchParams({ week: weekKey, task: task.id });
+    const tags = (task.tags || []).map((t) => "#" + t).join(" ");
+    const detail = [formatDate(date), task.status || "No status", tags].filter(Boolean).join(" · ");
+    list.appendChild(resultLink(`/weekly?${params}`, task.text, detail));
+  });
+
+  if (notes.length) list.appendChild(heading("Notes"));
+  notes.forEach((note) => {
+    const params = new URLSearchParams({ note: note._id });
+    list.appendChild(resultLink(`/notes?${params}`, note.title || "Untitled note", note.snippet));
+  });
+
+  if (!tasks.length && !notes.length) list.appendChild(heading("No matches"));
+  list.hidden = false;
+}
+
+async function runSearch() {
+  const form = document.getElementById("searchForm");
+  const q = form.elements.q.value.trim();
+  const list = document.getElementById("searchResults");
+  if (!q) {
+    list.hidden = true;
+    return;
+  }
+
+  const request = ++lastRequest;
+  try {
+    const result = await searchPlanner({
+      q,
+      status: form.elements.status.value,
+      tag: form.elements.tag.value.trim().replace(/^#/, ""),
+      from: form.elements.from.value,
+      to: form.elements.to.value,
+    });
+    // answers to older keystrokes may arrive late
+    if (request === lastRequest) render(result);
+  } catch (err) {
+    if (request !== lastRequest) return;
+    console.error("Search error:", err);
+    list.replaceChildren(heading("Search failed, please try again"));
+    list.hidden = false;
+  }
+}
+
+function schedule() {
+  clearTimeout(timer);
+  timer = setTimeout(runSearch, DEBOUNCE_MS);
+}
+
+document.addEventListener("DOMContentLoaded", () => {
+  const form = document.getElementById("searchForm");
+  if (!form) return;
+  // searching needs an account
+  form.hidden = !isSignedIn();
+
+  form.addEventListener("submit", (e) => {
+    e.preventDefault();
+    clearTimeout(timer);
+    runSearch();
+  });
+  form.addEventListener("input", schedule);
+  form.addEventListener("keydown", (e) => {
+    if (e.key === "Escape") document.getElementById("searchResults").hidden = true;
+  });
+  document.addEventListener("click", (e) => {
+    if (!form.contains(e.target)) document.getElementById("searchResults").hidden = true;
+  });
+});
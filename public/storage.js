@@ -8,45 +8,436 @@ Get data (GET)
 Delete data (DELETE)
 These functions are used by your React/JS UI.*/
 
+import { MONDAY, SUNDAY, isTimeZone } from "./dates.js";
 
 const API_BASE = "";
 
+function meta(name) {
+  const el = document.querySelector(`meta[name="${name}"]`);
+  return el ? el.content : "";
+}
+
+// Names this page to the live updates stream (public/live.js), which then doesn't send
+// it back the changes it made itself
+const TAB_ID = crypto.randomUUID ? crypto.randomUUID() : `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+
+export function tabId() {
+  return TAB_ID;
+}
+
+// Headers for every API call: JSON body + credentials. Pages signed in with a cookie
+// session (<meta name="csrf-token">) send the CSRF token; older logins send the JWT
+// they kept in localStorage. X-Planner-Client marks the change as made on the web app
+// in the activity log, X-Planner-Tab as made by this page. On a shared board's pages
+// X-Planner-Board sends the task, trash and activity calls to that board.
+export function authHeaders(extra = {}) {
+  const token = localStorage.getItem("authToken");
+  const headers = { "Content-Type": "application/json", "X-Planner-Client": "web", "X-Planner-Tab": TAB_ID, ...extra };
+  if (token) headers.Authorization = `Bearer ${token}`;
+  const csrf = meta("csrf-token");
+  if (csrf) headers["X-CSRF-Token"] = csrf;
+  const board = currentBoard();
+  if (board) headers["X-Planner-Board"] = board.id;
+  return headers;
+}
+
+// The shared board the page shows, { id, role }, or null for the personal planner
+export function currentBoard() {
+  const id = meta("planner-board");
+  return id ? { id, role: meta("planner-board-role") } : null;
+}
+
+// Whether the user may change the tasks on this page (viewers of a board may not)
+export function canEditPlanner() {
+  const board = currentBoard();
+  return !board || board.role !== "viewer";
+}
+
+// Id of the signed-in user, from the page (cookie session) or the stored JWT; "" if none
+export function currentUserId() {
+  const fromPage = meta("planner-user");
+  if (fromPage) return fromPage;
+  try {
+    const token = localStorage.getItem("authToken");
+    return JSON.parse(atob(token.split(".")[1].replace(/-/g, "+").replace(/_/g, "/"))).id || "";
+  } catch (e) {
+    return "";
+  }
+}
+
+export function isSignedIn() {
+  return !!currentUserId();
+}
+
+// The signed-in user's calendar settings { timezone, weekStart } (see lib/dates.js);
+// without them, the browser's timezone and weeks starting on Monday
+export function calendarSettings() {
+  const timezone = meta("planner-timezone");
+  return {
+    timezone: isTimeZone(timezone) ? timezone : Intl.DateTimeFormat().resolvedOptions().timeZone,
+    weekStart: meta("planner-week-start") === String(SUNDAY) ? SUNDAY : MONDAY,
+  };
+}
+
+// 401 (no credentials) / 403 (invalid, expired or signed-out token): drop the stale
+// session and go to /login, which brings the user back here afterwards. A 403 with an
+// X-Auth-Error header (CSRF_INVALID, or ROLE_FORBIDDEN for a board viewer) is not an
+// auth problem and is left to the caller.
+export function handleAuthError(res) {
+  if (res.status !== 401 && res.status !== 403) return false;
+  if (res.headers.get("X-Auth-Error")) return false;
+  localStorage.removeItem("authToken");
+  localStorage.removeItem("refreshToken");
+  window.location.href = `/login?next=${encodeURIComponent(window.location.pathname + window.location.search)}`;
+  return true;
+}
+
+// Access tokens live 15 minutes; renew them a minute early
+const REFRESH_MARGIN_MS = 60 * 1000;
+
+function tokenExpiry(token) {
+  try {
+    const payload = JSON.parse(atob(token.split(".")[1].replace(/-/g, "+").replace(/_/g, "/")));
+    return payload.exp * 1000;
+  } catch (e) {
+    return 0;
+  }
+}
+
+let refreshing = null;
+
+// Trade the refresh token from /login for a new access + refresh token. Resolves to
+// false if that isn't possible. Tabs share the tokens in localStorage and each refresh
+// token works once, so refreshes take a lock and skip if another tab got there first.
+export function refreshSession() {
+  if (!refreshing) {
+    const before = localStorage.getItem("authToken");
+    const run = async () => {
+      if (localStorage.getItem("authToken") !== before) return true;
+      const refreshToken = localStorage.getItem("refreshToken");
+      if (!refreshToken) return false;
+      const res = await fetch(`${API_BASE}/refresh`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ refreshToken })
+      });
+      if (!res.ok) return false;
+      const data = await res.json();
+      localStorage.setItem("authToken", data.token);
+      localStorage.setItem("refreshToken", data.refreshToken);
+      return true;
+    };
+    refreshing = (navigator.locks ? navigator.locks.request("planner-auth", run) : run())
+      .catch(() => false)
+      .finally(() => { refreshing = null; });
+  }
+  return refreshing;
+}
+
+// The request with the access token as it is now (a refresh may have replaced it)
+function withCurrentToken(options) {
+  const token = localStorage.getItem("authToken");
+  if (!token || !options.headers || !options.headers.Authorization) return options;
+  return { ...options, headers: { ...options.headers, Authorization: `Bearer ${token}` } };
+}
+
+// fetch() for API calls: renews the access token when it is about to expire, and once
+// more if the server answers TOKEN_EXPIRED anyway, then sends the request again
+export async function apiFetch(url, options = {}) {
+  const token = localStorage.getItem("authToken");
+  if (token && tokenExpiry(token) - Date.now() < REFRESH_MARGIN_MS) await refreshSession();
+
+  let res = await fetch(url, withCurrentToken(options));
+  if (res.status === 403) {
+    const { code } = await res.clone().json().catch(() => ({}));
+    if (code === "TOKEN_EXPIRED" && (await refreshSession())) res = await fetch(url, withCurrentToken(options));
+  }
+  return res;
+}
+
+// Error for a failed API call; `status` lets callers tell a rejected request (4xx)
+// from one worth retrying later (5xx, or a network error which has no status), and
+// `reason` is the X-Auth-Error of a 403 that is not about the session
+function requestError(res, message) {
+  const err = new Error(message);
+  err.status = res.status;
+  err.reason = res.headers.get("X-Auth-Error") || undefined;
+  return err;
+}
+
+// Week versions for optimistic concurrency: the version we last saw per weekKey.
+// Edits send it as X-Week-Version; the server answers 409 if the week moved on.
+const weekVersions = {};
+
+export function getWeekVersion(weekKey) {
+  return weekVersions[weekKey];
+}
+
+// Seed the version of a week loaded from somewhere else (the offline cache in sync.js)
+export function setWeekVersion(weekKey, version) {
+  if (typeof version === "number") weekVersions[weekKey] = version;
+}
+
+// Thrown on 409 VERSION_CONFLICT; `server` is the current copy { weekKey, version, days }
+export class ConflictError extends Error {
+  constructor(server) {
+    super("This week was changed somewhere else");
+    this.name = "ConflictError";
+    this.server = server;
+  }
+}
+
+function versionHeaders(weekKey) {
+  const version = weekVersions[weekKey];
+  return authHeaders(version === undefined ? {} : { "X-Week-Version": String(version) });
+}
+
+// Remember the version returned by a write, but only if it directly follows the one we
+// knew: otherwise somebody else wrote in between and we must not pretend we've seen it.
+function advanceVersion(weekKey, version) {
+  if (typeof version !== "number") return;
+  if (weekVersions[weekKey] === undefined || version === weekVersions[weekKey] + 1) {
+    weekVersions[weekKey] = version;
+  }
+}
+
+async function checkConflict(res, weekKey) {
+  if (res.status !== 409) return;
+  const body = await res.json().catch(() => ({}));
+  if (body.code !== "VERSION_CONFLICT") return;
+  weekVersions[weekKey] = body.version;
+  throw new ConflictError(body);
+}
+
 export async function loadTasksFromBackend(weekKey) {
-  const res = await fetch(`${API_BASE}/api/tasks/${weekKey}`);
-  if (!res.ok) return {};
+  const res = await apiFetch(`${API_BASE}/api/tasks/${weekKey}`, { headers: authHeaders() });
+  if (handleAuthError(res)) return {};
+  if (!res.ok) throw requestError(res, "Failed to load tasks");
+  const version = Number(res.headers.get("X-Week-Version"));
+  if (Number.isInteger(version)) weekVersions[weekKey] = version;
   return await res.json();
 }
 
 export async function saveTasksToBackend(weekKey) {
   const days = window.tasksByWeek[weekKey] || {};
 
-  await fetch(`${API_BASE}/api/tasks/${weekKey}`, {
+  const res = await apiFetch(`${API_BASE}/api/tasks/${weekKey}`, {
     method: "POST",
-    headers: { "Content-Type": "application/json" },
+    headers: versionHeaders(weekKey),
     body: JSON.stringify({ days })
   });
+  if (handleAuthError(res)) throw requestError(res, "Not authenticated");
+  await checkConflict(res, weekKey);
+  if (!res.ok) throw requestError(res, "Failed to save tasks");
+  const data = await res.json();
+  advanceVersion(weekKey, data.version);
+  return data;
+}
+
+// Add one task to a day without touching the rest of the week
+export async function addTaskToBackend(weekKey, dayIndex, task, position) {
+  const res = await apiFetch(`${API_BASE}/api/tasks/${weekKey}/${dayIndex}`, {
+    method: "POST",
+    headers: authHeaders(),
+    body: JSON.stringify({ task, position })
+  });
+  if (handleAuthError(res)) throw requestError(res, "Not authenticated");
+  if (!res.ok) throw requestError(res, "Failed to add task");
+  const data = await res.json();
+  advanceVersion(weekKey, data.version);
+  return data;
+}
+
+// Move one task to another day and/or week. `position` is the index among the
+// target day's stored tasks; left out, the task goes to the end.
+export async function moveTaskOnBackend(weekKey, dayIndex, taskId, { toWeekKey, toDayIndex, position }) {
+  const res = await apiFetch(`${API_BASE}/api/tasks/${weekKey}/${dayIndex}/${taskId}/move`, {
+    method: "POST",
+    headers: versionHeaders(weekKey),
+    body: JSON.stringify({ toWeekKey, toDayIndex, position })
+  });
+  if (handleAuthError(res)) throw requestError(res, "Not authenticated");
+  await checkConflict(res, weekKey);
+  if (!res.ok) throw requestError(res, "Failed to move task");
+  const data = await res.json();
+  advanceVersion(weekKey, data.version);
+  if (toWeekKey && toWeekKey !== weekKey) advanceVersion(toWeekKey, data.toVersion);
+  return data;
+}
+
+// Reorder the tasks of one day; `order` is the list of task ids
+export async function reorderDayOnBackend(weekKey, dayIndex, order) {
+  const res = await apiFetch(`${API_BASE}/api/tasks/${weekKey}/${dayIndex}/reorder`, {
+    method: "POST",
+    headers: authHeaders(),
+    body: JSON.stringify({ order })
+  });
+  if (handleAuthError(res)) throw requestError(res, "Not authenticated");
+  if (!res.ok) throw requestError(res, "Failed to reorder tasks");
+  const data = await res.json();
+  advanceVersion(weekKey, data.version);
+  return data;
 }
 
 export async function deleteTaskFromBackend(weekKey, dayIndex, taskId) {
-  const res = await fetch(`${API_BASE}/api/tasks/${weekKey}/${dayIndex}/${taskId}`, {
-    method: "DELETE"
+  const res = await apiFetch(`${API_BASE}/api/tasks/${weekKey}/${dayIndex}/${taskId}`, {
+    method: "DELETE",
+    headers: versionHeaders(weekKey)
+  });
+  if (handleAuthError(res)) throw requestError(res, "Not authenticated");
+  await checkConflict(res, weekKey);
+  if (!res.ok) throw requestError(res, "Failed to delete task");
+  const data = await res.json();
+  advanceVersion(weekKey, data.version);
+  return data;
+}
+
+// Undo a delete: the server puts the task back from the trash, at its old place
+export async function restoreTaskOnBackend(weekKey, dayIndex, taskId) {
+  const res = await apiFetch(`${API_BASE}/api/tasks/${weekKey}/${dayIndex}/${taskId}/restore`, {
+    method: "POST",
+    headers: authHeaders()
+  });
+  if (handleAuthError(res)) throw requestError(res, "Not authenticated");
+  if (!res.ok) throw requestError(res, "Failed to restore task");
+  const data = await res.json();
+  advanceVersion(data.weekKey, data.version);
+  return data;
+}
+
+// Undo clearing a week: its tasks come back from the trash
+export async function restoreWeekOnBackend(weekKey) {
+  const res = await apiFetch(`${API_BASE}/api/tasks/${weekKey}/restore`, { method: "POST", headers: authHeaders() });
+  if (handleAuthError(res)) throw requestError(res, "Not authenticated");
+  if (!res.ok) throw requestError(res, "Failed to restore week");
+  return res.json();
+}
+
+// `fields`: any of { text, status, priority, dueTime, estimateMinutes, description, tags };
+// null clears an optional field
+export async function updateTaskOnBackend(weekKey, dayIndex, taskId, fields) {
+  const res = await apiFetch(`${API_BASE}/api/tasks/${weekKey}/${dayIndex}/${taskId}`, {
+    method: "PUT",
+    headers: versionHeaders(weekKey),
+    body: JSON.stringify(fields)
+  });
+  if (handleAuthError(res)) throw requestError(res, "Not authenticated");
+  await checkConflict(res, weekKey);
+  if (!res.ok) throw requestError(res, "Failed to update task");
+  const data = await res.json();
+  advanceVersion(weekKey, data.version);
+  return data;
+}
+
+export async function clearWeekOnBackend(weekKey) {
+  const res = await apiFetch(`${API_BASE}/api/tasks/${weekKey}`, { method: "DELETE", headers: versionHeaders(weekKey) });
+  if (handleAuthError(res)) throw requestError(res, "Not authenticated");
+  await checkConflict(res, weekKey);
+  if (!res.ok) throw requestError(res, "Failed to clear week");
+  const data = await res.json();
+  advanceVersion(weekKey, data.version);
+  return data;
+}
+
+// Copy or move unfinished tasks into the following week
+export async function carryOverTasks(weekKey, { taskIds, mode = "move" } = {}) {
+  const res = await apiFetch(`${API_BASE}/api/tasks/${weekKey}/carry-over`, {
+    method: "POST",
+    headers: authHeaders(),
+    body: JSON.stringify({ taskIds, mode })
+  });
+  if (handleAuthError(res)) throw requestError(res, "Not authenticated");
+  if (!res.ok) throw requestError(res, "Failed to carry over tasks");
+  const data = await res.json();
+  advanceVersion(weekKey, data.version);
+  return data;
+}
+
+// Recurring task series (occurrences come back from loadTasksFromBackend)
+export async function createRecurringTask(text, rule) {
+  const res = await apiFetch(`${API_BASE}/api/recurring`, {
+    method: "POST",
+    headers: authHeaders(),
+    body: JSON.stringify({ text, rule })
   });
-  if (!res.ok) throw new Error("Failed to delete task");
+  if (handleAuthError(res)) throw requestError(res, "Not authenticated");
+  if (!res.ok) throw requestError(res, "Failed to create recurring task");
   return await res.json();
 }
 
-export async function updateTaskOnBackend(weekKey, dayIndex, taskId, text, status) {
-  const res = await fetch(`${API_BASE}/api/tasks/${weekKey}/${dayIndex}/${taskId}`, {
+export async function updateRecurringTask(seriesId, fields) {
+  const res = await apiFetch(`${API_BASE}/api/recurring/${seriesId}`, {
     method: "PUT",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({ text, status })
+    headers: authHeaders(),
+    body: JSON.stringify(fields)
   });
-  if (!res.ok) throw new Error("Failed to update task");
+  if (handleAuthError(res)) throw requestError(res, "Not authenticated");
+  if (!res.ok) throw requestError(res, "Failed to update recurring task");
   return await res.json();
 }
 
-export async function clearWeekOnBackend(weekKey) {
-  await fetch(`${API_BASE}/api/tasks/${weekKey}`, { method: "DELETE" });
+export async function deleteRecurringTask(seriesId) {
+  const res = await apiFetch(`${API_BASE}/api/recurring/${seriesId}`, {
+    method: "DELETE",
+    headers: authHeaders()
+  });
+  if (handleAuthError(res)) throw requestError(res, "Not authenticated");
+  if (!res.ok) throw requestError(res, "Failed to delete recurring task");
+  return await res.json();
+}
+
+// iCalendar (.ics) export of a week ({ week }) or a date range ({ from, to }).
+// `type` "todo" writes VTODOs, "event" VEVENTs. Resolves to the file as a Blob.
+export async function exportCalendar({ week, from, to, type = "todo" }) {
+  const params = new URLSearchParams(week ? { week, type } : { from, to, type });
+  const res = await apiFetch(`${API_BASE}/api/ical/export?${params}`, { headers: authHeaders() });
+  if (handleAuthError(res)) throw requestError(res, "Not authenticated");
+  if (!res.ok) throw requestError(res, "Failed to export calendar");
+  return await res.blob();
+}
+
+// Import the text of an .ics file; tasks already in the planner are skipped.
+// Resolves to { imported, duplicates, invalid, weeks }.
+export async function importCalendar(text) {
+  const timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+  const res = await apiFetch(`${API_BASE}/api/ical/import?${new URLSearchParams({ timeZone })}`, {
+    method: "POST",
+    headers: authHeaders({ "Content-Type": "text/calendar" }),
+    body: text
+  });
+  if (handleAuthError(res)) throw requestError(res, "Not authenticated");
+  if (!res.ok) throw requestError(res, "Failed to import calendar");
+  return await res.json();
+}
+
+// Full-text search over tasks and notes: { q, type, status, tag, from, to }, empty
+// values left out. Resolves to { q, tasks: [{ weekKey, dayIndex, date, task }], notes }.
+export async function searchPlanner(params) {
+  const query = new URLSearchParams(Object.entries(params).filter(([, value]) => value));
+  const res = await apiFetch(`${API_BASE}/api/search?${query}`, { headers: authHeaders() });
+  if (handleAuthError(res)) throw requestError(res, "Not authenticated");
+  if (!res.ok) throw requestError(res, "Search failed");
+  return await res.json();
+}
+
+// Activity log: { entity, entityId, action, source, since, until, before, limit }, empty
+// values left out. Resolves to { entries: [...], next } (newest first; next = `before`
+// for the following page, or null).
+export async function loadActivity(params) {
+  const query = new URLSearchParams(Object.entries(params).filter(([, value]) => value !== undefined && value !== ""));
+  const res = await apiFetch(`${API_BASE}/api/activity?${query}`, { headers: authHeaders() });
+  if (handleAuthError(res)) throw requestError(res, "Not authenticated");
+  if (!res.ok) throw requestError(res, "Failed to load the history");
+  return await res.json();
+}
+
+// A shared board with its members [{ id, username, role }] (and, for its owner, the
+// pending invites)
+export async function loadBoard(boardId) {
+  const res = await apiFetch(`${API_BASE}/api/boards/${boardId}`, { headers: authHeaders() });
+  if (handleAuthError(res)) throw requestError(res, "Not authenticated");
+  if (!res.ok) throw requestError(res, "Failed to load the board");
+  return await res.json();
 }
 
 /*"Content-Type": "application/json"
@@ -0,0 +1,626 @@
+// public/sync.js
+// Offline-first data layer for the planner. Weeks are cached in IndexedDB and every task
+// write is applied to that cache first, then queued and replayed against /api/tasks in
+// order once there is a connection. main.js and ui.js get task data only through here.
+import {
+  loadTasksFromBackend,
+  addTaskToBackend,
+  updateTaskOnBackend,
+  moveTaskOnBackend,
+  deleteTaskFromBackend,
+  clearWeekOnBackend,
+  restoreTaskOnBackend,
+  restoreWeekOnBackend,
+  getWeekVersion,
+  setWeekVersion,
+  ConflictError,
+  currentUserId,
+  currentBoard,
+  calendarSettings
+} from "./storage.js";
+import { addDays, isDateKey, dayIndexIn, weekKeyOf } from "./dates.js";
+
+const DB_VERSION = 1;
+const LEGACY_KEY = "tasksByWeek"; // localStorage copy written by the old planner.js
+const LEGACY_QUEUED_KEY = "tasksByWeekQueued"; // set while that copy's tasks are queued
+const RETRY_MS = 30000;
+const MAX_CONFLICT_RETRIES = 3;
+
+/* ---------- IndexedDB ---------- */
+
+// One database per signed-in user, so a shared browser never replays one account's
+// queue with another account's token, and one per shared board they open: a board's
+// queued changes are sent when that board is open again
+function dbName() {
+  const userId = currentUserId();
+  const board = currentBoard();
+  if (!userId) return "planner";
+  return board ? `planner-${userId}-board-${board.id}` : `planner-${userId}`;
+}
+
+let dbPromise = null;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(dbName(), DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        db.createObjectStore("weeks", { keyPath: "weekKey" });         // { weekKey, days, version }
+        db.createObjectStore("queue", { keyPath: "id", autoIncrement: true }); // pending operations
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+  return dbPromise;
+}
+
+// Drop the offline copies and queues of the signed-in account, its boards' included
+// (used once it is deleted)
+export async function deleteLocalData() {
+  const userId = currentUserId();
+  const db = dbPromise && (await dbPromise.catch(() => null));
+  if (db) db.close();
+  dbPromise = null;
+  const names = new Set([dbName()]);
+  if (userId && indexedDB.databases) {
+    for (const { name } of await indexedDB.databases().catch(() => [])) {
+      if (name === `planner-${userId}` || name.startsWith(`planner-${userId}-board-`)) names.add(name);
+    }
+  }
+  for (const name of names) {
+    await new Promise((resolve) => {
+      const req = indexedDB.deleteDatabase(name);
+      req.onsuccess = req.onerror = req.onblocked = () => resolve();
+    });
+  }
+}
+
+// Run `fn(tx)` in one transaction; resolves with the result of the request it returns
+async function transact(stores, mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(stores, mode);
+    const req = fn(tx);
+    tx.oncomplete = () => resolve(req ? req.result : undefined);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+const getCachedWeek = (weekKey) => transact("weeks", "readonly", (tx) => tx.objectStore("weeks").get(weekKey));
+const putCachedWeek = (record) => transact("weeks", "readwrite", (tx) => tx.objectStore("weeks").put(record));
+const pendingOps = () => transact("queue", "readonly", (tx) => tx.objectStore("queue").getAll());
+const putOp = (op) => transact("queue", "readwrite", (tx) => tx.objectStore("queue").put(op));
+const removeOp = (id) => transact("queue", "readwrite", (tx) => tx.objectStore("queue").delete(id));
+
+/* ---------- status and listeners ---------- */
+
+// state: "synced" | "syncing" | "pending" | "offline" | "error"
+let status = { state: "synced", pending: 0 };
+const statusListeners = new Set();
+const weekListeners = new Set();
+let conflictHandler = async () => "theirs";
+
+export function onSyncStatus(listener) {
+  statusListeners.add(listener);
+  listener(status);
+}
+
+// Called with (weekKey, days) when a week was reloaded after the server disagreed with us,
+// or changed by another tab or board member (applyRemoteChange)
+export function onWeekChanged(listener) {
+  weekListeners.add(listener);
+}
+
+// `handler({ type: "update" | "delete" | "clear", weekKey, mine, theirs })` decides a
+// conflicting queued change: resolve "mine" to overwrite the server, "theirs" to drop it
+export function setConflictHandler(handler) {
+  conflictHandler = handler;
+}
+
+async function refreshStatus(state) {
+  const pending = (await pendingOps()).length;
+  if (!pending) state = "synced";
+  else if (!navigator.onLine) state = "offline";
+  else state = state || "pending";
+  status = { state, pending };
+  statusListeners.forEach((listener) => listener(status));
+}
+
+/* ---------- local operations ---------- */
+
+// Locate a task by id anywhere in a week's days -> { task, dayIndex } or null
+function findTaskInDays(days, taskId) {
+  for (const [dayIndex, tasks] of Object.entries(days || {})) {
+    const task = (tasks || []).find((t) => t.id === taskId);
+    if (task) return { task, dayIndex: Number(dayIndex) };
+  }
+  return null;
+}
+
+const EDITABLE_FIELDS = ["text", "status", "priority", "dueTime", "estimateMinutes", "description", "tags", "checklist", "assignee"];
+
+// Same editable fields: nobody else touched the task
+function sameTask(a, b) {
+  return !!a && !!b &&
+    EDITABLE_FIELDS.every((key) => JSON.stringify(a[key] ?? null) === JSON.stringify(b[key] ?? null));
+}
+
+// `task` with `fields` applied; null clears an optional field (as the server does)
+function applyFields(task, fields) {
+  const next = { ...task, ...fields };
+  Object.keys(fields).forEach((key) => {
+    if (next[key] === null) delete next[key];
+  });
+  return next;
+}
+
+// `tasks` with `task` inserted before the position-th stored task. Recurring
+// occurrences are not stored in the week, so the server doesn't count them.
+function insertAt(tasks, task, position) {
+  let stored = 0;
+  const i = position == null ? -1 : tasks.findIndex((t) => !t.seriesId && stored++ === position);
+  const next = [...tasks];
+  next.splice(i === -1 ? next.length : i, 0, task);
+  return next;
+}
+
+// Days of a week with one queued operation applied
+function applyOp(days, op) {
+  if (op.type === "clear") return {};
+
+  if (op.type === "restoreWeek") {
+    // the cleared tasks come back after whatever the week holds now
+    const ids = new Set(Object.values(days).flat().map((t) => t.id));
+    const next = { ...days };
+    for (const [dayIndex, tasks] of Object.entries(op.days || {})) {
+      const fresh = tasks.filter((t) => !ids.has(t.id));
+      if (fresh.length) next[dayIndex] = [...(next[dayIndex] || []), ...fresh];
+    }
+    return next;
+  }
+
+  const next = { ...days };
+  const tasks = [...(next[op.dayIndex] || [])];
+  if (op.type === "add") {
+    if (!tasks.some((t) => t.id === op.task.id)) tasks.push(op.task);
+  } else if (op.type === "update") {
+    const i = tasks.findIndex((t) => t.id === op.taskId);
+    if (i !== -1) tasks[i] = applyFields(tasks[i], op.fields);
+  } else if (op.type === "delete") {
+    next[op.dayIndex] = tasks.filter((t) => t.id !== op.taskId);
+    return next;
+  } else if (op.type === "restore") {
+    if (!tasks.some((t) => t.id === op.task.id)) next[op.dayIndex] = insertAt(tasks, op.task, op.position);
+    return next;
+  } else if (op.type === "move") {
+    // the task leaves its day; a move to another week adds it there (see enqueue)
+    const task = tasks.find((t) => t.id === op.taskId);
+    next[op.dayIndex] = tasks.filter((t) => t.id !== op.taskId);
+    if (task && op.toWeekKey === op.weekKey) {
+      next[op.toDayIndex] = insertAt(next[op.toDayIndex] || [], task, op.position);
+    }
+    return next;
+  }
+  next[op.dayIndex] = tasks;
+  return next;
+}
+
+// Apply an operation to the cache and the in-memory week, then queue it for the server
+async function enqueue(op) {
+  const record = (await getCachedWeek(op.weekKey)) ||
+    { weekKey: op.weekKey, days: window.tasksByWeek[op.weekKey] || {}, version: getWeekVersion(op.weekKey) };
+
+  // the task as we knew it, to tell our edit apart from somebody else's on conflict
+  if (op.taskId) op.base = (record.days[op.dayIndex] || []).find((t) => t.id === op.taskId) || null;
+  record.days = applyOp(record.days, op);
+
+  // a move to another week also lands in that week's copy, if we have one
+  let target = null;
+  if (op.type === "move" && op.toWeekKey !== op.weekKey && op.base) {
+    target = (await getCachedWeek(op.toWeekKey)) ||
+      (window.tasksByWeek[op.toWeekKey] &&
+        { weekKey: op.toWeekKey, days: window.tasksByWeek[op.toWeekKey], version: getWeekVersion(op.toWeekKey) });
+    if (target) {
+      const tasks = (target.days[op.toDayIndex] || []).filter((t) => t.id !== op.taskId);
+      target.days = { ...target.days, [op.toDayIndex]: insertAt(tasks, op.base, op.position) };
+    }
+  }
+
+  await transact(["weeks", "queue"], "readwrite", (tx) => {
+    tx.objectStore("weeks").put(record);
+    if (target) tx.objectStore("weeks").put(target);
+    return tx.objectStore("queue").add({ ...op, queuedAt: Date.now() });
+  });
+
+  window.tasksByWeek[op.weekKey] = record.days;
+  if (target) window.tasksByWeek[op.toWeekKey] = target.days;
+  await refreshStatus();
+  flush();
+  return record.days;
+}
+
+export function addTask(weekKey, dayIndex, task) {
+  return enqueue({ type: "add", weekKey, dayIndex, task });
+}
+
+// `fields` as for updateTaskOnBackend; an undefined field is left as it is
+export function updateTask(weekKey, dayIndex, taskId, fields) {
+  const defined = Object.fromEntries(Object.entries(fields).filter(([, v]) => v !== undefined));
+  return enqueue({ type: "update", weekKey, dayIndex, taskId, fields: defined });
+}
+
+// Move a task to another day and/or week. `position` counts the stored tasks of the
+// target day (recurring occurrences excluded); left out, the task goes to the end.
+export function moveTask(weekKey, dayIndex, taskId, { toWeekKey = weekKey, toDayIndex, position } = {}) {
+  return enqueue({ type: "move", weekKey, dayIndex, taskId, toWeekKey, toDayIndex, position });
+}
+
+export function deleteTask(weekKey, dayIndex, taskId) {
+  return enqueue({ type: "delete", weekKey, dayIndex, taskId });
+}
+
+export function clearWeek(weekKey) {
+  return enqueue({ type: "clear", weekKey });
+}
+
+// Undo deleteTask(): `task` and its `position` among the day's stored tasks are what
+// the page showed; the server restores its own trashed copy
+export function restoreTask(weekKey, dayIndex, task, position) {
+  return enqueue({ type: "restore", weekKey, dayIndex, taskId: task.id, task, position });
+}
+
+// Undo clearWeek(); `days` are the tasks the week held
+export function restoreWeek(weekKey, days) {
+  return enqueue({ type: "restoreWeek", weekKey, days });
+}
+
+function touchesWeek(op, weekKey) {
+  return op.weekKey === weekKey || op.toWeekKey === weekKey;
+}
+
+// Days of a week: from the server when online and nothing is queued for it,
+// otherwise from the cache (which already contains our queued changes)
+export async function loadWeek(weekKey) {
+  await flush();
+
+  const queued = (await pendingOps()).some((op) => touchesWeek(op, weekKey));
+  if (!queued && navigator.onLine) {
+    try {
+      const days = await loadTasksFromBackend(weekKey);
+      await putCachedWeek({ weekKey, days, version: getWeekVersion(weekKey) });
+      window.tasksByWeek[weekKey] = days;
+      return days;
+    } catch (err) {
+      console.warn("Could not load week, using the offline copy", err);
+    }
+  }
+
+  const cached = await getCachedWeek(weekKey);
+  window.tasksByWeek[weekKey] = cached ? cached.days : {};
+  return window.tasksByWeek[weekKey];
+}
+
+/* ---------- replaying the queue ---------- */
+
+function sendOp(op) {
+  switch (op.type) {
+    case "add":
+      return addTaskToBackend(op.weekKey, op.dayIndex, op.task);
+    case "update":
+      return updateTaskOnBackend(op.weekKey, op.dayIndex, op.taskId, op.fields);
+    case "delete":
+      return deleteTaskFromBackend(op.weekKey, op.dayIndex, op.taskId);
+    case "move":
+      return moveTaskOnBackend(op.weekKey, op.dayIndex, op.taskId, op);
+    case "restore":
+      return restoreTaskOnBackend(op.weekKey, op.dayIndex, op.taskId);
+    case "restoreWeek":
+      return restoreWeekOnBackend(op.weekKey);
+    default:
+      return clearWeekOnBackend(op.weekKey);
+  }
+}
+
+// Network down (fetch throws without a status) or a server error: keep the change
+function isRetryable(err) {
+  return err.status === undefined || err.status >= 500;
+}
+
+// The week changed on the server since we last saw it. Returns true to send the
+// (possibly adjusted) operation again, false to drop it.
+async function resolveConflict(op, err) {
+  if (op.type === "clear") {
+    return (await conflictHandler({ type: "clear", weekKey: op.weekKey })) === "mine";
+  }
+
+  const theirs = findTaskInDays(err.server.days, op.taskId);
+  if (op.type === "move") {
+    // a move doesn't change the task: send it again from wherever it is now
+    if (!theirs) return false;
+    op.dayIndex = theirs.dayIndex;
+    return true;
+  }
+  if (op.type === "delete") {
+    if (!theirs) return false; // already gone
+    op.dayIndex = theirs.dayIndex;
+    return sameTask(theirs.task, op.base) ||
+      (await conflictHandler({ type: "delete", weekKey: op.weekKey, mine: null, theirs: theirs.task })) === "mine";
+  }
+
+  const mine = applyFields(op.base || {}, op.fields);
+  if (!theirs || !sameTask(theirs.task, op.base)) {
+    const choice = await conflictHandler({ type: "update", weekKey: op.weekKey, mine, theirs: theirs && theirs.task });
+    if (choice !== "mine") return false;
+  }
+  if (theirs) {
+    op.dayIndex = theirs.dayIndex;
+  } else {
+    // deleted elsewhere but we want to keep it: put it back
+    Object.assign(op, { type: "add", task: mine });
+  }
+  return true;
+}
+
+// Weeks whose cache may differ from the server after a conflict or a rejected change
+const staleWeeks = new Set();
+
+function markStale(op) {
+  staleWeeks.add(op.weekKey);
+  if (op.toWeekKey) staleWeeks.add(op.toWeekKey);
+}
+
+async function reloadStaleWeeks() {
+  for (const weekKey of staleWeeks) {
+    staleWeeks.delete(weekKey);
+    if ((await pendingOps()).some((op) => touchesWeek(op, weekKey))) continue;
+    try {
+      const days = await loadTasksFromBackend(weekKey);
+      await putCachedWeek({ weekKey, days, version: getWeekVersion(weekKey) });
+      window.tasksByWeek[weekKey] = days;
+      weekListeners.forEach((listener) => listener(weekKey, days));
+    } catch (err) {
+      console.warn("Could not reload week", weekKey, err);
+    }
+  }
+}
+
+// Reload a week from the server once the queue is through (e.g. after missing live updates)
+export function reloadWeek(weekKey) {
+  staleWeeks.add(weekKey);
+  return flush();
+}
+
+/* ---------- changes made elsewhere ---------- */
+
+// Days of a week with a task change from the live stream applied; null if it doesn't
+// fit our copy, which then has to be reloaded
+function applyRemoteToDays(days, change) {
+  const { dayIndex, task } = change;
+  const tasks = days[dayIndex] || [];
+  switch (change.type) {
+    case "create":
+      if (tasks.some((t) => t.id === task.id)) return days;
+      return { ...days, [dayIndex]: insertAt(tasks, task, change.position) };
+    case "update": {
+      const i = tasks.findIndex((t) => t.id === task.id);
+      if (i === -1) return null;
+      return { ...days, [dayIndex]: tasks.map((t, j) => (j === i ? task : t)) };
+    }
+    case "delete":
+      return { ...days, [dayIndex]: tasks.filter((t) => t.id !== change.taskId) };
+    case "move":
+      if (!tasks.some((t) => t.id === change.taskId)) return null;
+      return applyOp(days, { ...change, type: "move" });
+    default:
+      return null; // "week": more than one task changed
+  }
+}
+
+async function applyRemoteToWeek(change) {
+  const { weekKey, version } = change;
+  // a week we haven't loaded is fetched fresh when it is opened
+  if (!window.tasksByWeek[weekKey]) return;
+  const known = getWeekVersion(weekKey);
+  if (typeof version === "number" && known !== undefined && version <= known) return; // seen already
+
+  // on top of our own queued changes, or after a change we missed, only the server knows
+  const queued = (await pendingOps()).some((op) => touchesWeek(op, weekKey));
+  const follows = version === undefined ? change.type !== "week" : version === known + 1;
+  const days = !queued && follows ? applyRemoteToDays(window.tasksByWeek[weekKey], change) : null;
+  if (!days) {
+    staleWeeks.add(weekKey);
+    return;
+  }
+
+  setWeekVersion(weekKey, version);
+  window.tasksByWeek[weekKey] = days;
+  await putCachedWeek({ weekKey, days, version: getWeekVersion(weekKey) });
+  weekListeners.forEach((listener) => listener(weekKey, days));
+}
+
+// A change another tab or board member made, as GET /api/tasks/events reports it
+// ({ type: "create" | "update" | "delete" | "move" | "week", weekKey, version?, ... }).
+// It is applied to our copy of the week when it directly follows the version we know;
+// otherwise the week is reloaded from the server.
+export async function applyRemoteChange(event) {
+  const changes = event.type === "move" && event.toWeekKey !== event.weekKey
+    // between weeks: gone from one, added to the other
+    ? [
+      { type: "delete", weekKey: event.weekKey, dayIndex: event.dayIndex, taskId: event.taskId, version: event.version },
+      { type: "create", weekKey: event.toWeekKey, dayIndex: event.toDayIndex, task: event.task, position: event.position, version: event.toVersion },
+    ]
+    : [event];
+  for (const change of changes) await applyRemoteToWeek(change);
+  if (staleWeeks.size) await flush();
+}
+
+let retryTimer = null;
+
+function scheduleRetry() {
+  if (retryTimer) return;
+  retryTimer = setTimeout(() => {
+    retryTimer = null;
+    flush();
+  }, RETRY_MS);
+}
+
+async function runQueue() {
+  for (;;) {
+    const [op] = await pendingOps();
+    if (!op) break;
+    if (!navigator.onLine) return refreshStatus("offline");
+    await refreshStatus("syncing");
+
+    // after a reload the in-memory versions are gone: start from the cached one
+    if (getWeekVersion(op.weekKey) === undefined) {
+      const cached = await getCachedWeek(op.weekKey);
+      if (cached) setWeekVersion(op.weekKey, cached.version);
+    }
+
+    try {
+      await sendOp(op);
+      if (op.legacy) forgetLegacyTask(op.task.id);
+      // a restore puts back the server's copy, which may differ from ours: reload it
+      if (op.type === "restore" || op.type === "restoreWeek") markStale(op);
+      for (const weekKey of new Set([op.weekKey, op.toWeekKey || op.weekKey])) {
+        const cached = await getCachedWeek(weekKey);
+        if (cached) await putCachedWeek({ ...cached, version: getWeekVersion(weekKey) });
+      }
+    } catch (err) {
+      // on the way to /login (or a CSRF token to renew), keep the queue; a viewer's
+      // change (ROLE_FORBIDDEN) is rejected like any other 4xx
+      if ((err.status === 401 || err.status === 403) && err.reason !== "ROLE_FORBIDDEN") return;
+      // the server has this old localStorage task already (409 DUPLICATE_TASK)
+      if (op.legacy && err.status === 409) forgetLegacyTask(op.task.id);
+      const conflict = err instanceof ConflictError;
+      if (conflict && (op.attempts || 0) < MAX_CONFLICT_RETRIES) {
+        op.attempts = (op.attempts || 0) + 1;
+        markStale(op);
+        if (await resolveConflict(op, err)) {
+          await putOp(op);
+          continue;
+        }
+      } else if (!conflict && isRetryable(err)) {
+        scheduleRetry();
+        return refreshStatus(navigator.onLine ? "error" : "offline");
+      } else {
+        console.warn("Server rejected a queued change, dropping it", op, err);
+      }
+      markStale(op);
+    }
+    await removeOp(op.id);
+  }
+
+  // old localStorage tasks the server turned down are tried again on the next visit
+  localStorage.removeItem(LEGACY_QUEUED_KEY);
+  await reloadStaleWeeks();
+  await refreshStatus();
+}
+
+let flushing = null;
+
+// Send every queued operation. Tabs share the queue, so only one of them replays it
+// at a time (Web Locks); calls made while a replay runs join it.
+export function flush() {
+  if (!flushing) {
+    const run = () => runQueue();
+    flushing = (navigator.locks ? navigator.locks.request("planner-sync", run) : run())
+      .catch((err) => {
+        console.error("Sync error:", err);
+        status = { ...status, state: "error" };
+        statusListeners.forEach((listener) => listener(status));
+      })
+      .finally(() => {
+        flushing = null;
+      });
+  }
+  return flushing;
+}
+
+// Tasks the old planner.js only kept in localStorage: queued as adds, and taken out of
+// the localStorage copy one by one once the server has them (it answers 409 for ids it
+// has already). What it turns down stays there and is queued again on the next visit.
+function readLegacyTasks() {
+  try {
+    const legacy = JSON.parse(localStorage.getItem(LEGACY_KEY) || "null");
+    return legacy && typeof legacy === "object" ? legacy : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function writeLegacyTasks(legacy) {
+  const left = Object.values(legacy).some((days) =>
+    Object.values(days || {}).some((tasks) => Array.isArray(tasks) && tasks.length));
+  if (left) localStorage.setItem(LEGACY_KEY, JSON.stringify(legacy));
+  else localStorage.removeItem(LEGACY_KEY);
+}
+
+function forgetLegacyTask(taskId) {
+  const legacy = readLegacyTasks();
+  if (!legacy) return;
+  for (const days of Object.values(legacy)) {
+    for (const [dayIndex, tasks] of Object.entries(days || {})) {
+      if (Array.isArray(tasks)) days[dayIndex] = tasks.filter((t) => !t || t.id !== taskId);
+    }
+  }
+  writeLegacyTasks(legacy);
+}
+
+// Where a task the old planner kept under `weekKey`/`dayIndex` goes with the user's week
+// start, or null if the key is no date. Its keys came from toISOString(), which east of
+// UTC gave the day before the week start (see scripts/migrate-weeks.js): those weeks
+// move one day on; any other key not on a week start is re-filed by date.
+function legacyPlace(weekKey, dayIndex, weekStart) {
+  if (!isDateKey(weekKey) || !Number.isInteger(dayIndex) || dayIndex < 0 || dayIndex > 6) return null;
+  const start = dayIndexIn(weekKey, weekStart) === 6 ? addDays(weekKey, 1) : weekKey;
+  const date = addDays(start, dayIndex);
+  return { weekKey: weekKeyOf(date, weekStart), dayIndex: dayIndexIn(date, weekStart) };
+}
+
+async function migrateLegacyTasks() {
+  const legacy = readLegacyTasks();
+  if (!legacy || localStorage.getItem(LEGACY_QUEUED_KEY)) return;
+  localStorage.setItem(LEGACY_QUEUED_KEY, "1");
+
+  const { weekStart } = calendarSettings();
+  const queue = [];
+  for (const [weekKey, days] of Object.entries(legacy)) {
+    for (const [dayIndex, tasks] of Object.entries(days || {})) {
+      if (!Array.isArray(tasks)) continue;
+      // a task without text can't be saved anywhere
+      days[dayIndex] = tasks.filter((t) => t && typeof t.text === "string" && t.text.trim());
+      const place = legacyPlace(weekKey, Number(dayIndex), weekStart);
+      if (!place) {
+        console.warn("Local tasks under an unknown week are kept in localStorage", weekKey, dayIndex);
+        continue;
+      }
+      for (const t of days[dayIndex]) {
+        // the id goes into the local copy too, to take the task out of it once saved
+        if (!t.id) t.id = "task_" + Date.now() + Math.random().toString().slice(2);
+        queue.push({ type: "add", ...place, task: { id: t.id, text: t.text.trim(), status: t.status || "No status" }, legacy: true });
+      }
+    }
+  }
+  writeLegacyTasks(legacy);
+  for (const op of queue) await enqueue(op);
+}
+
+// Wire up reconnect handling and push whatever is still queued from a previous visit
+export async function startSync() {
+  window.addEventListener("online", () => flush());
+  window.addEventListener("offline", () => refreshStatus());
+
+  try {
+    // the old planner only had the personal planner
+    if (!currentBoard()) await migrateLegacyTasks();
+  } catch (err) {
+    // keep the local copy and try again on the next visit
+    console.warn("Could not migrate local tasks", err);
+  }
+  await refreshStatus();
+  flush();
+}
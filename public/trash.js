@@ -0,0 +1,118 @@
+// public/trash.js
+// Trash page: lists deleted tasks, notes and cleared weeks from /api/trash, and puts
+// them back or removes them for good. On /trash?board=<id> it is that board's trash,
+// which its viewers can only look at.
+import { authHeaders, handleAuthError, apiFetch, canEditPlanner } from "./storage.js";
+
+const API_BASE = "";
+const KIND_LABELS = { task: "Task", week: "Week", note: "Note" };
+
+async function request(path, options = {}) {
+  const res = await apiFetch(`${API_BASE}${path}`, { ...options, headers: authHeaders() });
+  if (handleAuthError(res)) throw new Error("Not authenticated");
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || "Request failed");
+  return data;
+}
+
+function showResult(message, type) {
+  const box = document.getElementById("trashResult");
+  box.textContent = message;
+  box.className = `alert alert-${type} py-1 mt-2 mb-0`;
+  box.hidden = !message;
+}
+
+// Where a restored item will show up
+function describeOrigin(item) {
+  if (item.kind === "task") return item.date ? `on ${item.date}` : `in the week of ${item.weekKey}`;
+  if (item.kind === "week") return `in the week of ${item.weekKey}`;
+  return "in your notes";
+}
+
+// Everything user-provided goes through textContent
+function createItemEl(item) {
+  const li = document.createElement("li");
+  li.className = "list-group-item d-flex justify-content-between align-items-start gap-2 px-0";
+
+  const text = document.createElement("div");
+  const label = document.createElement("div");
+  label.className = "trash-label";
+  const kind = document.createElement("span");
+  kind.className = "badge text-bg-secondary me-1";
+  kind.textContent = KIND_LABELS[item.kind] || item.kind;
+  label.append(kind, item.label || "(untitled)");
+  const meta = document.createElement("small");
+  meta.className = "text-muted";
+  meta.textContent = `Deleted ${new Date(item.deletedAt).toLocaleString()}, goes back ${describeOrigin(item)}`;
+  text.append(label, meta);
+
+  const actions = document.createElement("div");
+  actions.className = "d-flex gap-1 flex-shrink-0";
+  const restoreBtn = document.createElement("button");
+  restoreBtn.type = "button";
+  restoreBtn.className = "btn btn-sm btn-primary";
+  restoreBtn.textContent = "Restore";
+  restoreBtn.addEventListener("click", () => restoreItem(item));
+  const purgeBtn = document.createElement("button");
+  purgeBtn.type = "button";
+  purgeBtn.className = "btn btn-sm btn-outline-danger";
+  purgeBtn.textContent = "Delete forever";
+  purgeBtn.addEventListener("click", () => purgeItem(item));
+  actions.append(restoreBtn, purgeBtn);
+
+  li.append(text);
+  if (canEditPlanner()) li.append(actions);
+  return li;
+}
+
+function render(items) {
+  const list = document.getElementById("trashList");
+  list.replaceChildren(...items.map(createItemEl));
+  document.getElementById("trashEmpty").hidden = items.length > 0;
+  document.getElementById("emptyTrash").hidden = items.length === 0 || !canEditPlanner();
+}
+
+async function loadTrash() {
+  render(await request("/api/trash"));
+}
+
+async function restoreItem(item) {
+  try {
+    await request(`/api/trash/${item._id}/restore`, { method: "POST" });
+    showResult(`Restored, it is back ${describeOrigin(item)}.`, "success");
+    await loadTrash();
+  } catch (err) {
+    console.error("Restore error:", err);
+    showResult(err.message || "Failed to restore the item", "danger");
+  }
+}
+
+async function purgeItem(item) {
+  if (!confirm("Delete this item for good? It can't be restored afterwards.")) return;
+  try {
+    await request(`/api/trash/${item._id}`, { method: "DELETE" });
+    showResult("", "info");
+    await loadTrash();
+  } catch (err) {
+    console.error("Purge error:", err);
+    showResult("Failed to delete the item", "danger");
+  }
+}
+
+async function emptyTrash() {
+  if (!confirm("Delete everything in the trash for good?")) return;
+  try {
+    const { purged } = await request("/api/trash", { method: "DELETE" });
+    showResult(`Removed ${purged} item${purged === 1 ? "" : "s"} for good.`, "success");
+    await loadTrash();
+  } catch (err) {
+    console.error("Empty trash error:", err);
+    showResult("Failed to empty the trash", "danger");
+  }
+}
+
+document.getElementById("emptyTrash").addEventListener("click", emptyTrash);
+loadTrash().catch((err) => {
+  console.error("Load trash error:", err);
+  showResult("Failed to load the trash", "danger");
+});
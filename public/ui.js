@@ -1,29 +1,506 @@
 // public/ui.js
-import { 
-  saveTasksToBackend, 
-  deleteTaskFromBackend, 
-  updateTaskOnBackend 
+import {
+  createRecurringTask,
+  updateRecurringTask,
+  deleteRecurringTask,
+  carryOverTasks,
+  exportCalendar,
+  importCalendar,
+  loadActivity,
+  calendarSettings,
+  currentBoard,
+  canEditPlanner
 } from "./storage.js";
+import { addDays, todayIn, weekKeyOf, weekdayIndex, weekdayName } from "./dates.js";
+import {
+  addTask,
+  updateTask,
+  moveTask,
+  deleteTask,
+  clearWeek,
+  restoreTask,
+  restoreWeek,
+  flush,
+  setConflictHandler
+} from "./sync.js";
 
-// Helper: get Monday for the week
-export function getPresentWeek(date) {
-  const day = date.getDay();
-  const diff = day === 0 ? -6 : 1 - day;
-  const monday = new Date(date);
-  monday.setDate(date.getDate() + diff);
-  return monday;
+// Weekdays as recurrence rules number them (rule.byDay): 0 = Monday ... 6 = Sunday
+const DAY_NAMES = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
+
+// weekKey of the week holding `dateKey` (default: today), by the user's timezone and
+// first day of the week
+export function weekKeyFor(dateKey) {
+  const { timezone, weekStart } = calendarSettings();
+  return weekKeyOf(dateKey || todayIn(timezone), weekStart);
+}
+
+// "Mon" ... "Sun" for day `dayIndex` of the week `weekKey`
+function dayName(weekKey, dayIndex) {
+  return weekdayName(addDays(weekKey, dayIndex));
+}
+
+// Short label for a recurrence rule, e.g. "Every 2 weeks on Mon, Thu"
+function describeRule(rule) {
+  if (!rule) return "Repeats";
+  if (rule.freq === "daily") return "Daily";
+  if (rule.freq === "weekdays") return "Weekdays";
+  const days = (rule.byDay || []).map((d) => DAY_NAMES[d]).join(", ");
+  return rule.interval > 1 ? `Every ${rule.interval} weeks on ${days}` : `Weekly on ${days}`;
+}
+
+// "Repeat" controls shown on a new task card. getRule() returns null for a one-off task.
+function createRepeatControls(dayIndex) {
+  const wrap = document.createElement("div");
+  wrap.classList.add("repeat");
+
+  const freq = document.createElement("select");
+  [
+    ["", "Does not repeat"],
+    ["daily", "Daily"],
+    ["weekdays", "Weekdays"],
+    ["weekly", "Weekly"],
+  ].forEach(([value, label]) => freq.add(new Option(label, value)));
+
+  // weekly options: which days, every N weeks
+  const weekly = document.createElement("div");
+  weekly.classList.add("repeat-weekly");
+  weekly.hidden = true;
+  const dayBoxes = DAY_NAMES.map((name, i) => {
+    const label = document.createElement("label");
+    const box = document.createElement("input");
+    box.type = "checkbox";
+    box.value = i;
+    box.checked = i === weekdayIndex(addDays(window.currentWeekKey, dayIndex));
+    label.appendChild(box);
+    label.appendChild(document.createTextNode(name));
+    weekly.appendChild(label);
+    return box;
+  });
+  const interval = document.createElement("input");
+  interval.type = "number";
+  interval.min = 1;
+  interval.max = 52;
+  interval.value = 1;
+  interval.title = "Every N weeks";
+  const intervalLabel = document.createElement("label");
+  intervalLabel.append("every ", interval, " week(s)");
+  weekly.appendChild(intervalLabel);
+
+  // end condition: never / on a date / after N times
+  const end = document.createElement("div");
+  end.classList.add("repeat-end");
+  end.hidden = true;
+  const endType = document.createElement("select");
+  [
+    ["", "No end"],
+    ["until", "Until"],
+    ["count", "Times"],
+  ].forEach(([value, label]) => endType.add(new Option(label, value)));
+  const until = document.createElement("input");
+  until.type = "date";
+  until.hidden = true;
+  const count = document.createElement("input");
+  count.type = "number";
+  count.min = 1;
+  count.max = 1000;
+  count.value = 10;
+  count.hidden = true;
+  end.append(endType, until, count);
+
+  freq.addEventListener("change", () => {
+    weekly.hidden = freq.value !== "weekly";
+    end.hidden = !freq.value;
+  });
+  endType.addEventListener("change", () => {
+    until.hidden = endType.value !== "until";
+    count.hidden = endType.value !== "count";
+  });
+
+  wrap.append(freq, weekly, end);
+
+  function getRule(startDate) {
+    if (!freq.value) return null;
+    const rule = { freq: freq.value, startDate };
+    if (freq.value === "weekly") {
+      rule.byDay = dayBoxes.filter((b) => b.checked).map((b) => Number(b.value));
+      rule.interval = parseInt(interval.value, 10) || 1;
+    }
+    if (endType.value === "until" && until.value) rule.until = until.value;
+    if (endType.value === "count") rule.count = parseInt(count.value, 10) || 1;
+    return rule;
+  }
+
+  return { el: wrap, getRule };
 }
 
-// Format YYYY-MM-DD
-export function formatWeekKey(date) {
-  const monday = getPresentWeek(date);
-  return monday.toISOString().split("T")[0];
+const PRIORITY_LABELS = { high: "High", medium: "Medium", low: "Low" };
+
+function parseTags(value) {
+  return [...new Set(value.split(",").map((t) => t.trim().toLowerCase()).filter(Boolean))];
 }
 
-// Helper: show loading/error messages
-function showMessage(message, type = "info") {
+// "90" -> "1h 30m"
+function formatMinutes(minutes) {
+  const h = Math.floor(minutes / 60);
+  const m = minutes % 60;
+  return h ? `${h}h${m ? ` ${m}m` : ""}` : `${m}m`;
+}
+
+function newChecklistItemId() {
+  return "item_" + Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+}
+
+// "2/5" items done
+function checklistProgress(items) {
+  return `${items.filter((item) => item.done).length}/${items.length}`;
+}
+
+// Checklist editor shown in save mode: ordered items with their done flag.
+// getItems() skips rows left empty.
+function createChecklistEditor(items) {
+  const wrap = document.createElement("div");
+  wrap.classList.add("checklist-editor");
+  const list = document.createElement("ul");
+  list.classList.add("checklist");
+
+  const smallButton = (label, title, onClick) => {
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.textContent = label;
+    btn.title = title;
+    btn.addEventListener("click", onClick);
+    return btn;
+  };
+
+  // new row at the end, or right after the row `after`
+  function addRow(item = { text: "", done: false }, after = null) {
+    const li = document.createElement("li");
+    li.dataset.itemId = item.id || newChecklistItemId();
+
+    const done = document.createElement("input");
+    done.type = "checkbox";
+    done.checked = !!item.done;
+    done.title = "Done";
+
+    const text = document.createElement("input");
+    text.type = "text";
+    text.value = item.text;
+    text.maxLength = 200;
+    text.placeholder = "Checklist item";
+    // Enter adds the next item
+    text.addEventListener("keydown", (e) => {
+      if (e.key !== "Enter") return;
+      e.preventDefault();
+      addRow(undefined, li).focus();
+    });
+
+    li.append(
+      done,
+      text,
+      smallButton("↑", "Move up", () => li.previousElementSibling && list.insertBefore(li, li.previousElementSibling)),
+      smallButton("↓", "Move down", () => li.nextElementSibling && list.insertBefore(li.nextElementSibling, li)),
+      smallButton("✕", "Remove item", () => li.remove())
+    );
+    if (after) after.after(li);
+    else list.appendChild(li);
+    return text;
+  }
+  items.forEach((item) => addRow(item));
+
+  wrap.append(list, smallButton("+ Checklist item", "Add a checklist item", () => addRow().focus()));
+
+  function getItems() {
+    return [...list.children]
+      .map((li) => ({
+        id: li.dataset.itemId,
+        text: li.querySelector("input[type='text']").value.trim(),
+        done: li.querySelector("input[type='checkbox']").checked,
+      }))
+      .filter((item) => item.text);
+  }
+
+  return { el: wrap, getItems };
+}
+
+// Checklist of a saved card; items can be ticked off without entering edit mode.
+// onChange(items) gets the whole list after every tick.
+// Without `onChange` (a board viewer) the boxes can't be ticked
+function createChecklistView(items, onChange) {
+  const list = document.createElement("ul");
+  list.classList.add("checklist");
+  items.forEach((item) => {
+    const li = document.createElement("li");
+    li.classList.toggle("done", item.done);
+    const label = document.createElement("label");
+    const box = document.createElement("input");
+    box.type = "checkbox";
+    box.checked = item.done;
+    box.disabled = !onChange;
+    box.addEventListener("change", () => {
+      li.classList.toggle("done", box.checked);
+      const boxes = [...list.querySelectorAll("input[type='checkbox']")];
+      onChange(items.map((it, i) => ({ ...it, done: boxes[i].checked })));
+    });
+    label.append(box, " " + item.text);
+    li.appendChild(label);
+    list.appendChild(li);
+  });
+  return list;
+}
+
+// Members of the shared board on screen [{ id, username, role }]; empty on the
+// personal planner
+let boardMembers = [];
+
+export function setBoardMembers(members) {
+  boardMembers = members || [];
+}
+
+function memberName(userId) {
+  const member = boardMembers.find((m) => m.id === userId);
+  return member ? member.username : "former member";
+}
+
+// Priority, due time, estimate, description, tags and checklist of a task card, and on
+// a shared board its assignee.
+// getFields() returns every field, null where it is left empty (clears it on save).
+function createDetailControls(meta) {
+  const wrap = document.createElement("div");
+  wrap.classList.add("task-details");
+
+  const priority = document.createElement("select");
+  priority.title = "Priority";
+  priority.add(new Option("No priority", ""));
+  Object.entries(PRIORITY_LABELS).forEach(([value, label]) => priority.add(new Option(label, value)));
+  priority.value = meta.priority || "";
+
+  const dueTime = document.createElement("input");
+  dueTime.type = "time";
+  dueTime.title = "Due time";
+  dueTime.value = meta.dueTime || "";
+
+  const estimate = document.createElement("input");
+  estimate.type = "number";
+  estimate.min = 1;
+  estimate.max = 1440;
+  estimate.placeholder = "min";
+  estimate.title = "Estimated minutes";
+  estimate.value = meta.estimateMinutes || "";
+
+  const description = document.createElement("textarea");
+  description.placeholder = "Description";
+  description.maxLength = 2000;
+  description.rows = 2;
+  description.value = meta.description || "";
+
+  const tags = document.createElement("input");
+  tags.type = "text";
+  tags.placeholder = "Tags, comma separated";
+  tags.value = (meta.tags || []).join(", ");
+
+  const checklist = createChecklistEditor(meta.checklist || []);
+
+  let assignee = null;
+  if (boardMembers.length) {
+    assignee = document.createElement("select");
+    assignee.classList.add("task-assignee");
+    assignee.title = "Assignee";
+    assignee.add(new Option("Unassigned", ""));
+    boardMembers.forEach((m) => assignee.add(new Option(m.username, m.id)));
+    // keep the assignment of somebody who has left until it is changed
+    if (meta.assignee && !boardMembers.some((m) => m.id === meta.assignee)) {
+      assignee.add(new Option(memberName(meta.assignee), meta.assignee));
+    }
+    assignee.value = meta.assignee || "";
+  }
+
+  const row = document.createElement("div");
+  row.classList.add("task-details-row");
+  row.append(priority, dueTime, estimate);
+  wrap.append(row, description, tags, checklist.el);
+  if (assignee) wrap.appendChild(assignee);
+
+  function getFields() {
+    const minutes = parseInt(estimate.value, 10);
+    const tagList = parseTags(tags.value);
+    const items = checklist.getItems();
+    return {
+      priority: priority.value || null,
+      dueTime: dueTime.value || null,
+      estimateMinutes: minutes > 0 ? Math.min(minutes, 1440) : null,
+      description: description.value.trim() || null,
+      tags: tagList.length ? tagList : null,
+      checklist: items.length ? items : null,
+      ...(assignee && { assignee: assignee.value || null }),
+    };
+  }
+
+  return { el: wrap, getFields };
+}
+
+// Read-only line under the task text: priority, due time, estimate, checklist progress,
+// assignee, tags and description
+function createTaskMeta(meta) {
+  const wrap = document.createElement("div");
+  wrap.classList.add("task-meta");
+
+  const line = document.createElement("div");
+  if (meta.priority) {
+    const chip = document.createElement("span");
+    chip.classList.add("priority-chip", meta.priority);
+    chip.textContent = PRIORITY_LABELS[meta.priority] || meta.priority;
+    line.appendChild(chip);
+  }
+  if (meta.dueTime) line.append(` ⏰ ${meta.dueTime}`);
+  if (meta.estimateMinutes) line.append(` ⏱ ${formatMinutes(meta.estimateMinutes)}`);
+  if (meta.checklist && meta.checklist.length) {
+    const progress = document.createElement("span");
+    progress.classList.add("checklist-progress");
+    progress.title = "Checklist items done";
+    progress.textContent = ` ☑ ${checklistProgress(meta.checklist)}`;
+    line.appendChild(progress);
+  }
+  if (meta.assignee) {
+    const who = document.createElement("span");
+    who.classList.add("task-assignee-name");
+    who.title = "Assignee";
+    who.textContent = ` 👤 ${memberName(meta.assignee)}`;
+    line.appendChild(who);
+  }
+  (meta.tags || []).forEach((tag) => {
+    const chip = document.createElement("span");
+    chip.classList.add("tag-chip");
+    chip.textContent = "#" + tag;
+    line.appendChild(chip);
+  });
+  if (line.childNodes.length) wrap.appendChild(line);
+
+  if (meta.description) {
+    const description = document.createElement("p");
+    description.classList.add("task-description");
+    description.textContent = meta.description;
+    wrap.appendChild(description);
+  }
+
+  return wrap.childNodes.length ? wrap : null;
+}
+
+// History of a saved task from the activity log, loaded when the panel is first opened
+const HISTORY_ACTIONS = {
+  create: "created",
+  update: "edited",
+  move: "moved",
+  delete: "deleted",
+  restore: "restored",
+  import: "imported",
+};
+const HISTORY_FIELDS = { dueTime: "due time", estimateMinutes: "estimate" };
+const HISTORY_PAGE = 20;
+
+function formatHistoryValue(field, value) {
+  if (value === null) return "none";
+  if (field === "checklist") return `${checklistProgress(value)} done`;
+  if (field === "estimateMinutes") return formatMinutes(value);
+  if (field === "priority") return PRIORITY_LABELS[value] || value;
+  if (field === "assignee") return memberName(value);
+  if (Array.isArray(value)) return value.join(", ");
+  return String(value);
+}
+
+function describeHistoryEntry(entry) {
+  const changes = entry.changes
+    .map((c) => `${HISTORY_FIELDS[c.field] || c.field}: ${formatHistoryValue(c.field, c.from)} → ${formatHistoryValue(c.field, c.to)}`)
+    .join("; ");
+  const who = entry.actor.username ? ` by ${entry.actor.username}` : "";
+  const via = entry.source === "api" ? " (API)" : "";
+  return `${HISTORY_ACTIONS[entry.action] || entry.action}${who}${via}${changes ? " — " + changes : ""}`;
+}
+
+function createHistoryPanel(taskId) {
+  const panel = document.createElement("details");
+  panel.classList.add("task-history");
+  const summary = document.createElement("summary");
+  summary.textContent = "History";
+  const list = document.createElement("ol");
+  const older = document.createElement("button");
+  older.type = "button";
+  older.textContent = "Older";
+  older.hidden = true;
+  panel.append(summary, list, older);
+
+  let next; // `before` of the next page; undefined until the first load
+  async function load() {
+    older.disabled = true;
+    try {
+      const page = await loadActivity({ entity: "task", entityId: taskId, before: next, limit: HISTORY_PAGE });
+      page.entries.forEach((entry) => {
+        const item = document.createElement("li");
+        const time = document.createElement("time");
+        time.dateTime = entry.at;
+        time.textContent = new Date(entry.at).toLocaleString();
+        item.append(time, " ", describeHistoryEntry(entry));
+        list.appendChild(item);
+      });
+      if (next === undefined && !page.entries.length) list.textContent = "No changes recorded yet.";
+      next = page.next;
+      older.hidden = !next;
+    } catch (err) {
+      console.error("History error:", err);
+      showMessage("Failed to load the task history", "error");
+    } finally {
+      older.disabled = false;
+    }
+  }
+
+  panel.addEventListener("toggle", () => {
+    if (panel.open && next === undefined) load();
+  });
+  older.addEventListener("click", load);
+  return panel;
+}
+
+// Planner filters (tag + priority); cards that don't match are hidden, unsaved cards never are
+const taskFilters = { tag: "", priority: "" };
+
+function matchesFilters(card) {
+  if (!card.dataset.saved) return true;
+  if (taskFilters.priority && card.dataset.priority !== taskFilters.priority) return false;
+  if (taskFilters.tag && !(card.dataset.tags || "").split(",").includes(taskFilters.tag)) return false;
+  return true;
+}
+
+function applyTaskFilters() {
+  document.querySelectorAll(".task-card").forEach((card) => {
+    card.hidden = !matchesFilters(card);
+  });
+}
+
+// Update the tag/priority filter, e.g. setTaskFilters({ tag: "work" }); "" clears one
+export function setTaskFilters(next) {
+  Object.assign(taskFilters, next);
+  applyTaskFilters();
+}
+
+// Fill the tag filter with the tags used in the week, keeping the current choice
+function updateTagFilterOptions(days) {
+  const select = document.getElementById("filter-tag");
+  if (!select) return;
+  const tags = new Set();
+  Object.values(days || {}).forEach((tasks) => (tasks || []).forEach((t) => (t.tags || []).forEach((tag) => tags.add(tag))));
+  if (taskFilters.tag) tags.add(taskFilters.tag);
+
+  select.replaceChildren(new Option("All tags", ""), ...[...tags].sort().map((tag) => new Option("#" + tag, tag)));
+  select.value = taskFilters.tag;
+}
+
+const UNDO_MS = 8000; // how long a toast with an action stays up
+
+// Helper: show loading/error messages. `action` ({ label, run }) adds a button, e.g.
+// "Undo" after a delete; the toast then stays up longer and goes away once clicked.
+function showMessage(message, type = "info", action = null) {
   const msg = document.createElement("div");
   msg.textContent = message;
+  msg.setAttribute("role", "status");
   msg.style.cssText = `
     position: fixed;
     top: 20px;
@@ -35,57 +512,201 @@ function showMessage(message, type = "info") {
     font-weight: bold;
     z-index: 1000;
   `;
+  if (action) {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "toast-action";
+    button.textContent = action.label;
+    button.addEventListener("click", () => {
+      msg.remove();
+      action.run();
+    });
+    msg.append(" ", button);
+  }
   document.body.appendChild(msg);
-  setTimeout(() => msg.remove(), 3000);
+  setTimeout(() => msg.remove(), action ? UNDO_MS : 3000);
 }
 
-// Main UI render function
+async function undoDelete(weekKey, dayIndex, task, position) {
+  try {
+    const days = await restoreTask(weekKey, dayIndex, task, position);
+    if (window.currentWeekKey === weekKey) updateWeekUI(days, weekKey);
+    showMessage("Task restored", "success");
+  } catch (err) {
+    console.error("Undo delete error:", err);
+    showMessage("Failed to restore the task, find it in the trash", "error");
+  }
+}
+
+// "Clear week": every stored task of the week goes to the trash as one item
+export async function clearCurrentWeek() {
+  const weekKey = window.currentWeekKey;
+  const days = window.tasksByWeek[weekKey] || {};
+  const stored = Object.fromEntries(
+    Object.entries(days)
+      .map(([dayIndex, tasks]) => [dayIndex, (tasks || []).filter((t) => !t.seriesId)])
+      .filter(([, tasks]) => tasks.length)
+  );
+  if (!Object.keys(stored).length) {
+    showMessage("This week has no tasks to clear", "info");
+    return;
+  }
+  if (!confirm("Move every task of this week to the trash?")) return;
+
+  try {
+    updateWeekUI(await clearWeek(weekKey), weekKey);
+    showMessage("Week cleared", "success", {
+      label: "Undo",
+      run: async () => {
+        try {
+          const restored = await restoreWeek(weekKey, stored);
+          if (window.currentWeekKey === weekKey) updateWeekUI(restored, weekKey);
+          showMessage("Tasks restored", "success");
+        } catch (err) {
+          console.error("Undo clear error:", err);
+          showMessage("Failed to restore the tasks, find them in the trash", "error");
+        }
+      },
+    });
+  } catch (err) {
+    console.error("Clear week error:", err);
+    showMessage("Failed to clear the week", "error");
+  }
+}
+
+// Merge/conflict prompt for a task edited here and somewhere else at the same time.
+// Resolves to "mine" (overwrite the server) or "theirs" (keep the server copy).
+function askConflict(mine, theirs) {
+  const dialog = document.getElementById("conflict-dialog");
+  const describe = (t) => (t ? `${t.text} - ${t.status}` : "(deleted)");
+  if (!dialog) {
+    return Promise.resolve(
+      confirm(`This task was changed somewhere else:\n\n${describe(theirs)}\n\nOverwrite it with your version?`)
+        ? "mine"
+        : "theirs"
+    );
+  }
+
+  document.getElementById("conflict-mine").textContent = describe(mine);
+  document.getElementById("conflict-theirs").textContent = describe(theirs);
+  return new Promise((resolve) => {
+    dialog.onclose = () => resolve(dialog.returnValue === "mine" ? "mine" : "theirs");
+    dialog.showModal();
+  });
+}
+
+// sync.js asks here when a queued change meets a week that was changed somewhere else
+setConflictHandler(({ type, mine, theirs }) => {
+  if (type === "update") return askConflict(mine, theirs);
+  const message = type === "clear"
+    ? "This week was changed somewhere else. Clear it anyway?"
+    : `This task was changed somewhere else to "${theirs.text} - ${theirs.status}". Delete it anyway?`;
+  return confirm(message) ? "mine" : "theirs";
+});
+
+// The week the columns show, and the task (as JSON) each saved card was built from, so
+// a new render of the same week only rebuilds the cards whose task changed
+let renderedWeekKey = null;
+const renderedTasks = new WeakMap();
+
+// A card somebody is working on: being edited (or filled in) or dragged. A render
+// leaves it alone.
+function isBusy(card) {
+  return !!card.querySelector(".task-text") || card.classList.contains("dragging");
+}
+
+// Tell the user the task of the card they're editing changed in the meantime
+function flagChangedElsewhere(card, message) {
+  let note = card.querySelector(".changed-elsewhere");
+  if (!note) {
+    note = document.createElement("div");
+    note.classList.add("changed-elsewhere");
+    note.setAttribute("role", "status");
+    card.prepend(note);
+  }
+  note.textContent = message;
+}
+
+// Main UI render function. Another week is drawn from scratch; the week on screen is
+// updated in place (e.g. for a change made in another tab), keeping the cards being
+// edited and the new cards not saved yet.
 export function updateWeekUI(tasksForWeek, weekKey) {
   // ensure globals
   window.currentWeekKey = weekKey;
   window.tasksByWeek[weekKey] = tasksForWeek || {};
 
-  const monday = new Date(weekKey);
+  const sameWeek = renderedWeekKey === weekKey;
+  renderedWeekKey = weekKey;
+  const focused = document.activeElement;
+  // the saved cards on screen by task id; what's left at the end is gone from the week
+  const cards = new Map();
+  document.querySelectorAll(".task-card").forEach((card) => {
+    if (!sameWeek) card.remove();
+    else if (card.dataset.saved) cards.set(card.dataset.taskId, card);
+  });
 
   for (let i = 0; i < 7; i++) {
-    const dayDate = new Date(monday);
-    dayDate.setDate(monday.getDate() + i);
+    const dateKey = addDays(weekKey, i);
 
     const dayDiv = document.getElementById("d" + (i + 1));
     if (!dayDiv) continue; // safe guard
 
-    // Set date number (make sure .date exists)
+    // Set weekday and date number (make sure .date exists); the first column is the
+    // user's first day of the week
     const dateEl = dayDiv.querySelector(".date");
-    if (dateEl) dateEl.textContent = dayDate.getDate();
-
-    // Remove old tasks (safe)
-    const existingTasks = dayDiv.querySelectorAll(".task-card");
-    existingTasks.forEach((t) => t.remove());
-
-    // Render saved tasks
-    if (window.tasksByWeek[weekKey] && window.tasksByWeek[weekKey][i]) {
-      window.tasksByWeek[weekKey][i].forEach((taskData) => {
-        const card = createTaskCard(
-          taskData.text,
-          taskData.status,
-          taskData.id,
-          i
-        );
-        dayDiv.appendChild(card);
-      });
+    if (dateEl) {
+      dateEl.textContent = Number(dateKey.slice(8));
+      dateEl.dataset.weekday = weekdayName(dateKey);
     }
+
+    // Render saved tasks in order after the add button: unchanged cards stay, changed
+    // ones are rebuilt, and cards only move when they are out of place
+    let anchor = dayDiv.querySelector(".add-task");
+    (window.tasksByWeek[weekKey][i] || []).forEach((taskData) => {
+      let card = cards.get(taskData.id);
+      cards.delete(taskData.id);
+      if (card && isBusy(card)) {
+        card.dataset.dayIndex = i;
+        if (renderedTasks.get(card) !== JSON.stringify(taskData)) {
+          flagChangedElsewhere(card, "This task was changed meanwhile; saving overwrites it");
+        }
+        // moved within its day, it stays where it is for the user working on it
+        if (card.parentElement === dayDiv) {
+          anchor = card;
+          return;
+        }
+      } else if (!card || renderedTasks.get(card) !== JSON.stringify(taskData)) {
+        const fresh = createTaskCard(taskData.text, taskData.status, taskData.id, i, taskData);
+        card?.remove();
+        card = fresh;
+      }
+      if (!anchor) dayDiv.appendChild(card);
+      else if (anchor.nextElementSibling !== card) anchor.after(card);
+      anchor = card;
+    });
   }
 
+  cards.forEach((card) => {
+    if (isBusy(card)) flagChangedElsewhere(card, "This task was deleted meanwhile; saving adds it back");
+    else card.remove();
+  });
+  if (focused && focused.isConnected && document.activeElement !== focused) focused.focus({ preventScroll: true });
+
+  updateTagFilterOptions(window.tasksByWeek[weekKey]);
+  applyTaskFilters();
+
   // After rendering UI, ensure add-task buttons have listeners
   attachAddTaskListeners();
 }
 
 // Create task card element with delete and edit buttons. This function creates ONE task box/card in the UI.
+// `meta` is the stored task object; for recurring occurrences it carries seriesId and rule.
 export function createTaskCard(
   text = "",
   status = "default",
   id = null,
-  dayIndex
+  dayIndex,
+  meta = {}
 ) {
   const taskCard = document.createElement("div");
   taskCard.classList.add("task-card");
@@ -96,12 +717,23 @@ export function createTaskCard(
   taskCard.classList.add(st);
   taskCard.dataset.taskId = taskId;
   taskCard.dataset.dayIndex = dayIndex;
+  // a viewer of a shared board only reads
+  const editable = canEditPlanner();
+  if (text) {
+    renderedTasks.set(taskCard, JSON.stringify(meta));
+    // what the planner filters look at
+    taskCard.dataset.saved = "1";
+    taskCard.dataset.priority = meta.priority || "";
+    taskCard.dataset.tags = (meta.tags || []).join(",");
+    if (!meta.seriesId && editable) makeMovable(taskCard);
+  }
 
   const input = document.createElement("input");
   input.type = "text";
+  input.classList.add("task-text");
   input.value = text || "";
   input.placeholder = "Enter task";
-  input.maxLength = 100;
+  input.maxLength = 200;
 
   const buttonContainer = document.createElement("div");
   buttonContainer.style.cssText = "display: flex; gap: 5px; margin-top: 4px;";
@@ -117,6 +749,30 @@ export function createTaskCard(
 
   buttonContainer.appendChild(saveBtn);
   buttonContainer.appendChild(deleteBtn);
+  if (!editable) buttonContainer.style.display = "none";
+
+  // Recurring occurrence: badge + option to remove the whole series
+  const seriesId = meta.seriesId || null;
+  let deleteSeriesBtn = null;
+  if (seriesId) {
+    taskCard.classList.add("recurring");
+    taskCard.dataset.seriesId = seriesId;
+
+    deleteSeriesBtn = document.createElement("button");
+    deleteSeriesBtn.textContent = "Delete series";
+    deleteSeriesBtn.style.cssText = "flex: 1; background-color: #a33; color: white;";
+    buttonContainer.appendChild(deleteSeriesBtn);
+  }
+
+  // Repeat controls only on a brand-new card; recurring tasks are personal
+  const repeat = text || currentBoard() ? null : createRepeatControls(dayIndex);
+  // Details are edited in save mode, shown read-only as `taskMeta` otherwise
+  const details = createDetailControls(meta);
+  details.el.hidden = !!text;
+  const taskMeta = text ? createTaskMeta(meta) : null;
+  const checklistView = text && meta.checklist && meta.checklist.length
+    ? createChecklistView(meta.checklist, editable ? saveChecklist : null)
+    : null;
 
   const statusDiv = document.createElement("div");
   statusDiv.classList.add("status");
@@ -150,20 +806,111 @@ export function createTaskCard(
   // Initial display
   if (text) {
     const savedText = document.createElement("p");
+    savedText.classList.add("task-title");
     savedText.textContent = `${text} - ${status}`;
     taskCard.appendChild(savedText);
+    if (taskMeta) taskCard.appendChild(taskMeta);
+    if (checklistView) taskCard.appendChild(checklistView);
     statusDiv.querySelectorAll("input").forEach((r) => (r.disabled = true));
   } else {
     taskCard.appendChild(input);
   }
 
+  if (meta.carryCount) {
+    const badge = document.createElement("span");
+    badge.classList.add("badge", "carry-badge");
+    badge.textContent = `⤷ carried over ${meta.carryCount} time${meta.carryCount === 1 ? "" : "s"}`;
+    badge.title = `From the week of ${meta.carriedFrom}` +
+      (meta.originWeekKey && meta.originWeekKey !== meta.carriedFrom ? `, first planned ${meta.originWeekKey}` : "");
+    taskCard.appendChild(badge);
+  }
+
+  if (seriesId) {
+    const badge = document.createElement("span");
+    badge.classList.add("badge", "recurring-badge");
+    badge.textContent = "↻ " + describeRule(meta.rule);
+    taskCard.appendChild(badge);
+  }
+
   taskCard.appendChild(buttonContainer);
   taskCard.appendChild(statusDiv);
+  taskCard.appendChild(details.el);
+  if (repeat) taskCard.appendChild(repeat.el);
+  if (text) taskCard.appendChild(createHistoryPanel(taskId));
 
-  // Delete button handler
-  deleteBtn.addEventListener("click", async () => {
-    if (!confirm("Are you sure you want to delete this task?")) return;
+  // Swap this card for a read-only one built from the saved task
+  function showSavedCard(weekKey, dayIdx) {
+    const saved = window.tasksByWeek[weekKey][dayIdx].find((t) => t.id === taskId);
+    const savedCard = createTaskCard(saved.text, saved.status, saved.id, dayIdx, saved);
+    savedCard.hidden = !matchesFilters(savedCard);
+    taskCard.replaceWith(savedCard);
+  }
+
+  // Every checklist item done: offer to mark the task itself Completed
+  function offerCompletion() {
+    if (taskCard.querySelector(".checklist-complete")) return;
+    const prompt = document.createElement("div");
+    prompt.classList.add("checklist-complete");
+    prompt.setAttribute("role", "status");
+
+    const complete = document.createElement("button");
+    complete.type = "button";
+    complete.textContent = "Mark Completed";
+    const dismiss = document.createElement("button");
+    dismiss.type = "button";
+    dismiss.textContent = "Not yet";
+    prompt.append("All items done. ", complete, dismiss);
+
+    complete.addEventListener("click", async () => {
+      const weekKey = window.currentWeekKey;
+      const dayIdx = parseInt(taskCard.dataset.dayIndex);
+      try {
+        await updateTask(weekKey, dayIdx, taskId, { status: "Completed" });
+        showSavedCard(weekKey, dayIdx);
+        showMessage("Task completed", "success");
+      } catch (err) {
+        console.error("Complete task error:", err);
+        showMessage("Failed to update task", "error");
+      }
+    });
+    dismiss.addEventListener("click", () => prompt.remove());
+    checklistView.after(prompt);
+  }
+
+  async function saveChecklist(items) {
+    const weekKey = window.currentWeekKey;
+    const dayIdx = parseInt(taskCard.dataset.dayIndex);
+    try {
+      await updateTask(weekKey, dayIdx, taskId, { checklist: items });
+      const progress = taskCard.querySelector(".checklist-progress");
+      if (progress) progress.textContent = ` ☑ ${checklistProgress(items)}`;
+
+      const current = window.tasksByWeek[weekKey]?.[dayIdx]?.find((t) => t.id === taskId);
+      // the card shows this change already; a render needn't rebuild it
+      if (current) renderedTasks.set(taskCard, JSON.stringify(current));
+      if (items.every((item) => item.done) && current && current.status !== "Completed") offerCompletion();
+      else taskCard.querySelector(".checklist-complete")?.remove();
+    } catch (err) {
+      console.error("Checklist save error:", err);
+      showMessage("Failed to save checklist", "error");
+    }
+  }
 
+  // Delete whole series handler
+  deleteSeriesBtn?.addEventListener("click", async () => {
+    if (!confirm("Delete every occurrence of this recurring task?")) return;
+    try {
+      await deleteRecurringTask(seriesId);
+      await window.loadAndRenderWeek(window.currentDateKey);
+      showMessage("Recurring task deleted", "success");
+    } catch (err) {
+      console.error("Delete series error:", err);
+      showMessage("Failed to delete recurring task", "error");
+    }
+  });
+
+  // Delete button handler: the task goes to the trash, and the toast offers to undo
+  deleteBtn.addEventListener("click", async () => {
     deleteBtn.disabled = true;
     saveBtn.disabled = true;
     deleteBtn.textContent = "Deleting...";
@@ -172,34 +919,33 @@ export function createTaskCard(
       const weekKey = window.currentWeekKey;
       const dayIdx = parseInt(taskCard.dataset.dayIndex);
 
-      await deleteTaskFromBackend(weekKey, dayIdx, taskId);
-
-      // Remove from local state
-      if (window.tasksByWeek[weekKey] && window.tasksByWeek[weekKey][dayIdx]) {
-        window.tasksByWeek[weekKey][dayIdx] = window.tasksByWeek[weekKey][dayIdx].filter(
-          (t) => t.id !== taskId
-        );
+      // a card that was never saved only exists in the DOM
+      const tasks = window.tasksByWeek[weekKey]?.[dayIdx] || [];
+      const task = tasks.find((t) => t.id === taskId);
+      if (!task) {
+        taskCard.remove();
+        return;
       }
+      // the trash keeps the position among the stored tasks, occurrences not counted
+      const position = tasks.filter((t) => !t.seriesId).findIndex((t) => t.id === taskId);
 
-      // Remove from DOM
+      await deleteTask(weekKey, dayIdx, taskId);
       taskCard.remove();
-      showMessage("Task deleted successfully", "success");
+      // a deleted occurrence is an exception on its series, not something in the trash
+      if (task.seriesId) {
+        showMessage("Occurrence deleted", "success");
+        return;
+      }
+      showMessage("Task moved to the trash", "success", {
+        label: "Undo",
+        run: () => undoDelete(weekKey, dayIdx, task, position),
+      });
     } catch (err) {
-      console.error("Delete error (will remove locally):", err);
-      // Best-effort: if backend delete fails (e.g. task not yet persisted), remove locally
-      try {
-        const weekKey = window.currentWeekKey;
-        const dayIdx = parseInt(taskCard.dataset.dayIndex);
-        if (window.tasksByWeek[weekKey] && window.tasksByWeek[weekKey][dayIdx]) {
-          window.tasksByWeek[weekKey][dayIdx] = window.tasksByWeek[weekKey][dayIdx].filter(
-            (t) => t.id !== taskId
-          );
-        }
-      } catch (e) { /* ignore */ }
-
-      // Remove from DOM and show success (it's gone from UI/state)
-      taskCard.remove();
-      showMessage("Task removed", "success");
+      console.error("Delete error:", err);
+      deleteBtn.disabled = false;
+      saveBtn.disabled = false;
+      deleteBtn.textContent = "Delete";
+      showMessage("Failed to delete task", "error");
     }
   });
 
@@ -215,7 +961,7 @@ export function createTaskCard(
     if (saveBtn.dataset.mode === "save") {
       // Validate input
       const taskText = (
-        taskCard.querySelector("input") || { value: "" }
+        taskCard.querySelector(".task-text") || { value: "" }
       ).value.trim();
 
       if (!taskText) {
@@ -227,64 +973,55 @@ export function createTaskCard(
         "input[type='radio']:checked"
       );
       const taskStatus = selectedRadio ? selectedRadio.value : "No status";
+      const detailFields = details.getFields();
+
+      const rule = repeat && repeat.getRule(addDays(weekKey, dayIdx));
+      if (rule && rule.freq === "weekly" && !rule.byDay.length) {
+        showMessage("Pick at least one day for a weekly task", "error");
+        return;
+      }
 
       deleteBtn.disabled = true;
       saveBtn.disabled = true;
       saveBtn.textContent = "Saving...";
 
       try {
-        // Determine if task already exists locally (and therefore likely on backend)
-        const existingIndex = window.tasksByWeek[weekKey][dayIdx].findIndex(
-          (t) => t.id === taskId
-        );
-
-        // If task is new (not present locally), add it locally first and POST the full week
-        if (existingIndex === -1) {
-          window.tasksByWeek[weekKey][dayIdx].push({
-            id: taskId,
-            text: taskText,
-            status: taskStatus,
-          });
-
-          // Persist full week to backend (upsert)
-          await saveTasksToBackend(weekKey);
-        } else {
-          // Existing task: update only that task on the backend
-          await updateTaskOnBackend(weekKey, dayIdx, taskId, taskText, taskStatus);
-
-          // Update local storage
-          window.tasksByWeek[weekKey][dayIdx][existingIndex] = {
-            id: taskId,
-            text: taskText,
-            status: taskStatus,
-          };
+        // New recurring task: create the series, then reload so every occurrence shows up
+        if (rule) {
+          await createRecurringTask(taskText, rule);
+          taskCard.remove(); // the week renders in place, the occurrences take its place
+          await window.loadAndRenderWeek(window.currentDateKey);
+          showMessage("Recurring task saved", "success");
+          return;
         }
 
-        // Update text on UI
-        const savedText = document.createElement("p");
-        savedText.textContent = `${taskText} - ${taskStatus}`;
-        const existingInput = taskCard.querySelector("input");
-        if (existingInput) taskCard.replaceChild(savedText, existingInput);
+        // Determine if task already exists locally
+        const existing = window.tasksByWeek[weekKey][dayIdx].find((t) => t.id === taskId);
 
-        statusDiv.querySelectorAll("input").forEach((r) => (r.disabled = true));
-
-        saveBtn.dataset.mode = "edit";
-        saveBtn.textContent = "Edit";
+        // sync.js applies the change locally at once and queues it for the server
+        if (!existing) {
+          const newTask = { id: taskId, text: taskText, status: taskStatus, ...detailFields };
+          Object.keys(newTask).forEach((key) => newTask[key] === null && delete newTask[key]);
+          await addTask(weekKey, dayIdx, newTask);
+        } else if (seriesId && taskText !== existing.text &&
+            confirm("Change the text of every occurrence? (Cancel changes only this one)")) {
+          // Whole series: new text on the series (needs a connection), status stays per occurrence
+          await updateRecurringTask(seriesId, { text: taskText });
+          await updateTask(weekKey, dayIdx, taskId, { status: taskStatus, ...detailFields });
+          taskCard.remove();
+          await window.loadAndRenderWeek(window.currentDateKey);
+          showMessage("Recurring task updated", "success");
+          return;
+        } else {
+          // Existing task (or a single occurrence): update only that task
+          await updateTask(weekKey, dayIdx, taskId, { text: taskText, status: taskStatus, ...detailFields });
+        }
 
+        showSavedCard(weekKey, dayIdx);
+        updateTagFilterOptions(window.tasksByWeek[weekKey]);
         showMessage("Task saved successfully", "success");
-        deleteBtn.disabled = false;
-        saveBtn.disabled = false;
       } catch (err) {
         console.error("Save error:", err);
-        // If POST failed for a newly pushed local task, attempt to roll it back locally
-        try {
-          const idx = window.tasksByWeek[weekKey][dayIdx].findIndex((t) => t.id === taskId);
-          if (idx !== -1 && window.tasksByWeek[weekKey][dayIdx][idx].text === taskText) {
-            // remove the pushed item if it wasn't previously present
-            // (best-effort rollback)
-            window.tasksByWeek[weekKey][dayIdx].splice(idx, 1);
-          }
-        } catch (e) { /* ignore rollback errors */ }
 
         deleteBtn.disabled = false;
         saveBtn.disabled = false;
@@ -293,13 +1030,18 @@ export function createTaskCard(
       }
     } else {
       // Edit mode
-      const pEl = taskCard.querySelector("p");
-      const existingText = pEl ? pEl.textContent.split(" - ")[0] : "";
+      const pEl = taskCard.querySelector(".task-title");
       const newInput = document.createElement("input");
       newInput.type = "text";
-      newInput.value = existingText;
-      newInput.maxLength = 100;
+      newInput.classList.add("task-text");
+      newInput.value = text;
+      newInput.maxLength = 200;
       taskCard.replaceChild(newInput, pEl);
+      if (taskMeta) taskMeta.hidden = true;
+      if (checklistView) checklistView.hidden = true;
+      taskCard.draggable = false;
+      taskCard.querySelector(".checklist-complete")?.remove();
+      details.el.hidden = false;
 
       statusDiv.querySelectorAll("input").forEach((r) => (r.disabled = false));
 
@@ -312,6 +1054,301 @@ export function createTaskCard(
   return taskCard;
 }
 
+/* Moving tasks: drag a card to another place in a day, to another day, or onto the
+   pre-week / post-week buttons to send it to the neighbouring week.
+   Keyboard alternative on a focused card:
+     Alt+↑ / Alt+↓               up / down within the day
+     Alt+← / Alt+→               previous / next day (past Mon / Sun: the neighbouring week)
+     Alt+Shift+← / Alt+Shift+→   same day of the previous / next week
+   Recurring occurrences stay on the days their rule gives them.
+*/
+const MOVE_SHORTCUTS = "Alt+ArrowUp Alt+ArrowDown Alt+ArrowLeft Alt+ArrowRight Alt+Shift+ArrowLeft Alt+Shift+ArrowRight";
+
+let dragged = null; // { card, fromDayIndex, fromPosition } while a card is being dragged
+
+function dayColumn(dayIndex) {
+  return document.getElementById("d" + (dayIndex + 1));
+}
+
+// Cards holding a stored task; occurrences and unsaved cards don't count for positions
+function isStoredCard(el) {
+  return el.classList.contains("task-card") && !!el.dataset.saved && !el.dataset.seriesId;
+}
+
+// Position of `card` among the stored tasks of its day, as the server counts it
+function storedPosition(card) {
+  let position = 0;
+  for (let el = card.previousElementSibling; el; el = el.previousElementSibling) {
+    if (isStoredCard(el)) position++;
+  }
+  return position;
+}
+
+function shiftWeekKey(weekKey, weeks) {
+  return addDays(weekKey, 7 * weeks);
+}
+
+// Screen reader feedback for keyboard moves
+function announce(message) {
+  const region = document.getElementById("move-status");
+  if (region) region.textContent = message;
+}
+
+// Save a move. The card already sits where it goes (or was removed when it left the
+// week); if the move fails the week is reloaded to show where the task really is.
+async function commitMove(card, fromDayIndex, { toWeekKey, toDayIndex, position }) {
+  const weekKey = window.currentWeekKey;
+  try {
+    await moveTask(weekKey, fromDayIndex, card.dataset.taskId, { toWeekKey, toDayIndex, position });
+    if (toWeekKey !== weekKey) showMessage(`Task moved to the week of ${toWeekKey}`, "success");
+  } catch (err) {
+    console.error("Move error:", err);
+    showMessage("Failed to move task", "error");
+    await window.loadAndRenderWeek(window.currentDateKey);
+  }
+}
+
+function moveToDay(card, toDayIndex, before = null) {
+  const fromDayIndex = Number(card.dataset.dayIndex);
+  dayColumn(toDayIndex).insertBefore(card, before);
+  card.dataset.dayIndex = toDayIndex;
+  const position = storedPosition(card);
+  commitMove(card, fromDayIndex, { toWeekKey: window.currentWeekKey, toDayIndex, position });
+  return position;
+}
+
+function moveToWeek(card, weeks, toDayIndex) {
+  const fromDayIndex = Number(card.dataset.dayIndex);
+  const toWeekKey = shiftWeekKey(window.currentWeekKey, weeks);
+  card.remove();
+  commitMove(card, fromDayIndex, { toWeekKey, toDayIndex });
+  return toWeekKey;
+}
+
+// Card the dragged one would be dropped in front of (null = end of the day)
+function cardAfterPointer(column, y) {
+  const cards = [...column.querySelectorAll(".task-card:not(.dragging)")].filter((c) => !c.hidden);
+  return cards.find((c) => {
+    const box = c.getBoundingClientRect();
+    return y < box.top + box.height / 2;
+  }) || null;
+}
+
+function removeDropMarker() {
+  document.querySelectorAll(".drop-marker").forEach((m) => m.remove());
+}
+
+function handleMoveKey(e, card) {
+  if (!e.altKey || e.target !== card || card.querySelector(".task-text")) return;
+  const dayIndex = Number(card.dataset.dayIndex);
+  const stored = (el) => el && isStoredCard(el);
+
+  if (e.key === "ArrowUp" || e.key === "ArrowDown") {
+    let sibling = e.key === "ArrowUp" ? card.previousElementSibling : card.nextElementSibling;
+    while (sibling && !stored(sibling)) {
+      sibling = e.key === "ArrowUp" ? sibling.previousElementSibling : sibling.nextElementSibling;
+    }
+    e.preventDefault();
+    if (!sibling) return;
+    const position = moveToDay(card, dayIndex, e.key === "ArrowUp" ? sibling : sibling.nextElementSibling);
+    announce(`Moved to position ${position + 1} on ${dayName(window.currentWeekKey, dayIndex)}`);
+  } else if (e.key === "ArrowLeft" || e.key === "ArrowRight") {
+    e.preventDefault();
+    const step = e.key === "ArrowLeft" ? -1 : 1;
+    if (e.shiftKey) {
+      const weekKey = moveToWeek(card, step, dayIndex);
+      announce(`Moved to ${dayName(weekKey, dayIndex)} of the week of ${weekKey}`);
+      return;
+    }
+    const toDayIndex = dayIndex + step;
+    if (toDayIndex < 0 || toDayIndex > 6) {
+      const weekKey = moveToWeek(card, step, toDayIndex < 0 ? 6 : 0);
+      announce(`Moved to the week of ${weekKey}`);
+      return;
+    }
+    moveToDay(card, toDayIndex);
+    announce(`Moved to ${dayName(window.currentWeekKey, toDayIndex)}`);
+  } else {
+    return;
+  }
+  card.focus();
+}
+
+// Saved one-off task cards: draggable and focusable for the keyboard moves
+function makeMovable(card) {
+  card.draggable = true;
+  card.tabIndex = 0;
+  card.setAttribute("aria-keyshortcuts", MOVE_SHORTCUTS);
+  card.title = "Drag to move, or Alt + arrow keys";
+
+  card.addEventListener("dragstart", (e) => {
+    // a card being edited is not moved
+    if (card.querySelector(".task-text")) {
+      e.preventDefault();
+      return;
+    }
+    dragged = { card, fromDayIndex: Number(card.dataset.dayIndex), fromPosition: storedPosition(card) };
+    e.dataTransfer.effectAllowed = "move";
+    e.dataTransfer.setData("text/plain", card.dataset.taskId);
+    card.classList.add("dragging");
+  });
+  card.addEventListener("dragend", () => {
+    card.classList.remove("dragging");
+    removeDropMarker();
+    document.querySelectorAll(".drop-target").forEach((el) => el.classList.remove("drop-target"));
+    dragged = null;
+  });
+  card.addEventListener("keydown", (e) => handleMoveKey(e, card));
+}
+
+// Drop targets: the seven day columns and the week navigation buttons. Called once.
+export function setupTaskMoves() {
+  for (let dayIndex = 0; dayIndex < 7; dayIndex++) {
+    const column = dayColumn(dayIndex);
+    if (!column) continue;
+
+    column.addEventListener("dragover", (e) => {
+      if (!dragged) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = "move";
+      const before = cardAfterPointer(column, e.clientY);
+      const marker = document.querySelector(".drop-marker") || document.createElement("div");
+      marker.className = "drop-marker";
+      if (marker.nextElementSibling !== before || marker.parentElement !== column) column.insertBefore(marker, before);
+    });
+    column.addEventListener("dragleave", (e) => {
+      if (!column.contains(e.relatedTarget)) removeDropMarker();
+    });
+    column.addEventListener("drop", (e) => {
+      if (!dragged) return;
+      e.preventDefault();
+      removeDropMarker();
+      const { card, fromDayIndex, fromPosition } = dragged;
+      const before = cardAfterPointer(column, e.clientY);
+      column.insertBefore(card, before);
+      // dropped where it already was
+      if (dayIndex === fromDayIndex && storedPosition(card) === fromPosition) return;
+      moveToDay(card, dayIndex, before);
+    });
+  }
+
+  [["pre-week", -1], ["post-week", 1]].forEach(([id, weeks]) => {
+    const button = document.getElementById(id);
+    if (!button) return;
+    button.addEventListener("dragover", (e) => {
+      if (!dragged) return;
+      e.preventDefault();
+      button.classList.add("drop-target");
+    });
+    button.addEventListener("dragleave", () => button.classList.remove("drop-target"));
+    button.addEventListener("drop", (e) => {
+      if (!dragged) return;
+      e.preventDefault();
+      button.classList.remove("drop-target");
+      moveToWeek(dragged.card, weeks, dragged.fromDayIndex);
+    });
+  });
+}
+
+/* Carry-over dialog: pick unfinished tasks of the current week and move/copy them
+   into next week. Recurring occurrences are left out, they repeat anyway.
+*/
+export function openCarryOverDialog() {
+  const dialog = document.getElementById("carry-over-dialog");
+  const list = document.getElementById("carry-over-list");
+  if (!dialog || !list) return;
+
+  const weekKey = window.currentWeekKey;
+  const days = window.tasksByWeek[weekKey] || {};
+  list.replaceChildren();
+
+  let count = 0;
+  for (let i = 0; i < 7; i++) {
+    (days[i] || [])
+      .filter((t) => !t.seriesId && t.status !== "Completed" && t.status !== "Abandoned")
+      .forEach((task) => {
+        const label = document.createElement("label");
+        const box = document.createElement("input");
+        box.type = "checkbox";
+        box.value = task.id;
+        box.checked = true;
+        label.append(box, ` ${dayName(weekKey, i)}: ${task.text}`);
+        list.appendChild(label);
+        count++;
+      });
+  }
+
+  if (!count) {
+    showMessage("No unfinished tasks this week", "info");
+    return;
+  }
+
+  dialog.onclose = async () => {
+    if (dialog.returnValue !== "confirm") return;
+    const taskIds = [...list.querySelectorAll("input:checked")].map((b) => b.value);
+    if (!taskIds.length) return;
+    const mode = dialog.querySelector("input[name='carry-mode']:checked").value;
+
+    try {
+      await flush(); // queued edits first, the server decides what is unfinished
+      const result = await carryOverTasks(weekKey, { taskIds, mode });
+      await window.loadAndRenderWeek(window.currentDateKey);
+      showMessage(`${mode === "copy" ? "Copied" : "Moved"} ${result.carried} task(s) to the week of ${result.to}`, "success");
+    } catch (err) {
+      console.error("Carry over error:", err);
+      showMessage("Failed to carry over tasks", "error");
+    }
+  };
+  dialog.showModal();
+}
+
+// Scroll to a task of the week on screen and flash it (search results link here)
+export function highlightTask(taskId) {
+  const card = document.querySelector(`.task-card[data-task-id="${CSS.escape(taskId)}"]`);
+  if (!card) {
+    showMessage("That task is no longer in this week", "error");
+    return;
+  }
+  if (card.tabIndex < 0) card.tabIndex = -1; // occurrences aren't in the tab order but can still take focus
+  card.classList.add("search-hit");
+  card.scrollIntoView({ block: "center", behavior: "smooth" });
+  card.focus({ preventScroll: true });
+  card.addEventListener("blur", () => card.classList.remove("search-hit"), { once: true });
+}
+
+// Download the current week as an .ics file
+export async function exportWeekCalendar() {
+  const weekKey = window.currentWeekKey;
+  try {
+    await flush(); // the export is built from the server copy
+    const blob = await exportCalendar({ week: weekKey });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `planner-${weekKey}.ics`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  } catch (err) {
+    console.error("Calendar export error:", err);
+    showMessage("Failed to export the week", "error");
+  }
+}
+
+// Import an .ics file chosen by the user, then reload the week on screen
+export async function importCalendarFile(file) {
+  try {
+    await flush();
+    const result = await importCalendar(await file.text());
+    await window.loadAndRenderWeek(window.currentDateKey);
+    const skipped = result.duplicates ? `, ${result.duplicates} already in the planner` : "";
+    const invalid = result.invalid ? `, ${result.invalid} unreadable` : "";
+    showMessage(`Imported ${result.imported} task(s)${skipped}${invalid}`, "success");
+  } catch (err) {
+    console.error("Calendar import error:", err);
+    showMessage("Failed to import the calendar file", "error");
+  }
+}
+
 /* Attach add-task listeners to all day columns.
    We call this after every render so dynamically created days/buttons pick up handlers.
 */
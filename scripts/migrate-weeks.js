@@ -0,0 +1,127 @@
+// One-off migration: bring stored weeks in line with lib/validation.js.
+//
+//   node scripts/migrate-weeks.js            # apply
+//   node scripts/migrate-weeks.js --dry-run  # only report what would change
+//
+// For every Week document, with its owner's week start (User.weekStart, or Board.weekStart
+// for the weeks of a shared board):
+//   - days are normalised (bad day keys, non-array days, tasks without text or id,
+//     duplicate ids, unknown statuses and fields) — see normaliseDays()
+//   - a key one day before a week start is moved to the following day. The old client
+//     built keys with toISOString(), which east of UTC turned a local Monday into the
+//     Sunday before.
+//   - a week keyed on another weekday (e.g. a Monday key of a Sunday-start user, left
+//     by a settings change that failed half-way) has its tasks re-filed by date.
+// Tasks moved into a week the owner already has are merged into it.
+// Keys that aren't dates at all, and weeks of owners that are neither a user nor a board,
+// are only reported.
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+
+import Week from "../models/Week.js";
+import User from "../models/User.js";
+import Board from "../models/Board.js";
+import { isDateKey, dayIndexIn, addDays } from "../lib/dates.js";
+import { isWeekKey, normaliseDays } from "../lib/validation.js";
+import { calendarOf } from "../lib/calendar.js";
+import { regroupWeeks } from "../lib/tasks.js";
+
+dotenv.config();
+
+const dryRun = process.argv.includes("--dry-run");
+
+// Append `extra` days to `days`, skipping task ids the week already has
+function mergeDays(days, extra) {
+  const merged = { ...days };
+  const ids = new Set(Object.values(days).flat().map(t => t.id));
+  for (const [dayIndex, tasks] of Object.entries(extra)) {
+    const fresh = tasks.filter(t => !ids.has(t.id));
+    if (fresh.length) merged[dayIndex] = [...(merged[dayIndex] || []), ...fresh];
+  }
+  return merged;
+}
+
+// Put `days` into the owner's week `weekKey`, merging if that week exists already
+async function moveInto(week, weekKey, days) {
+  const target = await Week.findOne({ owner: week.owner, weekKey }).lean();
+  if (!target) {
+    await Week.create({ owner: week.owner, weekKey, days, version: 1 });
+    return;
+  }
+  const { days: targetDays } = normaliseDays(target.days);
+  await Week.updateOne(
+    { _id: target._id },
+    { $set: { days: mergeDays(targetDays, days) }, $inc: { version: 1 } }
+  );
+}
+
+async function migrateWeek(week, weekStart, stats) {
+  const { days, problems } = normaliseDays(week.days);
+  const label = `${week.owner} ${week.weekKey}`;
+  problems.forEach(p => console.log(`  ${label} ${p}`));
+
+  if (!isWeekKey(week.weekKey, weekStart)) {
+    if (!isDateKey(week.weekKey)) {
+      console.log(`  ${label} weekKey is not a date, left as is`);
+      stats.unfixable++;
+      return;
+    }
+    // shifted by a day: same days, next key; otherwise each task goes to its date's week
+    const targets = dayIndexIn(week.weekKey, weekStart) === 6
+      ? [{ weekKey: addDays(week.weekKey, 1), days }]
+      : regroupWeeks([{ weekKey: week.weekKey, days }], weekStart);
+    console.log(`  ${label} moved to ${targets.map(t => t.weekKey).join(", ") || "(no tasks)"}`);
+    stats.moved++;
+    if (dryRun) return;
+    // targets are valid keys and the source isn't, so they never collide; removing the
+    // source last means an interrupted run loses nothing and can be repeated
+    for (const target of targets) await moveInto(week, target.weekKey, target.days);
+    await Week.deleteOne({ _id: week._id });
+    return;
+  }
+
+  if (problems.length) {
+    stats.repaired++;
+    if (!dryRun) await Week.updateOne({ _id: week._id }, { $set: { days }, $inc: { version: 1 } });
+  }
+}
+
+async function main() {
+  if (!process.env.MONGODB_URI) throw new Error("MONGODB_URI is not set");
+  await mongoose.connect(process.env.MONGODB_URI, { dbName: process.env.MONGODB_DB || undefined });
+
+  const weekStarts = new Map();
+  for (const user of await User.find({}, { weekStart: 1 }).lean()) {
+    weekStarts.set(String(user._id), calendarOf(user).weekStart);
+  }
+  // a board's weeks start on the board's own week start
+  for (const board of await Board.find({}, { weekStart: 1 }).lean()) {
+    weekStarts.set(String(board._id), calendarOf(board).weekStart);
+  }
+
+  const stats = { scanned: 0, repaired: 0, moved: 0, unfixable: 0, orphaned: 0 };
+  // a week moved to its proper key may come up again later in the scan; by then it
+  // is already clean and nothing more happens to it
+  for await (const week of Week.find().sort({ owner: 1, weekKey: 1 }).lean().cursor()) {
+    stats.scanned++;
+    const weekStart = weekStarts.get(String(week.owner));
+    if (weekStart === undefined) {
+      // without its owner there's no telling which day the week starts on
+      console.log(`  ${week.owner} ${week.weekKey} owner is neither a user nor a board, left as is`);
+      stats.orphaned++;
+      continue;
+    }
+    await migrateWeek(week, weekStart, stats);
+  }
+
+  console.log(`${dryRun ? "[dry run] " : ""}scanned ${stats.scanned}, repaired ${stats.repaired}, ` +
+    `moved to their week start ${stats.moved}, unfixable keys ${stats.unfixable}, ` +
+    `without an owner ${stats.orphaned}`);
+}
+
+main()
+  .catch((err) => {
+    console.error("❌ Migration failed:", err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -7,14 +7,110 @@ import mongoose from "mongoose";
 import helmet from "helmet";
 import crypto from "crypto";
 import compression from "compression";
+import cookieParser from "cookie-parser";
 import rateLimit from "express-rate-limit";
 import mongoSanitize from "express-mongo-sanitize";
 import xss from "xss-clean";
 
 import Week from "./models/Week.js";
 import User from "./models/User.js";
-import bcrypt from "bcrypt";
-import jwt from "jsonwebtoken";
+import Note from "./models/Note.js";
+import FocusSession from "./models/FocusSession.js";
+import RecurringTask from "./models/RecurringTask.js";
+import PasswordResetToken from "./models/PasswordResetToken.js";
+import AuthSession from "./models/AuthSession.js";
+import LoginThrottle from "./models/LoginThrottle.js";
+import Quote from "./models/Quote.js";
+import QuoteFavorite from "./models/QuoteFavorite.js";
+import TrashItem from "./models/TrashItem.js";
+import Activity from "./models/Activity.js";
+import Board from "./models/Board.js";
+import BoardInvite from "./models/BoardInvite.js";
+import { requireAuth, pageAuth } from "./middleware/auth.js";
+import {
+  REFRESH_COOKIE,
+  startSession,
+  rotateSession,
+  revokeByRefreshToken,
+  revokeSessions,
+  setAuthCookies,
+  clearAuthCookies,
+  isValidCsrfToken,
+  isSessionActive,
+} from "./lib/auth.js";
+import { STATUSES, buildReport, buildFocusReport, buildStatusTimings } from "./lib/report.js";
+import {
+  DEFAULT_TIMEZONE,
+  isDateKey,
+  addDays,
+  daysBetween,
+  weekKeyOf,
+  dayIndexIn,
+  isTimeZone,
+  todayIn,
+} from "./lib/dates.js";
+import { calendarOf, pickCalendarFields } from "./lib/calendar.js";
+import { buildCalendar, parseCalendar } from "./lib/ical.js";
+import { buildArchive, tasksToCsv, readArchive } from "./lib/archive.js";
+import { pickNoteFields } from "./lib/notes.js";
+import { pickSessionFields } from "./lib/sessions.js";
+import { PASSWORD_RULES, RESET_TOKEN_TTL_MS, isValidPassword } from "./lib/passwords.js";
+import { newOpaqueToken, hashToken } from "./lib/tokens.js";
+import { POLICIES, FORGET_AFTER_MS, throttleKeys, lockoutMs, describeWait } from "./lib/throttle.js";
+import { sendMail } from "./lib/mailer.js";
+import {
+  ACTIVITY_ENTITIES,
+  ACTIVITY_ACTIONS,
+  ACTIVITY_SOURCES,
+  taskActivity,
+  taskMoveActivity,
+  weekActivity,
+  noteActivity,
+  describeActivity,
+} from "./lib/activity.js";
+import {
+  INVITE_TTL_MS,
+  boardRole,
+  canEdit,
+  memberFilter,
+  boardUserIds,
+  normaliseEmail,
+  pickBoardName,
+  pickMemberRole,
+  pickInvite,
+} from "./lib/boards.js";
+import { openStream, publish, closeStreams, closeSessionStreams, closeStreamsOfSession } from "./lib/live.js";
+import { retentionDays, trashedTask, trashedWeek, trashedNote, trashedTaskDate, describeTrashItem } from "./lib/trash.js";
+import { QUOTE_TEXT_MAX, QUOTE_AUTHOR_MAX, quoteId, quoteOfTheDay, startQuoteRefresh } from "./lib/quotes.js";
+import { QUERY_MAX, parseQuery, isEmptyQuery, weekSearch, matchTask, snippet } from "./lib/search.js";
+import {
+  newTaskId,
+  isUnfinished,
+  notInWeek,
+  pushTask,
+  reorderTasks,
+  applyTaskFields,
+  regroupWeeks,
+} from "./lib/tasks.js";
+import {
+  ValidationError,
+  isWeekKey,
+  weekKeyError,
+  isDayIndex,
+  validateTask,
+  validateTaskUpdate,
+  validateDays,
+} from "./lib/validation.js";
+import {
+  validateRule,
+  SERIES_TEXT_MAX,
+  parseOccurrenceId,
+  occurrenceDates,
+  buildOccurrence,
+  expandIntoWeek,
+  expandIntoWeeks,
+  mergeWeekDays,
+} from "./lib/recurrence.js";
 
 dotenv.config();
 
@@ -23,6 +119,9 @@ const __dirname = path.dirname(__filename);
 
 const app = express();
 app.disable("x-powered-by");
+// Behind a reverse proxy set TRUST_PROXY to its number of hops, so req.ip is the
+// client's address (the login throttle and rate limit count per IP)
+if (process.env.TRUST_PROXY) app.set("trust proxy", Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
 
 // Disable helmet's built-in CSP so we can provide a nonce-based CSP per request
 app.use(helmet({ contentSecurityPolicy: false }));
@@ -56,9 +155,14 @@ app.use(compression());
 // app.use(mongoSanitize());
 app.use(rateLimit({ windowMs: 15 * 60 * 1000, limit: 300 }));
 
+// account archives can be larger than any other request body
+app.use("/api/account/restore", express.json({ limit: "20mb" }));
 app.use(express.json({ limit: "1mb" }));
 app.use(express.urlencoded({ extended: true }));
+app.use(cookieParser());
 app.use(express.static(path.join(__dirname, "public")));
+// the date helpers are shared with the browser
+app.get("/dates.js", (req, res) => res.type("application/javascript").sendFile(path.join(__dirname, "lib", "dates.js")));
 
 app.set("view engine", "ejs");
 app.set("views", path.join(__dirname, "views"));
@@ -70,14 +174,164 @@ if (!MONGODB_URI) {
 }
 mongoose
   .connect(MONGODB_URI, { dbName: process.env.MONGODB_DB || undefined })
-  .then(() => console.log("✅ MongoDB connected"))
+  .then(() => {
+    console.log("✅ MongoDB connected");
+    // drops the old global unique index on weekKey in favour of (owner, weekKey)
+    return Week.syncIndexes();
+  })
   .catch((err) => console.error("❌ MongoDB connection error:", err));
 
 // API
+// The signed-in user's calendar settings as req.calendar = { timezone, weekStart }
+async function loadCalendar(req, res, next) {
+  try {
+    req.calendar = calendarOf(await User.findById(req.user.id, { timezone: 1, weekStart: 1 }).lean());
+    next();
+  } catch (e) { next(e); }
+}
+
+const SAFE_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+// 403 for a board member whose role doesn't allow the request. X-Auth-Error tells
+// storage.js this is no reason to log in again.
+function sendRoleForbidden(res, message) {
+  res.set("X-Auth-Error", "ROLE_FORBIDDEN");
+  return res.status(403).json({ error: message, code: "ROLE_FORBIDDEN" });
+}
+
+// Which planner a task, trash or activity request is about: the signed-in user's own,
+// or the shared board named by the X-Planner-Board header (or ?board=). Sets
+// req.planner = { owner, board, role }, `owner` being what the planner's weeks, trash
+// and activity are filed under. A board's weeks start on its own week start. Boards
+// the user isn't on are 404; viewers may only read.
+async function loadPlanner(req, res, next) {
+  try {
+    const boardId = req.get("X-Planner-Board") || (typeof req.query.board === "string" && req.query.board);
+    if (!boardId) {
+      req.planner = { owner: req.user.id, board: null, role: "owner" };
+      return next();
+    }
+    const board = mongoose.isValidObjectId(boardId) ? await Board.findById(boardId).lean() : null;
+    const role = boardRole(board, req.user.id);
+    if (!role) return res.status(404).json({ error: "Board not found", code: "BOARD_NOT_FOUND" });
+    if (!SAFE_METHODS.includes(req.method) && !canEdit(role)) {
+      return sendRoleForbidden(res, "Viewers of a board cannot change its tasks");
+    }
+    req.planner = { owner: String(board._id), board, role };
+    req.calendar = { ...req.calendar, weekStart: board.weekStart };
+    next();
+  } catch (e) { next(e); }
+}
+
+// An assignee must be on the board; tasks of a personal planner have none
+function checkAssignee(planner, assignee, field = "assignee") {
+  if (!assignee) return;
+  if (!planner.board) throw new ValidationError(field, "Only tasks on a shared board can have an assignee");
+  if (!boardUserIds(planner.board).includes(assignee)) {
+    throw new ValidationError(field, "The assignee must be a member of the board");
+  }
+}
+
+// every task route is scoped to the signed-in user's planner or one of their boards
+app.use("/api/tasks", requireAuth, loadCalendar, loadPlanner);
+
+// week keys are the date of the first day of the user's week (Monday or Sunday);
+// days are 0 (that day) .. 6
+app.param("weekKey", (req, res, next, weekKey) => {
+  if (!isWeekKey(weekKey, req.calendar.weekStart)) return next(weekKeyError("weekKey", req.calendar.weekStart));
+  next();
+});
+app.param("dayIndex", (req, res, next, dayIndex) => {
+  if (!isDayIndex(dayIndex)) return next(new ValidationError("dayIndex", "'dayIndex' must be between 0 and 6"));
+  next();
+});
+
+// Optimistic concurrency: every write to a week bumps its `version`. A client
+// may send the version it last saw in the X-Week-Version header; if the week has
+// changed since, the write is rejected with 409 and the current server copy.
+app.use("/api/tasks", (req, res, next) => {
+  const raw = req.get("X-Week-Version");
+  if (raw === undefined || raw === "") return next();
+  const version = Number(raw);
+  if (!Number.isInteger(version) || version < 0) {
+    return next(new ValidationError("X-Week-Version", "X-Week-Version must be a non-negative integer"));
+  }
+  req.weekVersion = version;
+  next();
+});
+
+// Filter clause matching a week at `version`. Weeks saved before versioning
+// have no field yet and count as version 0.
+function versionFilter(version) {
+  if (version === undefined) return {};
+  return version === 0 ? { version: { $in: [0, null] } } : { version };
+}
+
+// Append entries to the activity log (lib/activity.js). The change they describe is
+// saved already, so a failed write is only reported, it doesn't fail the request.
+async function recordActivity(entries) {
+  const list = [].concat(entries).filter(Boolean);
+  if (!list.length) return;
+  try {
+    await Activity.insertMany(list, { ordered: false });
+  } catch (err) {
+    console.error("Could not record activity:", err);
+  }
+}
+
+// Tell the other open planners about a task change (lib/live.js). The tab that made it
+// sends its X-Planner-Tab id and already shows it. `event` carries the weekKey and,
+// where the week's version is known, the version the change brought it to.
+function publishChange(req, event) {
+  const owner = req.planner ? req.planner.owner : req.user.id;
+  publish(owner, { ...event, by: { id: req.user.id, username: req.user.username } }, req.get("X-Planner-Tab"));
+}
+
+// Recurring series of a user that can have occurrences between two date keys
+function findSeriesInRange(owner, from, to) {
+  return RecurringTask.find({
+    owner,
+    "rule.startDate": { $lte: to },
+    $or: [{ "rule.until": null }, { "rule.until": { $gte: from } }],
+  }).lean();
+}
+
+// The week as GET serves it: stored one-off tasks + occurrences of recurring series
+async function loadWeekView(owner, weekKey) {
+  const doc = await Week.findOne({ owner, weekKey }).lean();
+  const version = (doc && doc.version) || 0;
+  if (!isDateKey(weekKey)) return { days: (doc && doc.days) || {}, version };
+
+  const series = await findSeriesInRange(owner, weekKey, addDays(weekKey, 6));
+  return { days: mergeWeekDays(doc && doc.days, expandIntoWeek(series, weekKey)), version };
+}
+
+async function sendVersionConflict(res, owner, weekKey) {
+  const current = await loadWeekView(owner, weekKey);
+  res.set("X-Week-Version", String(current.version));
+  return res.status(409).json({
+    error: "This week was changed somewhere else",
+    code: "VERSION_CONFLICT",
+    weekKey,
+    version: current.version,
+    days: current.days,
+  });
+}
+
+// Live updates: an event stream of the changes other tabs and members make to this
+// planner (?board= for a board). ?tab= is the id this tab sends as X-Planner-Tab, so
+// its own changes aren't echoed back.
+app.get("/api/tasks/events", (req, res) => {
+  const tab = typeof req.query.tab === "string" ? req.query.tab.slice(0, 64) : null;
+  const { id: userId, sid } = req.user;
+  openStream(req, res, { owner: req.planner.owner, tab, userId, sid, isActive: () => isSessionActive(sid, userId) });
+});
+
 app.get("/api/tasks/:weekKey", async (req, res, next) => {
   try {
-    const doc = await Week.findOne({ weekKey: req.params.weekKey }).lean();
-    res.json(doc?.days || {});
+    const { days, version } = await loadWeekView(req.planner.owner, req.params.weekKey);
+    res.set("X-Week-Version", String(version));
+    res.json(days);
   } catch (e) { next(e); }
 });
 
@@ -86,145 +340,1858 @@ app.get("/api/tasks/:weekKey", async (req, res, next) => {
 app.post("/api/tasks/:weekKey", async (req, res, next) => {
   try {
     const { weekKey } = req.params;
-    const { days } = req.body;
-    if (typeof days !== "object" || Array.isArray(days)) {
-      return res.status(400).json({ error: "Invalid payload: 'days' must be an object" });
+    const input = req.body && req.body.days;
+    // recurring occurrences are generated on read, never stored in the week
+    if (input && typeof input === "object") {
+      for (const key of Object.keys(input)) {
+        if (Array.isArray(input[key])) input[key] = input[key].filter(t => !(t && t.seriesId));
+      }
     }
-    const updated = await Week.findOneAndUpdate(
-      { weekKey },//filter
-      { days, updatedAt: new Date() },//If it exists — update it.
-      { upsert: true, new: true }//If it doesn’t — create it, new i updated doc is returned
-     ).lean();//Then give me the updated result as plain JSON.
-    res.json({ success: true, weekKey, days: updated.days });
+    const days = validateDays(input);
+    for (const [key, tasks] of Object.entries(days)) {
+      tasks.forEach((t, i) => checkAssignee(req.planner, t.assignee, `days.${key}.${i}.assignee`));
+    }
+
+    // the copy from before the write tells the activity log what changed
+    let previous;
+    try {
+      previous = await Week.findOneAndUpdate(
+        { owner: req.planner.owner, weekKey, ...versionFilter(req.weekVersion) },//filter (+ version seen by the client)
+        { $set: { days }, $inc: { version: 1 } },//If it exists — update it.
+        { upsert: true, new: false }//If it doesn’t — create it; null is returned then
+       ).lean();//Then give me the old document as plain JSON.
+    } catch (err) {
+      // the week exists at another version: the upsert collides with the (owner, weekKey) index
+      if (err.code === 11000) return sendVersionConflict(res, req.planner.owner, weekKey);
+      throw err;
+    }
+    await recordActivity(weekActivity(req, weekKey, previous && previous.days, days));
+
+    const version = previous ? (previous.version || 0) + 1 : 1;
+    publishChange(req, { type: "week", weekKey, version });
+    res.set("X-Week-Version", String(version));
+    res.json({ success: true, weekKey, days, version });
   } catch (e) { next(e); }
 });
 
 app.delete("/api/tasks/:weekKey/:dayIndex/:taskId", async (req, res, next) => {
   try {
     const { weekKey, dayIndex, taskId } = req.params;
-    const doc = await Week.findOne({ weekKey });
+
+    // one occurrence of a recurring series: mark just that date as deleted
+    const occurrence = parseOccurrenceId(taskId);
+    if (occurrence) {
+      const series = await RecurringTask.findOne({ _id: occurrence.seriesId, owner: req.planner.owner });
+      if (!series || !occurrenceDates(series.rule, occurrence.date, occurrence.date).length) {
+        return res.status(404).json({ error: "Task not found" });
+      }
+      const task = buildOccurrence(series.toObject(), occurrence.date);
+      const exception = series.exceptions.find(e => e.date === occurrence.date);
+      if (exception) exception.deleted = true;
+      else series.exceptions.push({ date: occurrence.date, deleted: true });
+      await series.save();
+      await recordActivity(taskActivity(req, "delete", { weekKey, dayIndex, task }));
+      publishChange(req, { type: "delete", weekKey, dayIndex: Number(dayIndex), taskId });
+      return res.json({ success: true });
+    }
+
+    const doc = await Week.findOne({ owner: req.planner.owner, weekKey }).lean();
     //check if doc exists and dayIndex exists
-    if (!doc || !doc.days[dayIndex]) {
+    if (!doc || !doc.days || !doc.days[dayIndex]) {
       return res.status(404).json({ error: "Week or day not found" });
     }
- //filters all tasks and separates all tasks from the to be deleted one
-    doc.days[dayIndex] = doc.days[dayIndex].filter(t => t.id !== taskId);
-  // markModified so Mongoose knows to persist changes to the mixed 'days' field
-  //doc i mongoose document, markModified is mongoose method we are checking if that method exists
-  if (typeof doc.markModified === 'function') doc.markModified('days');
-  await doc.save();
+    const version = doc.version || 0;
+    if (req.weekVersion !== undefined && req.weekVersion !== version) {
+      return sendVersionConflict(res, req.planner.owner, weekKey);
+    }
+
+    // pull the task, but only if nobody wrote to the week since we read it
+    const updated = await Week.findOneAndUpdate(
+      { owner: req.planner.owner, weekKey, ...versionFilter(version) },
+      { $pull: { [`days.${dayIndex}`]: { id: taskId } }, $inc: { version: 1 } },
+      { new: true }
+    ).lean();
+    if (!updated) return sendVersionConflict(res, req.planner.owner, weekKey);
 
-    res.json({ success: true, days: doc.days });
+    // the week was still at `version`, so `doc` shows exactly what was pulled
+    const position = doc.days[dayIndex].findIndex(t => t && t.id === taskId);
+    if (position !== -1) {
+      const task = doc.days[dayIndex][position];
+      await TrashItem.create(trashedTask(req.planner.owner, weekKey, dayIndex, position, task));
+      await recordActivity(taskActivity(req, "delete", { weekKey, dayIndex, task }));
+    }
+    publishChange(req, { type: "delete", weekKey, dayIndex: Number(dayIndex), taskId, version: updated.version });
+
+    res.set("X-Week-Version", String(updated.version));
+    res.json({ success: true, days: updated.days, version: updated.version });
   } catch (e) { next(e); }
 });
 
+// Update a task. Body: any of { text, status, priority, dueTime, estimateMinutes,
+// description, tags }; fields left out are unchanged, null clears an optional one.
 app.put("/api/tasks/:weekKey/:dayIndex/:taskId", async (req, res, next) => {
   try {
     const { weekKey, dayIndex, taskId } = req.params;
-    const { text, status } = req.body;
+    const fields = validateTaskUpdate(req.body);
+    checkAssignee(req.planner, fields.assignee);
+
+    // one occurrence of a recurring series: store the edit as an exception for that date
+    const occurrence = parseOccurrenceId(taskId);
+    if (occurrence) {
+      const series = await RecurringTask.findOne({ _id: occurrence.seriesId, owner: req.planner.owner });
+      if (!series || !occurrenceDates(series.rule, occurrence.date, occurrence.date).length) {
+        return res.status(404).json({ error: "Task not found" });
+      }
+      const before = buildOccurrence(series.toObject(), occurrence.date);
+      const exception = series.exceptions.find(e => e.date === occurrence.date);
+      if (exception) Object.assign(exception, fields, { deleted: false });
+      else series.exceptions.push({ date: occurrence.date, ...fields });
+      await series.save();
+      const task = buildOccurrence(series.toObject(), occurrence.date);
+      await recordActivity(taskActivity(req, "update", { weekKey, dayIndex, task, before }));
+      publishChange(req, { type: "update", weekKey, dayIndex: Number(dayIndex), task });
+      return res.json({ success: true, task });
+    }
 
-    const doc = await Week.findOne({ weekKey });
-    
-    if (!doc || !doc.days[dayIndex]) {
+    const doc = await Week.findOne({ owner: req.planner.owner, weekKey }).lean();
+
+    if (!doc || !doc.days || !doc.days[dayIndex]) {
       return res.status(404).json({ error: "Week or day not found" });
     }
+    const version = doc.version || 0;
+    if (req.weekVersion !== undefined && req.weekVersion !== version) {
+      return sendVersionConflict(res, req.planner.owner, weekKey);
+    }
 
     const taskIndex = doc.days[dayIndex].findIndex(t => t.id === taskId);
     if (taskIndex === -1) {
       return res.status(404).json({ error: "Task not found" });
     }
 
-  doc.days[dayIndex][taskIndex] = { id: taskId, text, status };
-  // markModified so Mongoose persists updates to the mixed 'days' field
-  if (typeof doc.markModified === 'function') doc.markModified('days');
-  await doc.save();
+    // keep the task's other fields (e.g. carry-over history), replace the ones sent
+    const task = applyTaskFields({ ...doc.days[dayIndex][taskIndex], id: taskId }, fields);
+    const updated = await Week.findOneAndUpdate(
+      { owner: req.planner.owner, weekKey, ...versionFilter(version) },
+      { $set: { [`days.${dayIndex}.${taskIndex}`]: task }, $inc: { version: 1 } },
+      { new: true, projection: { version: 1 } }
+    ).lean();
+    if (!updated) return sendVersionConflict(res, req.planner.owner, weekKey);
+    await recordActivity(taskActivity(req, "update", { weekKey, dayIndex, task, before: doc.days[dayIndex][taskIndex] }));
+    publishChange(req, { type: "update", weekKey, dayIndex: Number(dayIndex), task, version: updated.version });
+
+    res.set("X-Week-Version", String(updated.version));
+    res.json({ success: true, task, version: updated.version });
+  } catch (e) { next(e); }
+});
+
+// Carry unfinished tasks over to the next week (or `targetWeekKey`).
+// Body: { taskIds?: [...] (default: every unfinished task), mode?: "move" | "copy" }
+// Each carried task keeps its day index and records where it came from.
+app.post("/api/tasks/:weekKey/carry-over", async (req, res, next) => {
+  try {
+    const { weekKey } = req.params;
+    const { taskIds, mode = "move" } = req.body || {};
+    const targetWeekKey = (req.body && req.body.targetWeekKey) || addDays(weekKey, 7);
+
+    if (!isWeekKey(targetWeekKey, req.calendar.weekStart)) throw weekKeyError("targetWeekKey", req.calendar.weekStart);
+    if (targetWeekKey === weekKey) throw new ValidationError("targetWeekKey", "Target week must differ from the source week");
+    if (mode !== "move" && mode !== "copy") throw new ValidationError("mode", "'mode' must be 'move' or 'copy'");
+    if (taskIds !== undefined && (!Array.isArray(taskIds) || taskIds.some(id => typeof id !== "string"))) {
+      throw new ValidationError("taskIds", "'taskIds' must be an array of task ids");
+    }
+
+    const doc = await Week.findOne({ owner: req.planner.owner, weekKey }).lean();
+    const days = (doc && doc.days) || {};
+    const version = (doc && doc.version) || 0;
+    if (req.weekVersion !== undefined && req.weekVersion !== version) {
+      return sendVersionConflict(res, req.planner.owner, weekKey);
+    }
+
+    const push = {};
+    const pull = {};
+    const pullBack = {}; // undoes `push` on the target
+    const markCopied = {};
+    const pickedIds = [];
+    const carried = [];
+    for (const [dayIndex, tasks] of Object.entries(days)) {
+      if (!Array.isArray(tasks)) continue;
+      const picked = tasks.filter(t =>
+        isUnfinished(t) &&
+        (!taskIds || taskIds.includes(t.id)) &&
+        // a copy already made into that week isn't copied again
+        !(mode === "copy" && t.carriedTo === targetWeekKey)
+      );
+      if (!picked.length) continue;
+
+      const copies = picked.map(({ carriedTo, ...t }) => ({
+        ...t,
+        id: mode === "copy" ? newTaskId() : t.id,
+        carriedFrom: weekKey,
+        originWeekKey: t.originWeekKey || weekKey,
+        carryCount: (t.carryCount || 0) + 1,
+      }));
+      push[`days.${dayIndex}`] = { $each: copies };
+      pullBack[`days.${dayIndex}`] = { id: { $in: copies.map(t => t.id) } };
+      if (mode === "move") pull[`days.${dayIndex}`] = { id: { $in: picked.map(t => t.id) } };
+      else markCopied[`days.${dayIndex}.$[t].carriedTo`] = targetWeekKey;
+      pickedIds.push(...picked.map(t => t.id));
+      carried.push(...copies.map(t => ({ ...t, dayIndex: Number(dayIndex) })));
+    }
+
+    if (!carried.length) {
+      return res.json({ success: true, from: weekKey, to: targetWeekKey, carried: 0, tasks: [], version });
+    }
+
+    // as for a move: add to the target first, where none of the ids may be yet (a replayed
+    // request would duplicate them), then change the source, guarded by the version we
+    // read. If the source changed meanwhile, the add is undone.
+    const carriedIds = carried.map(t => t.id);
+    let target;
+    try {
+      target = await Week.findOneAndUpdate(
+        { owner: req.planner.owner, weekKey: targetWeekKey, ...notInWeek(carriedIds) },
+        { $push: push, $inc: { version: 1 } },
+        { upsert: true, new: true, projection: { version: 1 } }
+      ).lean();
+    } catch (err) {
+      if (err.code === 11000) return res.status(409).json({ error: "The target week already has these tasks", code: "DUPLICATE_TASK" });
+      throw err;
+    }
+
+    const sourceUpdate = mode === "move"
+      ? { $pull: pull, $inc: { version: 1 } }
+      // remember the copy on the source task so a second click doesn't duplicate it
+      : { $set: markCopied, $inc: { version: 1 } };
+    const source = await Week.findOneAndUpdate(
+      { owner: req.planner.owner, weekKey, ...versionFilter(version) },
+      sourceUpdate,
+      { new: true, projection: { version: 1 }, arrayFilters: mode === "copy" ? [{ "t.id": { $in: pickedIds } }] : undefined }
+    ).lean();
+    if (!source) {
+      await Week.updateOne(
+        { owner: req.planner.owner, weekKey: targetWeekKey },
+        { $pull: pullBack, $inc: { version: 1 } }
+      );
+      return sendVersionConflict(res, req.planner.owner, weekKey);
+    }
+    await recordActivity(carried.map(({ dayIndex, ...task }) => mode === "move"
+      ? taskMoveActivity(req, { weekKey, dayIndex, toWeekKey: targetWeekKey, toDayIndex: dayIndex, task })
+      : taskActivity(req, "create", { weekKey: targetWeekKey, dayIndex, task })));
+    publishChange(req, { type: "week", weekKey, version: source.version });
+    publishChange(req, { type: "week", weekKey: targetWeekKey, version: target.version });
+
+    res.set("X-Week-Version", String(source.version));
+    res.json({
+      success: true,
+      from: weekKey,
+      to: targetWeekKey,
+      carried: carried.length,
+      tasks: carried,
+      version: source.version,
+      toVersion: target.version,
+    });
+  } catch (e) { next(e); }
+});
+
+// Per-task writes. Each one touches only the affected day(s) with MongoDB update
+// operators, so two tabs editing different tasks never overwrite each other.
+
+// Add one task to a day. Body: { task: { id?, text, status, ... }, position? }
+app.post("/api/tasks/:weekKey/:dayIndex([0-6])", async (req, res, next) => {
+  try {
+    const { weekKey } = req.params;
+    const dayIndex = Number(req.params.dayIndex);
+    const { task: input, position } = req.body || {};
+
+    if (input && input.seriesId) throw new ValidationError("task.seriesId", "Recurring occurrences cannot be added as tasks");
+    const task = validateTask(input, "task");
+    checkAssignee(req.planner, task.assignee, "task.assignee");
+
+    // upsert + "id not in week" filter: if the week exists and already has the id
+    // (or is at another version than the client sent), the upsert tries to insert
+    // a second (owner, weekKey) doc and hits the unique index
+    let updated;
+    try {
+      updated = await Week.findOneAndUpdate(
+        { owner: req.planner.owner, weekKey, ...notInWeek(task.id), ...versionFilter(req.weekVersion) },
+        { $push: pushTask(dayIndex, task, position), $inc: { version: 1 } },
+        { upsert: true, new: true, projection: { version: 1 } }
+      ).lean();
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+      if (req.weekVersion !== undefined) {
+        const current = await Week.findOne({ owner: req.planner.owner, weekKey }, { version: 1 }).lean();
+        if (((current && current.version) || 0) !== req.weekVersion) return sendVersionConflict(res, req.planner.owner, weekKey);
+      }
+      return res.status(409).json({ error: "A task with this id already exists in the week", code: "DUPLICATE_TASK" });
+    }
+
+    await recordActivity(taskActivity(req, "create", { weekKey, dayIndex, task }));
+    publishChange(req, { type: "create", weekKey, dayIndex, task, position, version: updated.version });
+
+    res.set("X-Week-Version", String(updated.version));
+    res.status(201).json({ success: true, weekKey, dayIndex, task, version: updated.version });
+  } catch (e) { next(e); }
+});
+
+// Move one task to another day and/or week.
+// Body: { toDayIndex, toWeekKey? (default: same week), position? }
+app.post("/api/tasks/:weekKey/:dayIndex([0-6])/:taskId/move", async (req, res, next) => {
+  try {
+    const { weekKey, taskId } = req.params;
+    const dayIndex = Number(req.params.dayIndex);
+    const { toWeekKey = weekKey, position } = req.body || {};
+    const toDayIndex = Number(req.body && req.body.toDayIndex);
+
+    if (!Number.isInteger(toDayIndex) || toDayIndex < 0 || toDayIndex > 6) {
+      throw new ValidationError("toDayIndex", "'toDayIndex' must be between 0 and 6");
+    }
+    if (!isWeekKey(toWeekKey, req.calendar.weekStart)) throw weekKeyError("toWeekKey", req.calendar.weekStart);
+    if (parseOccurrenceId(taskId)) {
+      throw new ValidationError("taskId", "Recurring occurrences cannot be moved");
+    }
+
+    const doc = await Week.findOne({ owner: req.planner.owner, weekKey, [`days.${dayIndex}.id`]: taskId }).lean();
+    if (!doc) return res.status(404).json({ error: "Task not found" });
+    const version = doc.version || 0;
+    if (req.weekVersion !== undefined && req.weekVersion !== version) {
+      return sendVersionConflict(res, req.planner.owner, weekKey);
+    }
+    const task = doc.days[dayIndex].find(t => t.id === taskId);
+    const sameWeek = toWeekKey === weekKey;
+
+    let sourceUpdate;
+    if (sameWeek && toDayIndex === dayIndex) {
+      // same day: only the position changes
+      const order = doc.days[dayIndex].map(t => t.id).filter(id => id !== taskId);
+      order.splice(Number.isInteger(position) ? position : order.length, 0, taskId);
+      sourceUpdate = { $set: { [`days.${dayIndex}`]: reorderTasks(doc.days[dayIndex], order) } };
+    } else if (sameWeek) {
+      // one document: pull and push in a single update
+      sourceUpdate = {
+        $pull: { [`days.${dayIndex}`]: { id: taskId } },
+        $push: pushTask(toDayIndex, task, position),
+      };
+    } else {
+      sourceUpdate = { $pull: { [`days.${dayIndex}`]: { id: taskId } } };
+    }
+
+    let target = null;
+    if (!sameWeek) {
+      // two documents: add to the target first, then remove from the source. If the
+      // source changed meanwhile, the removal fails and the add is undone.
+      try {
+        target = await Week.findOneAndUpdate(
+          { owner: req.planner.owner, weekKey: toWeekKey, ...notInWeek(taskId) },
+          { $push: pushTask(toDayIndex, task, position), $inc: { version: 1 } },
+          { upsert: true, new: true, projection: { version: 1 } }
+        ).lean();
+      } catch (err) {
+        if (err.code === 11000) return res.status(409).json({ error: "The target week already has this task", code: "DUPLICATE_TASK" });
+        throw err;
+      }
+    }
+
+    const updated = await Week.findOneAndUpdate(
+      { owner: req.planner.owner, weekKey, ...versionFilter(version) },
+      { ...sourceUpdate, $inc: { version: 1 } },
+      { new: true, projection: { version: 1 } }
+    ).lean();
+    if (!updated) {
+      if (!sameWeek) {
+        await Week.updateOne(
+          { owner: req.planner.owner, weekKey: toWeekKey },
+          { $pull: { [`days.${toDayIndex}`]: { id: taskId } }, $inc: { version: 1 } }
+        );
+      }
+      return sendVersionConflict(res, req.planner.owner, weekKey);
+    }
+    // a new position on the same day is not a change to the task
+    if (!sameWeek || toDayIndex !== dayIndex) {
+      await recordActivity(taskMoveActivity(req, { weekKey, dayIndex, toWeekKey, toDayIndex, task }));
+    }
+    publishChange(req, {
+      type: "move",
+      weekKey,
+      dayIndex,
+      taskId,
+      toWeekKey,
+      toDayIndex,
+      position,
+      task,
+      version: updated.version,
+      ...(target && { toVersion: target.version }),
+    });
+
+    res.set("X-Week-Version", String(updated.version));
+    res.json({
+      success: true,
+      task,
+      weekKey,
+      dayIndex,
+      toWeekKey,
+      toDayIndex,
+      version: updated.version,
+      // version of the target week after a move between weeks
+      ...(target && { toVersion: target.version }),
+    });
+  } catch (e) { next(e); }
+});
+
+// Reorder the tasks inside one day. Body: { order: [taskId, ...] }
+// The write only applies if the week is unchanged since it was read.
+app.post("/api/tasks/:weekKey/:dayIndex([0-6])/reorder", async (req, res, next) => {
+  try {
+    const { weekKey } = req.params;
+    const dayIndex = Number(req.params.dayIndex);
+    const { order } = req.body || {};
+    if (!Array.isArray(order) || order.some(id => typeof id !== "string")) {
+      throw new ValidationError("order", "'order' must be an array of task ids");
+    }
+
+    const doc = await Week.findOne({ owner: req.planner.owner, weekKey }).lean();
+    const tasks = doc && doc.days && doc.days[dayIndex];
+    if (!Array.isArray(tasks)) return res.status(404).json({ error: "Week or day not found" });
+    const version = doc.version || 0;
+    if (req.weekVersion !== undefined && req.weekVersion !== version) {
+      return sendVersionConflict(res, req.planner.owner, weekKey);
+    }
+
+    const reordered = reorderTasks(tasks, order);
+    const updated = await Week.findOneAndUpdate(
+      { owner: req.planner.owner, weekKey, ...versionFilter(version) },
+      { $set: { [`days.${dayIndex}`]: reordered }, $inc: { version: 1 } },
+      { new: true, projection: { version: 1 } }
+    ).lean();
+    if (!updated) return sendVersionConflict(res, req.planner.owner, weekKey);
+    publishChange(req, { type: "week", weekKey, version: updated.version });
 
-    res.json({ success: true, task: doc.days[dayIndex][taskIndex] });
+    res.set("X-Week-Version", String(updated.version));
+    res.json({ success: true, dayIndex, order: reordered.map(t => t.id), version: updated.version });
   } catch (e) { next(e); }
 });
 
+// Clear a week. The document is emptied rather than removed so its version keeps counting up.
+// Its tasks go to the trash as one item (POST /api/tasks/:weekKey/restore brings them back).
 app.delete("/api/tasks/:weekKey", async (req, res, next) => {
   try {
-    await Week.deleteOne({ weekKey: req.params.weekKey });
-    res.json({ cleared: true });
+    const { weekKey } = req.params;
+    // the copy from before the update holds the tasks that were cleared
+    const previous = await Week.findOneAndUpdate(
+      { owner: req.planner.owner, weekKey, ...versionFilter(req.weekVersion) },
+      { $set: { days: {} }, $inc: { version: 1 } },
+      { new: false, projection: { version: 1, days: 1 } }
+    ).lean();
+
+    if (!previous) {
+      const exists = await Week.exists({ owner: req.planner.owner, weekKey });
+      if (exists) return sendVersionConflict(res, req.planner.owner, weekKey);
+      return res.json({ cleared: true, version: 0 });
+    }
+    const trashed = trashedWeek(req.planner.owner, weekKey, previous.days);
+    if (trashed) await TrashItem.create(trashed);
+    await recordActivity(weekActivity(req, weekKey, previous.days, {}));
+
+    const version = (previous.version || 0) + 1;
+    publishChange(req, { type: "week", weekKey, version });
+    res.set("X-Week-Version", String(version));
+    res.json({ cleared: true, version });
   } catch (e) { next(e); }
 });
 
-// Pages (render existing ejs files if present)
-import axios from "axios"; // make sure this is at the top with other imports
+// Undo: put back the newest trashed copy of a deleted task / cleared week. Restoring
+// what is already back (e.g. an undo sent twice) changes nothing.
+app.post("/api/tasks/:weekKey/:dayIndex([0-6])/:taskId/restore", async (req, res, next) => {
+  try {
+    const { weekKey, taskId } = req.params;
+    const result = await restoreFromTrash(req, { kind: "task", weekKey, itemId: taskId });
+    if (!result) return res.status(404).json({ error: "Task not found in the trash" });
+    res.json({ success: true, ...result });
+  } catch (e) { next(e); }
+});
+
+app.post("/api/tasks/:weekKey/restore", async (req, res, next) => {
+  try {
+    const result = await restoreFromTrash(req, { kind: "week", weekKey: req.params.weekKey });
+    if (!result) return res.status(404).json({ error: "This week has nothing in the trash" });
+    res.json({ success: true, ...result });
+  } catch (e) { next(e); }
+});
+
+// Recurring task series
+app.use("/api/recurring", requireAuth);
+
+app.get("/api/recurring", async (req, res, next) => {
+  try {
+    const series = await RecurringTask.find({ owner: req.user.id }).sort({ createdAt: 1 }).lean();
+    res.json(series);
+  } catch (e) { next(e); }
+});
+
+// a longer text would fail the model's maxlength with a 500
+const seriesTextError = () => new ValidationError("text", `'text' must be at most ${SERIES_TEXT_MAX} characters`);
+
+app.post("/api/recurring", async (req, res, next) => {
+  try {
+    const { text, rule: ruleInput } = req.body || {};
+    if (typeof text !== "string" || !text.trim()) return res.status(400).json({ error: "'text' is required" });
+    if (text.trim().length > SERIES_TEXT_MAX) throw seriesTextError();
+    const { rule, error } = validateRule(ruleInput);
+    if (error) return res.status(400).json({ error });
+
+    const series = await RecurringTask.create({ owner: req.user.id, text: text.trim(), rule });
+    publishChange(req, { type: "planner" });
+    res.status(201).json(series);
+  } catch (e) { next(e); }
+});
+
+// Change the whole series. Occurrence exceptions are kept.
+app.put("/api/recurring/:id", async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: "Series not found" });
+    const { text, rule: ruleInput } = req.body || {};
+    const update = {};
+    if (text !== undefined) {
+      if (typeof text !== "string" || !text.trim()) return res.status(400).json({ error: "'text' must be a non-empty string" });
+      if (text.trim().length > SERIES_TEXT_MAX) throw seriesTextError();
+      update.text = text.trim();
+    }
+    if (ruleInput !== undefined) {
+      const { rule, error } = validateRule(ruleInput);
+      if (error) return res.status(400).json({ error });
+      update.rule = rule;
+    }
+
+    const series = await RecurringTask.findOneAndUpdate(
+      { _id: req.params.id, owner: req.user.id },
+      { $set: update },
+      { new: true, runValidators: true }
+    ).lean();
+    if (!series) return res.status(404).json({ error: "Series not found" });
+    publishChange(req, { type: "planner" });
+    res.json(series);
+  } catch (e) { next(e); }
+});
+
+app.delete("/api/recurring/:id", async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: "Series not found" });
+    const result = await RecurringTask.deleteOne({ _id: req.params.id, owner: req.user.id });
+    if (!result.deletedCount) return res.status(404).json({ error: "Series not found" });
+    publishChange(req, { type: "planner" });
+    res.json({ success: true });
+  } catch (e) { next(e); }
+});
+
+// Notes API
+app.use("/api/notes", requireAuth);
+
+app.get("/api/notes", async (req, res, next) => {
+  try {
+    const filter = { owner: req.user.id };
+    if (typeof req.query.tag === "string" && req.query.tag) filter.tags = req.query.tag.toLowerCase();
+    const notes = await Note.find(filter).sort({ pinned: -1, updatedAt: -1 }).lean();
+    res.json(notes);
+  } catch (e) { next(e); }
+});
+
+app.post("/api/notes", async (req, res, next) => {
+  try {
+    const { fields, error } = pickNoteFields(req.body);
+    if (error) return res.status(400).json({ error });
+    if (!fields.title && !fields.body) {
+      return res.status(400).json({ error: "A note needs a title or a body" });
+    }
+    const note = await Note.create({ ...fields, owner: req.user.id });
+    await recordActivity(noteActivity(req, "create", note));
+    res.status(201).json(note);
+  } catch (e) { next(e); }
+});
+
+// Bulk create, used once by the notes page to migrate notes kept in localStorage
+app.post("/api/notes/import", async (req, res, next) => {
+  try {
+    const { notes } = req.body || {};
+    if (!Array.isArray(notes) || notes.length > 500) {
+      return res.status(400).json({ error: "Invalid payload: 'notes' must be an array of at most 500 notes" });
+    }
+    const docs = [];
+    for (const raw of notes) {
+      const { fields, error } = pickNoteFields(raw);
+      if (error) return res.status(400).json({ error });
+      if (fields.title || fields.body) docs.push({ ...fields, owner: req.user.id });
+    }
+    const created = docs.length ? await Note.insertMany(docs) : [];
+    await recordActivity(created.map(note => noteActivity(req, "import", note)));
+    res.status(201).json({ success: true, imported: created.length });
+  } catch (e) { next(e); }
+});
+
+app.put("/api/notes/:id", async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: "Note not found" });
+    const { fields, error } = pickNoteFields(req.body);
+    if (error) return res.status(400).json({ error });
+    const before = await Note.findOne({ _id: req.params.id, owner: req.user.id }).lean();
+    if (!before) return res.status(404).json({ error: "Note not found" });
+    const note = await Note.findOneAndUpdate(
+      { _id: req.params.id, owner: req.user.id },
+      { $set: fields },
+      { new: true, runValidators: true }
+    ).lean();
+    if (!note) return res.status(404).json({ error: "Note not found" });
+    await recordActivity(noteActivity(req, "update", note, before));
+    res.json(note);
+  } catch (e) { next(e); }
+});
+
+// Deleted notes go to the trash; POST /api/notes/:id/restore undoes the delete
+app.delete("/api/notes/:id", async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: "Note not found" });
+    const note = await Note.findOneAndDelete({ _id: req.params.id, owner: req.user.id }).lean();
+    if (!note) return res.status(404).json({ error: "Note not found" });
+    await TrashItem.create(trashedNote(req.user.id, note));
+    await recordActivity(noteActivity(req, "delete", note));
+    res.json({ success: true });
+  } catch (e) { next(e); }
+});
+
+app.post("/api/notes/:id/restore", loadCalendar, async (req, res, next) => {
+  try {
+    const result = await restoreFromTrash(req, { kind: "note", itemId: req.params.id });
+    if (!result) return res.status(404).json({ error: "Note not found in the trash" });
+    res.json({ success: true, ...result });
+  } catch (e) { next(e); }
+});
+
+// Trash bin: deleted tasks, cleared weeks and deleted notes (lib/trash.js). A board
+// has a trash of its own for its tasks.
+app.use("/api/trash", requireAuth, loadCalendar, loadPlanner);
+
+// Put a trashed item back where it came from. The item is taken out of the trash first,
+// so two restores of it can't both run; if putting it back fails it goes back in.
+// Returns what was restored, or null if the trash has no matching item.
+async function restoreFromTrash(req, filter) {
+  const owner = req.planner ? req.planner.owner : req.user.id;
+  const item = await TrashItem.findOneAndDelete({ ...filter, owner }, { sort: { createdAt: -1 } }).lean();
+  if (!item) return null;
+  let result;
+  try {
+    result = await restoreItem(owner, item, req.calendar.weekStart);
+  } catch (err) {
+    await TrashItem.create(item).catch(e => console.error("Could not put an item back in the trash:", e));
+    throw err;
+  }
+
+  const { tasks, ...restored } = result;
+  if (result.kind === "note") await recordActivity(noteActivity(req, "restore", result.note));
+  else if (result.kind === "task") await recordActivity(taskActivity(req, "restore", result));
+  else await recordActivity(tasks.map(t => taskActivity(req, "restore", t)));
+  if (result.kind === "task") publishChange(req, { type: "week", weekKey: result.weekKey });
+  else if (result.kind === "week") {
+    for (const weekKey of new Set(tasks.map(t => t.weekKey))) publishChange(req, { type: "week", weekKey });
+  }
+  return restored;
+}
+
+async function restoreItem(owner, item, weekStart) {
+  if (item.kind === "note") {
+    const exists = await Note.exists({ _id: item.data._id });
+    if (!exists) await Note.create({ ...item.data, owner });
+    return { kind: "note", note: item.data };
+  }
+
+  if (item.kind === "task") {
+    // filed by date, in case the week start changed since the delete
+    const date = trashedTaskDate(item);
+    const weekKey = weekKeyOf(date, weekStart);
+    const dayIndex = dayIndexIn(date, weekStart);
+    const task = item.data;
+    let updated;
+    try {
+      updated = await Week.findOneAndUpdate(
+        { owner, weekKey, ...notInWeek(task.id) },
+        { $push: pushTask(dayIndex, task, item.position), $inc: { version: 1 } },
+        { upsert: true, new: true, projection: { version: 1 } }
+      ).lean();
+    } catch (err) {
+      if (err.code !== 11000) throw err; // the week has the task already
+    }
+    return { kind: "task", weekKey, dayIndex, task, ...(updated && { version: updated.version }) };
+  }
+
+  // a cleared week: its tasks are added back after whatever the week holds now
+  const tasks = [];
+  for (const { weekKey, days } of regroupWeeks([{ weekKey: item.weekKey, days: item.data.days }], weekStart)) {
+    const items = Object.entries(days).flatMap(([dayIndex, list]) => list.map(task => ({ dayIndex, task })));
+    const added = await importIntoWeek(owner, weekKey, items);
+    tasks.push(...added.map(({ dayIndex, task }) => ({ weekKey, dayIndex, task })));
+  }
+  return { kind: "week", weekKey: item.weekKey, restored: tasks.length, tasks };
+}
+
+app.get("/api/trash", async (req, res, next) => {
+  try {
+    const items = await TrashItem.find({ owner: req.planner.owner }, { data: 0 }).sort({ createdAt: -1 }).limit(500).lean();
+    res.json(items.map(describeTrashItem));
+  } catch (e) { next(e); }
+});
+
+app.post("/api/trash/:id/restore", async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: "Item not found" });
+    const result = await restoreFromTrash(req, { _id: req.params.id });
+    if (!result) return res.status(404).json({ error: "Item not found" });
+    res.json({ success: true, ...result });
+  } catch (e) { next(e); }
+});
+
+// Purge one item, or (without an id) empty the trash
+app.delete("/api/trash/:id", async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: "Item not found" });
+    const result = await TrashItem.deleteOne({ _id: req.params.id, owner: req.planner.owner });
+    if (!result.deletedCount) return res.status(404).json({ error: "Item not found" });
+    res.json({ success: true });
+  } catch (e) { next(e); }
+});
+
+app.delete("/api/trash", async (req, res, next) => {
+  try {
+    const result = await TrashItem.deleteMany({ owner: req.planner.owner });
+    res.json({ success: true, purged: result.deletedCount });
+  } catch (e) { next(e); }
+});
+
+// Activity log: who changed which task or note, when, and how (lib/activity.js). With
+// X-Planner-Board, the log of that board's tasks.
+app.use("/api/activity", requireAuth, loadPlanner);
+
+const ACTIVITY_LIMIT = 50;
+const ACTIVITY_LIMIT_MAX = 200;
+
+// ?entity=task|note &entityId= &action= &source=web|api &since=&until= (ISO times)
+// &before=<entry id> (next page) &limit= (default 50, max 200); newest first
+app.get("/api/activity", async (req, res, next) => {
+  try {
+    const { entity, entityId, action, source, since, until, before, limit } = req.query;
+    const filter = { owner: req.planner.owner };
+    if (entity !== undefined) {
+      if (!ACTIVITY_ENTITIES.includes(entity)) throw new ValidationError("entity", `'entity' must be one of ${ACTIVITY_ENTITIES.join(", ")}`);
+      filter.entity = entity;
+    }
+    if (entityId !== undefined) {
+      if (typeof entityId !== "string" || !entityId) throw new ValidationError("entityId", "'entityId' must be a task or note id");
+      filter.entityId = entityId;
+    }
+    if (action !== undefined) {
+      if (!ACTIVITY_ACTIONS.includes(action)) throw new ValidationError("action", `'action' must be one of ${ACTIVITY_ACTIONS.join(", ")}`);
+      filter.action = action;
+    }
+    if (source !== undefined) {
+      if (!ACTIVITY_SOURCES.includes(source)) throw new ValidationError("source", `'source' must be one of ${ACTIVITY_SOURCES.join(", ")}`);
+      filter.source = source;
+    }
+    for (const [field, value, op] of [["since", since, "$gte"], ["until", until, "$lt"]]) {
+      if (value === undefined) continue;
+      if (typeof value !== "string" || Number.isNaN(Date.parse(value))) {
+        throw new ValidationError(field, `'${field}' must be a date or an ISO timestamp`);
+      }
+      filter.createdAt = { ...filter.createdAt, [op]: new Date(value) };
+    }
+    if (before !== undefined) {
+      if (!mongoose.isValidObjectId(before)) throw new ValidationError("before", "'before' must be an entry id");
+      filter._id = { $lt: before };
+    }
+    let size = ACTIVITY_LIMIT;
+    if (limit !== undefined) {
+      size = Number(limit);
+      if (!Number.isInteger(size) || size < 1 || size > ACTIVITY_LIMIT_MAX) {
+        throw new ValidationError("limit", `'limit' must be between 1 and ${ACTIVITY_LIMIT_MAX}`);
+      }
+    }
+
+    // one extra entry tells whether there is another page
+    const items = await Activity.find(filter).sort({ _id: -1 }).limit(size + 1).lean();
+    const page = items.slice(0, size);
+    res.json({
+      entries: page.map(describeActivity),
+      next: items.length > size ? String(page[page.length - 1]._id) : null,
+    });
+  } catch (e) { next(e); }
+});
+
+// Shared boards (lib/boards.js): a planner its owner shares with invited members. Their
+// tasks go through /api/tasks (and /api/trash, /api/activity) with X-Planner-Board.
+app.use("/api/boards", requireAuth);
+
+// { id, name, role, weekStart, memberCount } of a board, as `userId` sees it
+function describeBoard(board, userId) {
+  return {
+    id: String(board._id),
+    name: board.name,
+    role: boardRole(board, userId),
+    weekStart: board.weekStart,
+    memberCount: board.members.length + 1,
+  };
+}
+
+// Everyone on the board with their role, owner first
+async function boardMembers(board) {
+  const users = await User.find({ _id: { $in: boardUserIds(board) } }, { username: 1 }).lean();
+  const names = new Map(users.map(u => [String(u._id), u.username]));
+  return [
+    { id: String(board.owner), username: names.get(String(board.owner)) || "", role: "owner", joinedAt: board.createdAt },
+    ...board.members.map(m => ({ id: String(m.user), username: names.get(String(m.user)) || "", role: m.role, joinedAt: m.joinedAt })),
+  ];
+}
+
+// Remove a board with its weeks, trash, activity and pending invites, and end the
+// live streams open on it
+async function deleteBoardData(boardId) {
+  await Promise.all([
+    Week.deleteMany({ owner: boardId }),
+    TrashItem.deleteMany({ owner: boardId }),
+    Activity.deleteMany({ owner: boardId }),
+    BoardInvite.deleteMany({ board: boardId }),
+  ]);
+  await Board.deleteOne({ _id: boardId });
+  closeStreams(boardId);
+}
+
+// Tasks assigned to a member who left are unassigned
+async function unassignMember(boardId, userId) {
+  for (let i = 0; i < 7; i++) {
+    await Week.updateMany(
+      { owner: boardId, [`days.${i}.assignee`]: userId },
+      { $unset: { [`days.${i}.$[t].assignee`]: "" }, $inc: { version: 1 } },
+      { arrayFilters: [{ "t.assignee": userId }] }
+    );
+  }
+}
+
+app.get("/api/boards", async (req, res, next) => {
+  try {
+    const boards = await Board.find(memberFilter(req.user.id)).sort({ createdAt: 1 }).lean();
+    res.json(boards.map(board => describeBoard(board, req.user.id)));
+  } catch (e) { next(e); }
+});
+
+// Body: { name }. The board's weeks start on the creator's week start.
+app.post("/api/boards", loadCalendar, async (req, res, next) => {
+  try {
+    const name = pickBoardName(req.body);
+    const board = await Board.create({ name, owner: req.user.id, weekStart: req.calendar.weekStart });
+    res.status(201).json(describeBoard(board.toObject(), req.user.id));
+  } catch (e) { next(e); }
+});
+
+// Accept an emailed invitation. Body: { token }. The invite must have been sent to the
+// signed-in user's email address; it works once.
+app.post("/api/boards/invites/accept", async (req, res, next) => {
+  try {
+    const { token } = req.body || {};
+    if (typeof token !== "string" || !token) throw new ValidationError("token", "'token' is required");
+
+    const invite = await BoardInvite.findOne({ tokenHash: hashToken(token), expiresAt: { $gt: new Date() } }).lean();
+    if (!invite) return res.status(404).json({ error: "This invitation is invalid or has expired", code: "INVITE_INVALID" });
+    const user = await User.findById(req.user.id, { email: 1 }).lean();
+    if (!user || normaliseEmail(user.email) !== invite.email) {
+      res.set("X-Auth-Error", "INVITE_EMAIL_MISMATCH");
+      return res.status(403).json({
+        error: "This invitation was sent to another email address. Sign in with that account to accept it.",
+        code: "INVITE_EMAIL_MISMATCH",
+      });
+    }
+
+    await BoardInvite.deleteOne({ _id: invite._id });
+    // a member who is invited again keeps their role
+    const board = await Board.findOneAndUpdate(
+      { _id: invite.board, owner: { $ne: req.user.id }, "members.user": { $ne: req.user.id } },
+      { $push: { members: { user: req.user.id, role: invite.role } } },
+      { new: true }
+    ).lean() || await Board.findById(invite.board).lean();
+    if (!board) return res.status(404).json({ error: "Board not found", code: "BOARD_NOT_FOUND" });
+    res.json({ success: true, board: describeBoard(board, req.user.id) });
+  } catch (e) { next(e); }
+});
 
-app.get("/", async (req, res) => {
+// :boardId routes get req.board and req.boardRole; boards the user isn't on are 404
+app.param("boardId", async (req, res, next, boardId) => {
   try {
-    const response = await axios.get("https://api.api-ninjas.com/v1/quotes", {
-      headers: { "X-Api-Key": process.env.API },
+    const board = mongoose.isValidObjectId(boardId) ? await Board.findById(boardId).lean() : null;
+    const role = boardRole(board, req.user.id);
+    if (!role) return res.status(404).json({ error: "Board not found", code: "BOARD_NOT_FOUND" });
+    req.board = board;
+    req.boardRole = role;
+    next();
+  } catch (e) { next(e); }
+});
+
+function requireBoardOwner(req, res, next) {
+  if (req.boardRole !== "owner") return sendRoleForbidden(res, "Only the owner of the board can do this");
+  next();
+}
+
+// The board with its members; its owner also gets the pending invites
+app.get("/api/boards/:boardId", async (req, res, next) => {
+  try {
+    const { board } = req;
+    const invites = req.boardRole === "owner"
+      ? await BoardInvite.find({ board: board._id, expiresAt: { $gt: new Date() } }).sort({ createdAt: 1 }).lean()
+      : null;
+    res.json({
+      ...describeBoard(board, req.user.id),
+      members: await boardMembers(board),
+      ...(invites && { invites: invites.map(i => ({ id: String(i._id), email: i.email, role: i.role, expiresAt: i.expiresAt })) }),
     });
+  } catch (e) { next(e); }
+});
+
+// Rename. Body: { name }
+app.put("/api/boards/:boardId", requireBoardOwner, async (req, res, next) => {
+  try {
+    const name = pickBoardName(req.body);
+    const board = await Board.findByIdAndUpdate(req.board._id, { $set: { name } }, { new: true }).lean();
+    if (!board) return res.status(404).json({ error: "Board not found", code: "BOARD_NOT_FOUND" });
+    res.json(describeBoard(board, req.user.id));
+  } catch (e) { next(e); }
+});
+
+app.delete("/api/boards/:boardId", requireBoardOwner, async (req, res, next) => {
+  try {
+    await deleteBoardData(req.board._id);
+    res.json({ success: true });
+  } catch (e) { next(e); }
+});
+
+// Invite someone by email. Body: { email, role: "editor" | "viewer" }. A newer invite
+// to the same address replaces the old one.
+app.post("/api/boards/:boardId/invites", requireBoardOwner, async (req, res, next) => {
+  try {
+    const { email, role } = pickInvite(req.body);
+    const { token, tokenHash } = newOpaqueToken();
+    await BoardInvite.deleteMany({ board: req.board._id, email });
+    const invite = await BoardInvite.create({
+      board: req.board._id,
+      email,
+      role,
+      invitedBy: req.user.id,
+      tokenHash,
+      expiresAt: new Date(Date.now() + INVITE_TTL_MS),
+    });
+
+    const link = `${appUrl(req)}/boards/join?token=${token}`;
+    await sendMail({
+      to: email,
+      subject: `${req.user.username} invited you to "${req.board.name}"`,
+      text: `Hi,\n\n${req.user.username} invited you to the shared board "${req.board.name}" as ${role === "editor" ? "an editor" : "a viewer"}.\n\n` +
+        `Open this link and sign in (or sign up) with this email address to join:\n${link}\n\n` +
+        `The link works once and expires in ${INVITE_TTL_MS / (24 * 60 * 60 * 1000)} days.`,
+    });
+    res.status(201).json({ id: String(invite._id), email, role, expiresAt: invite.expiresAt });
+  } catch (e) { next(e); }
+});
+
+app.delete("/api/boards/:boardId/invites/:inviteId", requireBoardOwner, async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.inviteId)) return res.status(404).json({ error: "Invite not found" });
+    const result = await BoardInvite.deleteOne({ _id: req.params.inviteId, board: req.board._id });
+    if (!result.deletedCount) return res.status(404).json({ error: "Invite not found" });
+    res.json({ success: true });
+  } catch (e) { next(e); }
+});
+
+// Change a member's role. Body: { role: "editor" | "viewer" }
+app.put("/api/boards/:boardId/members/:userId", requireBoardOwner, async (req, res, next) => {
+  try {
+    const role = pickMemberRole(req.body && req.body.role);
+    if (!mongoose.isValidObjectId(req.params.userId)) return res.status(404).json({ error: "Member not found" });
+    const result = await Board.updateOne(
+      { _id: req.board._id, "members.user": req.params.userId },
+      { $set: { "members.$.role": role } }
+    );
+    if (!result.matchedCount) return res.status(404).json({ error: "Member not found" });
+    // their open planners reconnect with the new role
+    closeStreams(req.board._id, req.params.userId);
+    res.json({ success: true, id: req.params.userId, role });
+  } catch (e) { next(e); }
+});
+
+// Remove a member; members may remove themselves (leave the board). The owner can't
+// leave, they delete the board instead.
+app.delete("/api/boards/:boardId/members/:userId", async (req, res, next) => {
+  try {
+    const { userId } = req.params;
+    if (req.boardRole !== "owner" && userId !== req.user.id) {
+      return sendRoleForbidden(res, "Only the owner of the board can remove other members");
+    }
+    if (userId === String(req.board.owner)) {
+      throw new ValidationError("userId", "The owner cannot leave the board; delete it instead");
+    }
+    if (!mongoose.isValidObjectId(userId)) return res.status(404).json({ error: "Member not found" });
+    const result = await Board.updateOne({ _id: req.board._id }, { $pull: { members: { user: userId } } });
+    if (!result.modifiedCount) return res.status(404).json({ error: "Member not found" });
+    await unassignMember(req.board._id, userId);
+    closeStreams(req.board._id, userId);
+    publish(req.board._id, { type: "planner" }); // their tasks were unassigned
+    res.json({ success: true });
+  } catch (e) { next(e); }
+});
+
+// Quotes API: the quote of the day, plus each user's favourites and own quotes
+// "Today" is the signed-in user's day when we know their timezone
+function todaysQuote(timezone) {
+  return quoteOfTheDay(todayIn(timezone || DEFAULT_TIMEZONE));
+}
+
+// { text, author } from a request body, trimmed; throws ValidationError
+function readQuoteInput(body) {
+  const { text, author = "" } = body || {};
+  if (typeof text !== "string" || !text.trim()) throw new ValidationError("text", "'text' is required");
+  if (text.trim().length > QUOTE_TEXT_MAX) throw new ValidationError("text", `'text' cannot exceed ${QUOTE_TEXT_MAX} characters`);
+  if (typeof author !== "string") throw new ValidationError("author", "'author' must be a string");
+  if (author.trim().length > QUOTE_AUTHOR_MAX) throw new ValidationError("author", `'author' cannot exceed ${QUOTE_AUTHOR_MAX} characters`);
+  return { text: text.trim(), author: author.trim() };
+}
+
+app.get("/api/quotes/today", (req, res) => {
+  res.json(todaysQuote());
+});
+
+app.use("/api/quotes", requireAuth);
+
+app.get("/api/quotes", async (req, res, next) => {
+  try {
+    const [favorites, mine] = await Promise.all([
+      QuoteFavorite.find({ owner: req.user.id }).sort({ createdAt: -1 }).lean(),
+      Quote.find({ owner: req.user.id }).sort({ createdAt: -1 }).lean(),
+    ]);
+    res.json({ favorites, mine });
+  } catch (e) { next(e); }
+});
 
-    const data = response.data[0]; // API returns array with one quote
-    res.render("index.ejs", { content: data });
-  } 
-  catch (error) {
-    console.error(error);
-    res.render("index.ejs", {
-      content: { quote: "Failed to load quote 😢", author: "Unknown" },
+app.post("/api/quotes", async (req, res, next) => {
+  try {
+    const quote = await Quote.create({ ...readQuoteInput(req.body), owner: req.user.id });
+    res.status(201).json(quote);
+  } catch (e) { next(e); }
+});
+
+// Star a quote by its words (the quote of the day or one of the user's own);
+// starring the same quote again is a no-op
+app.post("/api/quotes/favorites", async (req, res, next) => {
+  try {
+    const fields = readQuoteInput(req.body);
+    const id = quoteId(fields);
+    const favorite = await QuoteFavorite.findOneAndUpdate(
+      { owner: req.user.id, quoteId: id },
+      { $setOnInsert: { ...fields, owner: req.user.id, quoteId: id } },
+      { upsert: true, new: true }
+    ).lean();
+    res.status(201).json(favorite);
+  } catch (e) { next(e); }
+});
+
+app.delete("/api/quotes/favorites/:quoteId", async (req, res, next) => {
+  try {
+    const result = await QuoteFavorite.deleteOne({ owner: req.user.id, quoteId: req.params.quoteId });
+    if (!result.deletedCount) return res.status(404).json({ error: "Favourite not found" });
+    res.json({ success: true });
+  } catch (e) { next(e); }
+});
+
+app.delete("/api/quotes/:id", async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: "Quote not found" });
+    const result = await Quote.deleteOne({ _id: req.params.id, owner: req.user.id });
+    if (!result.deletedCount) return res.status(404).json({ error: "Quote not found" });
+    res.json({ success: true });
+  } catch (e) { next(e); }
+});
+
+// Report API: status counts over a date range, built from the user's weeks
+
+// Status changes made on the days [from, to] in `timeZone`, timed with the activity log
+async function loadStatusTimings(owner, from, to, timeZone) {
+  // every timezone's day lies within a day either side of the UTC one
+  const createdAt = { $gte: new Date(`${addDays(from, -1)}T00:00:00Z`), $lt: new Date(`${addDays(to, 2)}T00:00:00Z`) };
+  const taskIds = await Activity.distinct("entityId", { owner, entity: "task", "changes.field": "status", createdAt });
+  if (!taskIds.length) return buildStatusTimings([], from, to, timeZone);
+
+  const entries = await Activity.find(
+    {
+      owner,
+      entity: "task",
+      entityId: { $in: taskIds },
+      createdAt: { $lt: createdAt.$lt },
+      $or: [{ action: { $in: ["create", "import"] } }, { "changes.field": "status" }],
+    },
+    { entityId: 1, action: 1, changes: 1, createdAt: 1 }
+  ).sort({ createdAt: 1, _id: 1 }).lean();
+  return buildStatusTimings(entries, from, to, timeZone);
+}
+
+app.get("/api/report", requireAuth, loadCalendar, async (req, res, next) => {
+  try {
+    const { from, to } = req.query;
+    if (!isDateKey(from) || !isDateKey(to)) {
+      return res.status(400).json({ error: "Query params 'from' and 'to' must be dates in YYYY-MM-DD format" });
+    }
+    if (from > to) return res.status(400).json({ error: "'from' must not be after 'to'" });
+    if (daysBetween(from, to) > 366) return res.status(400).json({ error: "Range cannot exceed 366 days" });
+
+    // a week starting up to 6 days before `from` can still hold days inside the range
+    const [weeks, sessions, series] = await Promise.all([
+      Week.find(
+        { owner: req.user.id, weekKey: { $gte: addDays(from, -6), $lte: to } },
+        { weekKey: 1, days: 1 }
+      ).lean(),
+      FocusSession.find({ owner: req.user.id, date: { $gte: from, $lte: to } }).lean(),
+      findSeriesInRange(req.user.id, from, to),
+    ]);
+
+    const allWeeks = [...weeks, ...expandIntoWeeks(series, from, to)];
+    res.json({
+      ...buildReport(allWeeks, from, to),
+      focus: buildFocusReport(sessions),
+      statusTimings: await loadStatusTimings(req.user.id, from, to, req.calendar.timezone || DEFAULT_TIMEZONE),
     });
+  } catch (e) { next(e); }
+});
+
+// Search API: full-text search over the tasks of stored weeks and over notes
+app.use("/api/search", requireAuth);
+
+const SEARCH_TASK_LIMIT = 50;
+const SEARCH_NOTE_LIMIT = 20;
+const SEARCH_TYPES = ["all", "tasks", "notes"];
+
+// ?q=&type=all|tasks|notes&status=&tag=&from=&to=
+// status applies to tasks only, so passing it leaves notes out; from/to bound
+// a task's date and a note's last update.
+app.get("/api/search", async (req, res, next) => {
+  try {
+    const { q, status, tag, from, to, type = "all" } = req.query;
+    if (typeof q !== "string" || !q.trim()) throw new ValidationError("q", "'q' is required");
+    if (q.length > QUERY_MAX) throw new ValidationError("q", `'q' must be at most ${QUERY_MAX} characters`);
+    const query = parseQuery(q);
+    if (isEmptyQuery(query)) throw new ValidationError("q", "'q' needs at least one word that isn't excluded");
+    if (!SEARCH_TYPES.includes(type)) throw new ValidationError("type", `'type' must be one of: ${SEARCH_TYPES.join(", ")}`);
+    if (status !== undefined && !STATUSES.includes(status)) {
+      throw new ValidationError("status", `'status' must be one of: ${STATUSES.join(", ")}`);
+    }
+    if (tag !== undefined && (typeof tag !== "string" || !tag.trim())) throw new ValidationError("tag", "'tag' must be a non-empty string");
+    if (from !== undefined && !isDateKey(from)) throw new ValidationError("from", "'from' must be a date in YYYY-MM-DD format");
+    if (to !== undefined && !isDateKey(to)) throw new ValidationError("to", "'to' must be a date in YYYY-MM-DD format");
+    if (from && to && from > to) throw new ValidationError("from", "'from' must not be after 'to'");
+
+    const owner = req.user.id;
+    const wantTag = tag && tag.trim().toLowerCase();
+    const result = { q, tasks: [], notes: [] };
+
+    if (type !== "notes") {
+      const filter = { owner, $text: { $search: weekSearch(query) } };
+      // a week starting up to 6 days before `from` can still hold days inside the range
+      if (from || to) filter.weekKey = { ...(from && { $gte: addDays(from, -6) }), ...(to && { $lte: to }) };
+      const weeks = await Week.find(filter, { weekKey: 1, days: 1 }).lean();
+
+      for (const { weekKey, days } of weeks) {
+        for (let dayIndex = 0; dayIndex < 7; dayIndex++) {
+          const date = addDays(weekKey, dayIndex);
+          if ((from && date < from) || (to && date > to)) continue;
+          for (const task of (days && days[dayIndex]) || []) {
+            if (status && (task.status || "No status") !== status) continue;
+            if (wantTag && !(task.tags || []).includes(wantTag)) continue;
+            const score = matchTask(task, query);
+            if (score) result.tasks.push({ weekKey, dayIndex, date, task, score });
+          }
+        }
+      }
+      // best match first, then the most recent day
+      result.tasks.sort((a, b) => b.score - a.score || b.date.localeCompare(a.date));
+      result.tasks = result.tasks.slice(0, SEARCH_TASK_LIMIT);
+    }
+
+    if (type !== "tasks" && !status) {
+      const filter = { owner, $text: { $search: q } };
+      if (wantTag) filter.tags = wantTag;
+      if (from || to) {
+        filter.updatedAt = {
+          ...(from && { $gte: new Date(from + "T00:00:00Z") }),
+          ...(to && { $lt: new Date(addDays(to, 1) + "T00:00:00Z") }),
+        };
+      }
+      const notes = await Note.find(filter, { score: { $meta: "textScore" } })
+        .sort({ score: { $meta: "textScore" } })
+        .limit(SEARCH_NOTE_LIMIT)
+        .lean();
+      result.notes = notes.map((n) => ({
+        _id: n._id,
+        title: n.title,
+        snippet: snippet(n.body || n.title, query),
+        tags: n.tags,
+        pinned: n.pinned,
+        updatedAt: n.updatedAt,
+        score: n.score,
+      }));
+    }
+
+    res.json(result);
+  } catch (e) { next(e); }
+});
+
+// iCalendar export / import of planner tasks
+app.use("/api/ical", requireAuth, loadCalendar);
+
+const MAX_ICAL_IMPORT = 1000;
+
+// ?timeZone=, else the user's own timezone (if they set one)
+function checkTimeZone(timeZone, fallback) {
+  if (timeZone === undefined) return fallback || undefined;
+  if (!isTimeZone(timeZone)) throw new ValidationError("timeZone", "'timeZone' must be an IANA time zone such as Europe/Berlin");
+  return timeZone;
+}
+
+// ?week=<weekKey> or ?from=&to= (at most 366 days), &type=todo|event
+app.get("/api/ical/export", async (req, res, next) => {
+  try {
+    const { week, type = "todo" } = req.query;
+    let { from, to } = req.query;
+    if (week !== undefined) {
+      if (!isWeekKey(week, req.calendar.weekStart)) throw weekKeyError("week", req.calendar.weekStart);
+      from = week;
+      to = addDays(week, 6);
+    }
+    if (!isDateKey(from)) throw new ValidationError("from", "Pass 'week', or 'from' and 'to' as dates in YYYY-MM-DD format");
+    if (!isDateKey(to)) throw new ValidationError("to", "'to' must be a date in YYYY-MM-DD format");
+    if (from > to) throw new ValidationError("from", "'from' must not be after 'to'");
+    if (daysBetween(from, to) > 366) throw new ValidationError("to", "Range cannot exceed 366 days");
+    if (type !== "todo" && type !== "event") throw new ValidationError("type", "'type' must be 'todo' or 'event'");
+
+    const [weeks, series] = await Promise.all([
+      Week.find(
+        { owner: req.user.id, weekKey: { $gte: addDays(from, -6), $lte: to } },
+        { weekKey: 1, days: 1 }
+      ).lean(),
+      findSeriesInRange(req.user.id, from, to),
+    ]);
+
+    const entries = [];
+    for (const { weekKey, days } of [...weeks, ...expandIntoWeeks(series, from, to)]) {
+      for (const [dayIndex, tasks] of Object.entries(days || {})) {
+        const date = addDays(weekKey, Number(dayIndex));
+        if (date < from || date > to || !Array.isArray(tasks)) continue;
+        tasks.forEach(task => entries.push({ task, date }));
+      }
+    }
+    // stable sort: tasks keep their order within a day
+    entries.sort((a, b) => a.date.localeCompare(b.date));
+
+    res.set("Content-Type", "text/calendar; charset=utf-8");
+    res.set("Content-Disposition", `attachment; filename="planner-${from}-to-${to}.ics"`);
+    res.send(buildCalendar(entries, { type }));
+  } catch (e) { next(e); }
+});
+
+// Append `items` ([{ dayIndex, task }]) to a week, skipping task ids it already has.
+// Retries when the week changes between the read and the write. Returns the items added.
+async function importIntoWeek(owner, weekKey, items) {
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const doc = await Week.findOne({ owner, weekKey }, { days: 1, version: 1 }).lean();
+    const existing = new Set(
+      Object.values((doc && doc.days) || {}).flat().map(t => t && t.id)
+    );
+    const fresh = items.filter(({ task }) => !existing.has(task.id));
+    if (!fresh.length) return [];
+
+    const push = {};
+    for (const { dayIndex, task } of fresh) {
+      push[`days.${dayIndex}`] = push[`days.${dayIndex}`] || { $each: [] };
+      push[`days.${dayIndex}`].$each.push(task);
+    }
+    try {
+      // no week yet: the upsert creates it; a week created meanwhile hits the unique index
+      const updated = await Week.findOneAndUpdate(
+        { owner, weekKey, ...versionFilter((doc && doc.version) || 0) },
+        { $push: push, $inc: { version: 1 } },
+        { upsert: !doc, new: true, projection: { _id: 1 } }
+      ).lean();
+      if (updated) return fresh;
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+    }
+  }
+  throw new Error(`Week ${weekKey} kept changing while tasks were added to it`);
+}
+
+// Body: the .ics file (text/calendar). UTC times are placed on the local day in
+// ?timeZone=<IANA zone>, or else in the user's timezone setting. Tasks are matched by
+// id, so importing a file twice (or re-importing an export) skips what is already there.
+app.post(
+  "/api/ical/import",
+  express.text({ type: ["text/calendar", "text/plain"], limit: "2mb" }),
+  async (req, res, next) => {
+    try {
+      if (typeof req.body !== "string" || !req.body.includes("BEGIN:VCALENDAR")) {
+        throw new ValidationError("body", "Send an iCalendar file with Content-Type text/calendar");
+      }
+      const timeZone = checkTimeZone(req.query.timeZone, req.calendar.timezone);
+      const { items, skipped } = parseCalendar(req.body, { timeZone });
+      if (items.length > MAX_ICAL_IMPORT) {
+        throw new ValidationError("body", `A file can hold at most ${MAX_ICAL_IMPORT} tasks`);
+      }
+
+      // occurrences of a recurring series the user still has are already in the planner
+      const occurrenceSeries = items
+        .map(item => item.plannerId && parseOccurrenceId(item.plannerId))
+        .filter(Boolean)
+        .map(o => o.seriesId)
+        .filter(id => mongoose.isValidObjectId(id));
+      const ownSeries = new Set(
+        (await RecurringTask.find({ _id: { $in: occurrenceSeries }, owner: req.user.id }, { _id: 1 }).lean())
+          .map(s => String(s._id))
+      );
+
+      const byWeek = new Map();
+      const seen = new Set();
+      let duplicates = 0;
+      let invalid = skipped;
+      for (const { uid, plannerId, date, task } of items) {
+        const occurrence = plannerId && parseOccurrenceId(plannerId);
+        if (occurrence && ownSeries.has(occurrence.seriesId)) {
+          duplicates++;
+          continue;
+        }
+        // our own tasks keep their id; anything else gets a stable id derived from its UID
+        const id = plannerId && !occurrence
+          ? plannerId
+          : "ics_" + crypto.createHash("sha1").update(uid || `${date} ${task.text}`).digest("hex").slice(0, 20);
+        if (seen.has(id)) {
+          duplicates++;
+          continue;
+        }
+        seen.add(id);
+
+        let valid;
+        try {
+          valid = validateTask({ ...task, id }, "task");
+        } catch (err) {
+          if (!(err instanceof ValidationError)) throw err;
+          invalid++;
+          continue;
+        }
+        const weekKey = weekKeyOf(date, req.calendar.weekStart);
+        if (!byWeek.has(weekKey)) byWeek.set(weekKey, []);
+        byWeek.get(weekKey).push({ dayIndex: dayIndexIn(date, req.calendar.weekStart), task: valid });
+      }
+
+      let imported = 0;
+      for (const [weekKey, weekItems] of byWeek) {
+        const added = await importIntoWeek(req.user.id, weekKey, weekItems);
+        await recordActivity(added.map(({ dayIndex, task }) => taskActivity(req, "import", { weekKey, dayIndex, task })));
+        if (added.length) publishChange(req, { type: "week", weekKey });
+        imported += added.length;
+        duplicates += weekItems.length - added.length;
+      }
+
+      res.json({ success: true, imported, duplicates, invalid, weeks: [...byWeek.keys()].sort() });
+    } catch (e) { next(e); }
+  }
+);
+
+// Pomodoro focus sessions
+app.use("/api/sessions", requireAuth);
+
+app.get("/api/sessions", async (req, res, next) => {
+  try {
+    const { from, to } = req.query;
+    if (!isDateKey(from) || !isDateKey(to)) {
+      return res.status(400).json({ error: "Query params 'from' and 'to' must be dates in YYYY-MM-DD format" });
+    }
+    const sessions = await FocusSession.find({ owner: req.user.id, date: { $gte: from, $lte: to } })
+      .sort({ endedAt: -1 })
+      .lean();
+    res.json(sessions);
+  } catch (e) { next(e); }
+});
+
+app.post("/api/sessions", async (req, res, next) => {
+  try {
+    const { session, error } = pickSessionFields(req.body);
+    if (error) return res.status(400).json({ error });
+    const created = await FocusSession.create({ ...session, owner: req.user.id });
+    res.status(201).json(created);
+  } catch (e) { next(e); }
+});
+
+// Move every week of `owner` to keys starting on `weekStart` (lib/tasks.js regroupWeeks).
+// Old and new keys are different days, so the new weeks are upserted first and the old
+// ones deleted last. Returns the number of weeks after the move.
+async function refileWeeks(owner, weekStart) {
+  const weeks = await Week.find({ owner }, { weekKey: 1, days: 1 }).lean();
+  const regrouped = regroupWeeks(weeks, weekStart);
+  if (regrouped.length) {
+    await Week.bulkWrite(regrouped.map(({ weekKey, days }) => ({
+      updateOne: { filter: { owner, weekKey }, update: { $set: { days }, $inc: { version: 1 } }, upsert: true },
+    })));
   }
+  await Week.deleteMany({ owner, weekKey: { $nin: regrouped.map(w => w.weekKey) } });
+  return regrouped.length;
+}
+
+// Account data: full export (JSON archive, CSV of tasks) and restore
+app.use("/api/account", requireAuth, loadCalendar);
+
+app.get("/api/account/export", async (req, res, next) => {
+  try {
+    const owner = req.user.id;
+    const [weeks, recurring, notes, sessions] = await Promise.all([
+      Week.find({ owner }, { weekKey: 1, days: 1 }).sort({ weekKey: 1 }).lean(),
+      RecurringTask.find({ owner }).sort({ createdAt: 1 }).lean(),
+      Note.find({ owner }).sort({ createdAt: 1 }).lean(),
+      FocusSession.find({ owner }).sort({ endedAt: 1 }).lean(),
+    ]);
+    const archive = buildArchive({ username: req.user.username, weekStart: req.calendar.weekStart, weeks, recurring, notes, sessions });
+    res.set("Content-Disposition", `attachment; filename="planner-backup-${archive.exportedAt.slice(0, 10)}.json"`);
+    res.json(archive);
+  } catch (e) { next(e); }
+});
+
+app.get("/api/account/export/tasks.csv", async (req, res, next) => {
+  try {
+    const weeks = await Week.find({ owner: req.user.id }, { weekKey: 1, days: 1 }).lean();
+    res.set("Content-Type", "text/csv; charset=utf-8");
+    res.set("Content-Disposition", 'attachment; filename="planner-tasks.csv"');
+    res.send(tasksToCsv(weeks));
+  } catch (e) { next(e); }
+});
+
+// Insert archived documents, keeping their _id where possible. Documents the user
+// already has are skipped; an _id taken by another account gets a fresh one.
+async function restoreDocs(Model, owner, docs) {
+  const ids = docs.map(d => d._id).filter(Boolean);
+  const taken = ids.length ? await Model.find({ _id: { $in: ids } }, { owner: 1 }).lean() : [];
+  const mine = new Set(taken.filter(d => String(d.owner) === String(owner)).map(d => String(d._id)));
+
+  const fresh = docs
+    .filter(d => !(d._id && mine.has(d._id)))
+    .map(({ _id, ...doc }) => ({
+      ...doc,
+      ...(_id && !taken.some(t => String(t._id) === _id) ? { _id } : {}),
+      owner,
+    }));
+  if (fresh.length) await Model.insertMany(fresh);
+  return { restored: fresh.length, skipped: docs.length - fresh.length };
+}
+
+// ?mode=merge (default) adds what the account doesn't have yet: tasks are matched by
+// id within their week, series, notes and sessions by _id.
+// ?mode=replace first removes the account's data, then writes the archive.
+// The whole archive is validated before anything is written.
+app.post("/api/account/restore", async (req, res, next) => {
+  try {
+    const { mode = "merge" } = req.query;
+    if (mode !== "merge" && mode !== "replace") throw new ValidationError("mode", "'mode' must be 'merge' or 'replace'");
+    const data = readArchive(req.body);
+    const owner = req.user.id;
+    // an archive from a Sunday-start account restored into a Monday-start one (or back)
+    if (data.weekStart !== req.calendar.weekStart) data.weeks = regroupWeeks(data.weeks, req.calendar.weekStart);
+
+    const tasks = { restored: 0, skipped: 0 };
+    if (mode === "replace") {
+      await Promise.all([
+        RecurringTask.deleteMany({ owner }),
+        Note.deleteMany({ owner }),
+        FocusSession.deleteMany({ owner }),
+      ]);
+      // weeks are overwritten in place so their versions keep counting up and open
+      // planners notice the change
+      for (const { weekKey, days } of data.weeks) {
+        await Week.updateOne({ owner, weekKey }, { $set: { days }, $inc: { version: 1 } }, { upsert: true });
+        tasks.restored += Object.values(days).flat().length;
+      }
+      await Week.deleteMany({ owner, weekKey: { $nin: data.weeks.map(w => w.weekKey) } });
+    } else {
+      for (const { weekKey, days } of data.weeks) {
+        const items = Object.entries(days).flatMap(([dayIndex, list]) => list.map(task => ({ dayIndex, task })));
+        if (!items.length) continue;
+        const added = (await importIntoWeek(owner, weekKey, items)).length;
+        tasks.restored += added;
+        tasks.skipped += items.length - added;
+      }
+    }
+
+    const recurring = await restoreDocs(RecurringTask, owner, data.recurring);
+    const notes = await restoreDocs(Note, owner, data.notes);
+    const sessions = await restoreDocs(FocusSession, owner, data.sessions);
+    publishChange(req, { type: "planner" });
+
+    res.json({ success: true, mode, weeks: data.weeks.length, tasks, recurring, notes, sessions });
+  } catch (e) { next(e); }
+});
+
+// Calendar settings: { timezone, weekStart } (lib/calendar.js)
+app.get("/api/account/settings", (req, res) => {
+  res.json(req.calendar);
+});
+
+// Changing the week start re-files every week of the user under its new first day
+// (tasks keep their dates). Weeks are written before the setting, so after a failure
+// the same request (or `npm run migrate:weeks`) can simply be repeated.
+app.put("/api/account/settings", async (req, res, next) => {
+  try {
+    const fields = pickCalendarFields(req.body);
+    let weeks;
+    if (fields.weekStart !== undefined && fields.weekStart !== req.calendar.weekStart) {
+      weeks = await refileWeeks(req.user.id, fields.weekStart);
+    }
+    const user = await User.findByIdAndUpdate(req.user.id, { $set: fields }, { new: true }).lean();
+    if (!user) return res.status(404).json({ error: "Account not found" });
+    res.json({ success: true, ...calendarOf(user), ...(weeks !== undefined && { weeks }) });
+  } catch (e) { next(e); }
+});
+
+// Change the password of the signed-in user; the current password must be given
+app.post("/api/account/password", async (req, res, next) => {
+  try {
+    const { currentPassword, newPassword } = req.body || {};
+    if (typeof currentPassword !== "string" || !currentPassword) {
+      throw new ValidationError("currentPassword", "'currentPassword' is required");
+    }
+    if (!isValidPassword(newPassword)) throw new ValidationError("newPassword", PASSWORD_RULES);
+
+    const user = await User.findById(req.user.id);
+    if (!user) return res.status(404).json({ error: "Account not found" });
+    if (!(await user.validatePassword(currentPassword))) {
+      throw new ValidationError("currentPassword", "Current password is incorrect");
+    }
+
+    await user.setPassword(newPassword);
+    await user.save();
+    // a reset link sent before the change must not undo it, and other devices
+    // that may know the old password are signed out
+    await Promise.all([
+      PasswordResetToken.deleteMany({ user: user._id }),
+      revokeSessions(user._id, req.user.sid),
+    ]);
+    closeSessionStreams(user._id, req.user.sid);
+    res.json({ success: true });
+  } catch (e) { next(e); }
+});
+
+// "Sign out all devices": revokes every session of the user, this one included
+app.post("/api/account/logout-all", async (req, res, next) => {
+  try {
+    const result = await revokeSessions(req.user.id);
+    closeSessionStreams(req.user.id);
+    clearAuthCookies(res);
+    res.json({ success: true, revoked: result.modifiedCount });
+  } catch (e) { next(e); }
+});
+
+// Delete the signed-in user and everything they own. Needs { password } as confirmation.
+app.delete("/api/account", async (req, res, next) => {
+  try {
+    const { password } = req.body || {};
+    if (typeof password !== "string" || !password) throw new ValidationError("password", "'password' is required");
+
+    const user = await User.findById(req.user.id);
+    if (!user) return res.status(404).json({ error: "Account not found" });
+    if (!(await user.validatePassword(password))) throw new ValidationError("password", "Password is incorrect");
+
+    // the user goes last, so a failure half-way can simply be retried
+    const owner = user._id;
+    // boards they own go with them; on other boards they are removed as a member
+    for (const board of await Board.find({ owner }, { _id: 1 }).lean()) await deleteBoardData(board._id);
+    for (const board of await Board.find({ "members.user": owner }, { _id: 1 }).lean()) {
+      await Board.updateOne({ _id: board._id }, { $pull: { members: { user: owner } } });
+      await unassignMember(board._id, String(owner));
+      closeStreams(board._id, owner);
+      publish(board._id, { type: "planner" }); // their tasks were unassigned
+    }
+    const [weeks, recurring, notes, sessions] = await Promise.all([
+      Week.deleteMany({ owner }),
+      RecurringTask.deleteMany({ owner }),
+      Note.deleteMany({ owner }),
+      FocusSession.deleteMany({ owner }),
+      Quote.deleteMany({ owner }),
+      QuoteFavorite.deleteMany({ owner }),
+      TrashItem.deleteMany({ owner }),
+      Activity.deleteMany({ owner }),
+      PasswordResetToken.deleteMany({ user: owner }),
+      AuthSession.deleteMany({ user: owner }),
+    ]);
+    await User.deleteOne({ _id: owner });
+    closeSessionStreams(owner);
+    clearAuthCookies(res);
+
+    res.json({
+      success: true,
+      deleted: {
+        weeks: weeks.deletedCount,
+        recurring: recurring.deletedCount,
+        notes: notes.deletedCount,
+        sessions: sessions.deletedCount,
+      },
+    });
+  } catch (e) { next(e); }
+});
+
+// Pages (render existing ejs files if present)
+app.get("/", pageAuth({ required: false }), async (req, res, next) => {
+  try {
+    const quote = todaysQuote(res.locals.calendar && res.locals.calendar.timezone);
+    const favorite = req.user ? Boolean(await QuoteFavorite.exists({ owner: req.user.id, quoteId: quote.id })) : false;
+    res.render("index.ejs", { quote, favorite });
+  } catch (e) { next(e); }
+});
+// Pages showing a board's data with ?board=<id>: the user's boards, with the one picked
+// as res.locals.board (null: the personal planner). A board's weeks start on its own
+// week start.
+async function pageBoards(req, res) {
+  const boards = (await Board.find(memberFilter(req.user.id)).sort({ createdAt: 1 }).lean())
+    .map(board => describeBoard(board, req.user.id));
+  const board = boards.find(b => b.id === req.query.board) || null;
+  if (board) res.locals.calendar = { ...res.locals.calendar, weekStart: board.weekStart };
+  res.locals.board = board;
+  return boards;
+}
+
+app.get("/weekly", pageAuth(), async (req, res, next) => {
+  try {
+    const boards = await pageBoards(req, res);
+    if (req.query.board && !res.locals.board) return res.redirect("/weekly");
+    res.render("weekly", { boards });
+  } catch (e) { next(e); }
 });
-app.get("/weekly", (req, res) => res.render("weekly"));
 app.get("/login", (req, res) => res.render("login"));
 app.get("/signup", (req, res) => res.render("signup"));
-app.get("/report", (req, res) => res.render("report"));
-app.get("/notes", (req, res) => res.render("notes"));
-app.get("/pomodoro", (req, res) => res.render("pomodoro"));
+app.get("/report", pageAuth(), (req, res) => res.render("report"));
+app.get("/notes", pageAuth(), (req, res) => res.render("notes"));
+app.get("/pomodoro", pageAuth({ required: false }), (req, res) => res.render("pomodoro"));
+app.get("/account", pageAuth(), (req, res) => res.render("account", { retentionDays: retentionDays() }));
+app.get("/trash", pageAuth(), async (req, res, next) => {
+  try {
+    await pageBoards(req, res);
+    if (req.query.board && !res.locals.board) return res.redirect("/trash");
+    res.render("trash", { retentionDays: retentionDays() });
+  } catch (e) { next(e); }
+});
+app.get("/boards", pageAuth(), (req, res) => res.render("boards"));
+app.get("/boards/join", pageAuth(), (req, res) => res.render("board-join"));
+app.get("/forgot-password", (req, res) => res.render("forgot-password"));
+app.get("/reset-password", (req, res) => res.render("reset-password"));
+
+// Auth endpoints: POST /signup, POST /login, POST /refresh, POST /logout and the password reset below.
+// /signup and /login return the tokens in the body, or with { session: "cookie" } set them
+// as HttpOnly cookies instead (what the app's own pages use, see lib/auth.js).
+
+// Milliseconds until the longest running lockout of `keys` ends (0 = not locked)
+async function loginLockout(keys) {
+  const locked = await LoginThrottle.find({ key: { $in: Object.values(keys) }, lockedUntil: { $gt: new Date() } }).lean();
+  return Math.max(0, ...locked.map(t => t.lockedUntil.getTime() - Date.now()));
+}
 
-// Auth endpoints: POST /signup and POST /login
-const JWT_SECRET = process.env.JWT_SECRET || "dev-secret-change-this";
+async function recordLoginFailure(keys) {
+  const now = Date.now();
+  for (const [kind, key] of Object.entries(keys)) {
+    const { failures } = await LoginThrottle.findOneAndUpdate(
+      { key },
+      { $inc: { failures: 1 }, $setOnInsert: { expiresAt: new Date(now + FORGET_AFTER_MS) } },
+      { upsert: true, new: true, projection: { failures: 1 } }
+    ).lean();
+    const lockMs = lockoutMs(failures, POLICIES[kind]);
+    await LoginThrottle.updateOne(
+      { key },
+      {
+        $set: {
+          lockedUntil: lockMs ? new Date(now + lockMs) : null,
+          expiresAt: new Date(now + lockMs + FORGET_AFTER_MS),
+        },
+      }
+    );
+  }
+}
+
+function sendLockout(res, ms) {
+  res.set('Retry-After', String(Math.ceil(ms / 1000)));
+  return res.status(429).json({
+    success: false,
+    message: `Too many failed attempts, try again in ${describeWait(ms)}`,
+    retryAfter: Math.ceil(ms / 1000),
+  });
+}
 
-// Signup: create user and return token
+// Start a session and hand out its tokens: in the response body, or as cookies
+async function sessionResponse(req, res, user) {
+  const { token, refreshToken } = await startSession(req, user);
+  if (req.body.session !== "cookie") return { token, refreshToken };
+  setAuthCookies(res, { token, refreshToken });
+  return {};
+}
+
+// Signup: create user and return tokens
 app.post('/signup', async (req, res, next) => {
   try {
-    const { email, username, password } = req.body || {};
+    const { email, username, password, timezone } = req.body || {};
     if (!email || !username || !password) return res.status(400).json({ success: false, message: 'Missing fields' });
+    if (typeof email !== 'string' || typeof username !== 'string') {
+      return res.status(400).json({ success: false, message: 'Invalid fields' });
+    }
 
-    // password policy: 6+ chars, at least one letter and one number
-    const passwordPattern = /^(?=.*[A-Za-z])(?=.*\d)[A-Za-z\d@$!%*?&]{6,}$/;
-    if (!passwordPattern.test(password)) {
+    if (!isValidPassword(password)) {
       return res.status(400).json({ success: false, message: 'Password does not meet requirements' });
     }
 
     const existing = await User.findOne({ email });
     if (existing) return res.status(409).json({ success: false, message: 'Email already registered' });
 
-    const user = new User({ email, username });
+    // the browser's timezone, if it sent a valid one; it can be changed on /account
+    const user = new User({ email, username, ...(isTimeZone(timezone) && { timezone }) });
     await user.setPassword(password);
     await user.save();
 
-    const token = jwt.sign({ id: user._id, username: user.username }, JWT_SECRET, { expiresIn: '7d' });
-    res.json({ success: true, token, username: user.username, email: user.email });
+    res.json({ success: true, ...(await sessionResponse(req, res, user)), username: user.username, email: user.email });
   } catch (e) { next(e); }
 });
 
-// Login: validate and return token
+// Login: validate and return tokens. Repeated failures lock the account and the IP
+// for a growing time (lib/throttle.js); locked attempts get 429 without a password check.
 app.post('/login', async (req, res, next) => {
   try {
     const { email, password } = req.body || {};
     if (!email || !password) return res.status(400).json({ success: false, message: 'Missing fields' });
+    if (typeof email !== 'string' || typeof password !== 'string') {
+      return res.status(400).json({ success: false, message: 'Invalid fields' });
+    }
+
+    const keys = throttleKeys(req.ip, email);
+    const waitMs = await loginLockout(keys);
+    if (waitMs) return sendLockout(res, waitMs);
 
     const user = await User.findOne({ email });
-    if (!user) return res.status(401).json({ success: false, message: 'Invalid credentials' });
+    const ok = user && await user.validatePassword(password);
+    if (!ok) {
+      await recordLoginFailure(keys);
+      return res.status(401).json({ success: false, message: 'Invalid credentials' });
+    }
 
-    const ok = await user.validatePassword(password);
-    if (!ok) return res.status(401).json({ success: false, message: 'Invalid credentials' });
+    await LoginThrottle.deleteOne({ key: keys.account });
+    res.json({ success: true, ...(await sessionResponse(req, res, user)), username: user.username, email: user.email });
+  } catch (e) { next(e); }
+});
+
+// Refresh (bearer clients): trade the refresh token for a new pair, see rotateSession().
+// Cookie sessions are renewed by middleware/auth.js on their own.
+app.post('/refresh', async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body || {};
+    if (typeof refreshToken !== 'string' || !refreshToken) return res.status(400).json({ success: false, message: 'Missing fields' });
+
+    const rotated = await rotateSession(refreshToken);
+    if (rotated.error) {
+      return res.status(401).json({
+        success: false,
+        code: rotated.error,
+        message: 'Session expired, please log in again',
+        redirect: '/login',
+      });
+    }
+    res.json({ success: true, token: rotated.token, refreshToken: rotated.refreshToken });
+  } catch (e) { next(e); }
+});
+
+// Logout: end the session of this device, given by { refreshToken } or the refresh cookie.
+// Answers success even for unknown tokens.
+app.post('/logout', async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body || {};
+    if (typeof refreshToken === 'string' && refreshToken) {
+      const revoked = await revokeByRefreshToken(refreshToken);
+      if (revoked) closeStreamsOfSession(revoked._id);
+    }
+
+    const cookieToken = req.cookies[REFRESH_COOKIE];
+    if (cookieToken) {
+      const session = await AuthSession.findOne({ refreshTokenHash: hashToken(cookieToken) }, { _id: 1 }).lean();
+      if (session && !isValidCsrfToken(session._id, req.get('X-CSRF-Token') || req.body._csrf)) {
+        return res.status(403).json({ success: false, code: 'CSRF_INVALID', message: 'Missing or invalid CSRF token, reload the page' });
+      }
+      if (session) {
+        await revokeByRefreshToken(cookieToken);
+        closeStreamsOfSession(session._id);
+      }
+      clearAuthCookies(res);
+    }
+    res.json({ success: true });
+  } catch (e) { next(e); }
+});
+
+// Password reset: POST /forgot-password mails a single-use link, POST /reset-password uses it.
+// Links point at APP_URL (set it in production), or else at the host of the request.
+function appUrl(req) {
+  return (process.env.APP_URL || `${req.protocol}://${req.get('host')}`).replace(/\/$/, '');
+}
+
+app.post('/forgot-password', async (req, res, next) => {
+  try {
+    const { email } = req.body || {};
+    if (typeof email !== 'string' || !email.trim()) return res.status(400).json({ success: false, message: 'Missing fields' });
+
+    // same answer whether or not the email is registered, so it can't be used to probe accounts
+    const user = await User.findOne({ email: email.trim() });
+    if (user) {
+      const { token, tokenHash } = newOpaqueToken();
+      await PasswordResetToken.deleteMany({ user: user._id }); // only the newest link works
+      await PasswordResetToken.create({ user: user._id, tokenHash, expiresAt: new Date(Date.now() + RESET_TOKEN_TTL_MS) });
 
-    const token = jwt.sign({ id: user._id, username: user.username }, JWT_SECRET, { expiresIn: '7d' });
-    res.json({ success: true, token, username: user.username, email: user.email });
+      const link = `${appUrl(req)}/reset-password?token=${token}`;
+      await sendMail({
+        to: user.email,
+        subject: 'Reset your Productivity Tracker password',
+        text: `Hi ${user.username},\n\nOpen this link to choose a new password:\n${link}\n\n` +
+          `The link works once and expires in ${RESET_TOKEN_TTL_MS / 60000} minutes. ` +
+          'If you did not ask for it, you can ignore this email.',
+      });
+    }
+    res.json({ success: true, message: 'If that email is registered, a reset link is on its way.' });
+  } catch (e) { next(e); }
+});
+
+app.post('/reset-password', async (req, res, next) => {
+  try {
+    const { token, password } = req.body || {};
+    if (typeof token !== 'string' || !token || !password) return res.status(400).json({ success: false, message: 'Missing fields' });
+    if (!isValidPassword(password)) return res.status(400).json({ success: false, message: PASSWORD_RULES });
+
+    // deleting the token while reading it makes the link single-use even under concurrent requests
+    const reset = await PasswordResetToken.findOneAndDelete({
+      tokenHash: hashToken(token),
+      expiresAt: { $gt: new Date() },
+    });
+    const user = reset && await User.findById(reset.user);
+    if (!user) return res.status(400).json({ success: false, message: 'This reset link is invalid or has expired' });
+
+    await user.setPassword(password);
+    await user.save();
+    await revokeSessions(user._id);
+    closeSessionStreams(user._id);
+    res.json({ success: true, message: 'Password updated, you can log in now' });
   } catch (e) { next(e); }
 });
 
 // Error handler
 app.use((err, req, res, next) => {
+  // bad input: say which field, e.g. { field: "days.3.1.status" }
+  if (err instanceof ValidationError) {
+    return res.status(400).json({ error: err.message, code: "VALIDATION_ERROR", field: err.field });
+  }
   console.error(err);
   res.status(err.status || 500).json({ error: "Internal Server Error" });
 });
 
 const PORT = process.env.PORT || 4000;
+startQuoteRefresh();
 app.listen(PORT, () => console.log(`✅ Server running at http://localhost:${PORT}`));